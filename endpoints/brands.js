@@ -0,0 +1,235 @@
+/**
+ * Brand Kit Endpoints
+ *
+ * CRUD handlers for brand kits: named JSON profiles in DATA_DIR/brands that
+ * bundle default overlay parameters and are selected with `brand=<name>` on
+ * /overlay, /2slidesReel and /3slidesReel.
+ */
+
+import fsp from 'fs/promises';
+import { brandKitPath, isValidBrandName, listBrandKits, loadBrandKit, validateBrandKitParams } from '../helpers/brandKits.js';
+
+/**
+ * Validates name and body of a create/update request and writes the kit
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} config - Configuration object with BRANDS_DIR
+ * @param {string} requestId - Request ID for logging
+ * @param {string} name - Brand kit name
+ * @param {Object} body - Request body ({description, params})
+ * @param {Object|null} existing - Stored kit when updating
+ */
+const saveBrandKit = async (res, config, requestId, name, body, existing) => {
+    const { params, error } = validateBrandKitParams(body.params ?? {}, config);
+    if (error) {
+        console.log(`❌ [${requestId}] Invalid brand kit: ${error}`);
+        return res.status(400).json({ error: 'Invalid brand kit', message: error });
+    }
+    if (body.description !== undefined && typeof body.description !== 'string') {
+        console.log(`❌ [${requestId}] Invalid brand kit description`);
+        return res.status(400).json({ error: 'Invalid brand kit', message: 'description must be a string' });
+    }
+
+    const now = new Date().toISOString();
+    const kit = {
+        name,
+        description: body.description ?? (existing ? existing.description : ''),
+        params,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+    };
+
+    await fsp.mkdir(config.BRANDS_DIR, { recursive: true });
+    await fsp.writeFile(brandKitPath(config.BRANDS_DIR, name), JSON.stringify(kit, null, 2));
+
+    console.log(`✅ [${requestId}] Brand kit ${existing ? 'updated' : 'created'}: ${name} (${Object.keys(params).length} parameters)`);
+    res.status(existing ? 200 : 201).json({ success: true, brand: kit });
+};
+
+/**
+ * Brand kit creation endpoint handler
+ *
+ * POST /brands
+ *
+ * JSON body:
+ * - name (required): Brand kit name used in the `brand` parameter
+ * - description (optional): Free text
+ * - params (required): Default query parameters, e.g. {"font": "brand-bold", "titleColor": "ffcc00", "logo": "brand-white"}
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - Configuration object with BRANDS_DIR
+ */
+export const createBrandHandler = async (req, res, config) => {
+    const requestId = `brand_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const body = req.body || {};
+
+    console.log(`🎨 [${requestId}] Creating brand kit: ${body.name}`);
+
+    try {
+        if (!isValidBrandName(body.name)) {
+            console.log(`❌ [${requestId}] Invalid brand name: ${body.name}`);
+            return res.status(400).json({
+                error: 'Invalid brand name',
+                message: 'Brand name must be 1-64 characters of letters, digits, "-" or "_"'
+            });
+        }
+        if (await loadBrandKit(config.BRANDS_DIR, body.name)) {
+            console.log(`❌ [${requestId}] Brand kit already exists: ${body.name}`);
+            return res.status(409).json({
+                error: 'Brand kit already exists',
+                message: `A brand kit named "${body.name}" already exists (use PUT /brands/${body.name} to update it)`
+            });
+        }
+
+        await saveBrandKit(res, config, requestId, body.name, body, null);
+    } catch (error) {
+        console.error(`💥 [${requestId}] Unexpected error:`, error.message);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An unexpected error occurred while creating the brand kit'
+        });
+    }
+};
+
+/**
+ * Brand kit update endpoint handler
+ *
+ * PUT /brands/:name
+ *
+ * Replaces the parameters (and optionally the description) of an existing kit.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - Configuration object with BRANDS_DIR
+ */
+export const updateBrandHandler = async (req, res, config) => {
+    const requestId = `brand_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const name = req.params.name;
+
+    console.log(`🎨 [${requestId}] Updating brand kit: ${name}`);
+
+    try {
+        const existing = isValidBrandName(name) ? await loadBrandKit(config.BRANDS_DIR, name) : null;
+        if (!existing) {
+            console.log(`❌ [${requestId}] Brand kit not found: ${name}`);
+            return res.status(404).json({
+                error: 'Brand kit not found',
+                message: `No brand kit named: ${name}`
+            });
+        }
+
+        await saveBrandKit(res, config, requestId, name, req.body || {}, existing);
+    } catch (error) {
+        console.error(`💥 [${requestId}] Unexpected error:`, error.message);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An unexpected error occurred while updating the brand kit'
+        });
+    }
+};
+
+/**
+ * Brand kit listing endpoint handler
+ *
+ * GET /brands
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - Configuration object with BRANDS_DIR
+ */
+export const listBrandsHandler = async (req, res, config) => {
+    const requestId = `brands_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+        const brands = await listBrandKits(config.BRANDS_DIR);
+        console.log(`📋 [${requestId}] Listing ${brands.length} brand kits`);
+
+        res.status(200).json({
+            success: true,
+            count: brands.length,
+            brands: brands
+        });
+    } catch (error) {
+        console.error(`💥 [${requestId}] Unexpected error:`, error.message);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An unexpected error occurred while listing brand kits'
+        });
+    }
+};
+
+/**
+ * Brand kit lookup endpoint handler
+ *
+ * GET /brands/:name
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - Configuration object with BRANDS_DIR
+ */
+export const getBrandHandler = async (req, res, config) => {
+    const requestId = `brand_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const name = req.params.name;
+
+    try {
+        const kit = await loadBrandKit(config.BRANDS_DIR, name);
+        if (!kit) {
+            console.log(`❌ [${requestId}] Brand kit not found: ${name}`);
+            return res.status(404).json({
+                error: 'Brand kit not found',
+                message: `No brand kit named: ${name}`
+            });
+        }
+
+        res.status(200).json({ success: true, brand: kit });
+    } catch (error) {
+        console.error(`💥 [${requestId}] Unexpected error:`, error.message);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An unexpected error occurred while reading the brand kit'
+        });
+    }
+};
+
+/**
+ * Brand kit deletion endpoint handler
+ *
+ * DELETE /brands/:name
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - Configuration object with BRANDS_DIR
+ */
+export const deleteBrandHandler = async (req, res, config) => {
+    const requestId = `brand_delete_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const name = req.params.name;
+
+    console.log(`🗑️ [${requestId}] Deleting brand kit: ${name}`);
+
+    try {
+        if (!isValidBrandName(name) || !(await loadBrandKit(config.BRANDS_DIR, name))) {
+            console.log(`❌ [${requestId}] Brand kit not found: ${name}`);
+            return res.status(404).json({
+                error: 'Brand kit not found',
+                message: `No brand kit named: ${name}`
+            });
+        }
+
+        await fsp.unlink(brandKitPath(config.BRANDS_DIR, name));
+        console.log(`✅ [${requestId}] Brand kit deleted: ${name}`);
+
+        res.status(200).json({
+            success: true,
+            name: name,
+            deletedAt: new Date().toISOString(),
+            message: 'Brand kit deleted successfully'
+        });
+    } catch (error) {
+        console.error(`💥 [${requestId}] Unexpected delete error:`, error.message);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An unexpected error occurred during brand kit deletion'
+        });
+    }
+};
@@ -0,0 +1,70 @@
+/**
+ * Cache Endpoint
+ *
+ * Administration of the on-disk caches: overlay renders in
+ * CACHE_DIR/renders and fetched source images in CACHE_DIR/sources.
+ */
+
+import { purgeCacheEntries } from '../helpers/diskCache.js';
+
+/**
+ * Purge scopes and the caches they cover
+ */
+const PURGE_SCOPES = {
+    all: ['renders', 'sources'],
+    renders: ['renders'],
+    sources: ['sources']
+};
+
+/**
+ * Cache purge endpoint handler
+ *
+ * DELETE /cache?scope=<all|renders|sources>
+ *
+ * Removes cached overlay renders and/or source images, e.g. after installing
+ * other system fonts (only registered fonts and logos are part of the render
+ * cache key) or after tightening the fetch allowlist (fresh source images are
+ * served without a request).
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - Configuration object with RENDER_CACHE_DIR and SOURCE_CACHE_DIR
+ */
+export const purgeCacheHandler = async (req, res, config) => {
+    const requestId = `cache_purge_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const scope = String(req.query.scope || 'all').toLowerCase();
+    if (!PURGE_SCOPES[scope]) {
+        console.log(`❌ [${requestId}] Invalid purge scope: ${scope}`);
+        return res.status(400).json({ error: 'Invalid scope. Must be one of: ' + Object.keys(PURGE_SCOPES).join(', ') });
+    }
+
+    const directories = { renders: config.RENDER_CACHE_DIR, sources: config.SOURCE_CACHE_DIR };
+    console.log(`🧹 [${requestId}] Purging caches: ${PURGE_SCOPES[scope].join(', ')}`);
+
+    try {
+        const caches = {};
+        for (const name of PURGE_SCOPES[scope]) {
+            const { entries, bytes } = await purgeCacheEntries(directories[name]);
+            caches[name] = { entries, size: bytes };
+            console.log(`✅ [${requestId}] ${name} cache purged: ${entries} entries (${bytes} bytes)`);
+        }
+
+        const totals = Object.values(caches);
+        res.status(200).json({
+            success: true,
+            scope: scope,
+            entries: totals.reduce((sum, cache) => sum + cache.entries, 0),
+            size: totals.reduce((sum, cache) => sum + cache.size, 0),
+            caches: caches,
+            purgedAt: new Date().toISOString(),
+            message: 'Cache purged successfully'
+        });
+    } catch (error) {
+        console.error(`💥 [${requestId}] Unexpected purge error:`, error.message);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An unexpected error occurred while purging the cache'
+        });
+    }
+};
@@ -0,0 +1,255 @@
+/**
+ * Carousel Endpoint
+ *
+ * Renders an Instagram carousel (up to 10 slides) in one request: all slides
+ * share dimensions, styling and one title font size at which every title
+ * fits, optionally with slide numbers. The result is a ZIP download or a list
+ * of stored images with public URLs.
+ */
+
+import archiver from 'archiver';
+import { buildOverlaySvg, normalizeBodyParams, parseFitOptions, parseHyphenationOptions, parseLayoutOptions, parseScrimOptions, parseStyleOptions } from '../helpers.js';
+import { resolveFontOptions } from '../helpers/fontRegistry.js';
+import { OUTPUT_FORMATS, parseOutputOptions } from '../helpers/outputFormat.js';
+import { parseCropOptions } from '../helpers/imageCrop.js';
+import { resolveLogoOptions } from '../helpers/logoRegistry.js';
+import { applyBrandKit } from '../helpers/brandKits.js';
+import { isStoreRef, resolveStoreRef, saveRenderedImage } from '../helpers/storedFiles.js';
+import { composeOverlayImage, loadSourceImage, prepareBaseImage } from '../helpers/overlayRender.js';
+import { RemoteFetchError } from '../helpers/remoteFetch.js';
+import { CAROUSEL_OUTPUTS, buildSlideNumberSvg, findUniformTitleSize, parseCarouselSlides, parseSlideNumberOptions } from '../helpers/carousel.js';
+
+/**
+ * File extensions of the slides inside the ZIP by output format
+ */
+const ZIP_EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', avif: 'avif' };
+
+/**
+ * Carousel endpoint handler
+ *
+ * POST /carousel
+ *
+ * JSON body:
+ * - slides (required): 1-10 slides, each {img, title, source}; img is a URL or store:<uuid>,
+ *   source falls back to the shared `source`
+ * - output (optional): zip (download) or urls (store the slides and return their public URLs) (default: zip)
+ * - slideNumbers (optional): Draw "2/5" style slide numbers (default: false)
+ * - slideNumberPosition (optional): top-right, top-left, bottom-right or bottom-left (default: top-right)
+ * - minFontSize / maxFontSize (optional): Range for the shared title font size
+ * - w, h, maxLines, source, style, scrim, font, logo, crop, fit=blurfill|color, format, quality, brand, ...
+ *   (optional): Shared parameters as on /overlay, applied to every slide
+ *
+ * The shared title font size is the largest size at which every slide's
+ * title fits; it is returned in the X-Title-Font-Size header (zip) or the
+ * JSON body (urls).
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - Configuration object with DOMAIN, MEDIA_DIR, IMAGES_DIR, FONTS_DIR, LOGOS_DIR, LOGO_PATH, BRANDS_DIR and FETCH_OPTIONS
+ */
+export const carouselHandler = async (req, res, config) => {
+    const requestId = Math.random().toString(36).substr(2, 9);
+    const startTime = Date.now();
+    const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+
+    console.log(`🎠 [${requestId}] Carousel request started`);
+    console.log(`📋 [${requestId}] Request parameters:`, {
+        slides: Array.isArray(body.slides) ? body.slides.length : 'missing',
+        output: body.output || 'default (zip)',
+        slideNumbers: body.slideNumbers ?? 'default (false)',
+        w: body.w || 'default (1080)',
+        h: body.h || 'default (1350)',
+        brand: body.brand || 'none',
+        format: body.format || 'default (jpeg)'
+    });
+
+    try {
+        // === PARAMETER EXTRACTION AND VALIDATION ===
+
+        const { slides: rawSlides, ...shared } = body;
+
+        // Apply the brand kit defaults (explicit parameters win)
+        const { query, brand, error: brandError, status: brandStatus } = await applyBrandKit(normalizeBodyParams(shared), config.BRANDS_DIR);
+        if (brandError) {
+            console.log(`❌ [${requestId}] Invalid brand parameter: ${brandError}`);
+            return res.status(brandStatus).json({ error: brandError });
+        }
+        if (brand) {
+            console.log(`🎨 [${requestId}] Using brand kit: ${brand}`);
+        }
+
+        // The carousel has no Accept negotiation: slides are files, not a single response image
+        const { options: outputOptions, error: outputError } = parseOutputOptions(query, undefined);
+        if (outputError) {
+            console.log(`❌ [${requestId}] Invalid output parameters: ${outputError}`);
+            return res.status(400).json({ error: outputError });
+        }
+
+        const output = String(query.output || 'zip').toLowerCase();
+        if (!CAROUSEL_OUTPUTS.includes(output)) {
+            console.log(`❌ [${requestId}] Invalid output: ${output}`);
+            return res.status(400).json({ error: 'Invalid output. Must be one of: ' + CAROUSEL_OUTPUTS.join(', ') });
+        }
+
+        const { slides, error: slidesError } = parseCarouselSlides(rawSlides, !outputOptions.transparent);
+        if (slidesError) {
+            console.log(`❌ [${requestId}] Invalid slides: ${slidesError}`);
+            return res.status(400).json({ error: slidesError });
+        }
+
+        const W = Number(query.w || 1080);
+        const H = Number(query.h || 1350);
+        const maxLines = Number(query.maxLines || 5);
+        if (!(W >= 100 && W <= 4000 && H >= 100 && H <= 4000)) {
+            console.log(`❌ [${requestId}] Invalid dimensions: ${W}x${H}`);
+            return res.status(400).json({ error: 'Invalid dimensions. Width and height must be between 100 and 4000 pixels.' });
+        }
+        if (!(maxLines >= 1 && maxLines <= 20)) {
+            console.log(`❌ [${requestId}] Invalid maxLines: ${maxLines}`);
+            return res.status(400).json({ error: 'Invalid maxLines. Must be between 1 and 20.' });
+        }
+
+        // Shared rendering parameters, validated like on /overlay
+        const parsers = {
+            crop: parseCropOptions,
+            fit: parseFitOptions,
+            hyphenation: parseHyphenationOptions,
+            layout: parseLayoutOptions,
+            scrim: parseScrimOptions,
+            style: parseStyleOptions,
+            slideNumber: parseSlideNumberOptions
+        };
+        const parsed = {};
+        for (const [name, parse] of Object.entries(parsers)) {
+            const { options, error } = parse(query);
+            if (error) {
+                console.log(`❌ [${requestId}] Invalid ${name} parameters: ${error}`);
+                return res.status(400).json({ error });
+            }
+            parsed[name] = options;
+        }
+
+        // Resolve registered custom fonts and logos (unknown names are a 404)
+        const { options: fontOptions, error: fontError, status: fontStatus } = resolveFontOptions(query, config.FONTS_DIR);
+        if (fontError) {
+            console.log(`❌ [${requestId}] Invalid font parameters: ${fontError}`);
+            return res.status(fontStatus).json({ error: fontError });
+        }
+        const { options: logo, error: logoError, status: logoStatus } = resolveLogoOptions(query, config);
+        if (logoError) {
+            console.log(`❌ [${requestId}] Invalid logo parameters: ${logoError}`);
+            return res.status(logoStatus).json({ error: logoError });
+        }
+
+        // Stored file references (store:<uuid>) must point to an existing upload
+        for (const [i, slide] of slides.entries()) {
+            slide.storedPath = null;
+            if (outputOptions.transparent || !isStoreRef(slide.img)) continue;
+            const { path: filePath, error: storeError, status: storeStatus } = await resolveStoreRef(slide.img, config.MEDIA_DIR);
+            if (storeError) {
+                console.log(`❌ [${requestId}] Invalid stored file reference in slide ${i + 1}: ${storeError}`);
+                return res.status(storeStatus).json({ error: `slide ${i + 1}: ${storeError}` });
+            }
+            slide.storedPath = filePath;
+        }
+
+        console.log(`✅ [${requestId}] Parameters validated successfully`);
+
+        // === SHARED TITLE SIZE ===
+
+        const svgOptions = { ...parsed.fit, ...parsed.hyphenation, ...parsed.layout, ...parsed.scrim, ...parsed.style, ...fontOptions };
+        const titleFontSize = findUniformTitleSize(slides.map(slide => slide.title), W, H, maxLines, svgOptions);
+        if (titleFontSize !== null) {
+            // Pin fit mode to the shared size
+            Object.assign(svgOptions, { fit: true, minFontSize: titleFontSize, maxFontSize: titleFontSize });
+        }
+
+        console.log(`📐 [${requestId}] Rendering ${slides.length} slides: ${W}x${H}, title ${titleFontSize ?? 'default'}px, format: ${outputOptions.format}, output: ${output}`);
+
+        // === SLIDE RENDERING ===
+
+        // Slides are rendered one after another to keep memory use flat
+        const rendered = [];
+        for (const [i, slide] of slides.entries()) {
+            const slideId = `${requestId}:${i + 1}`;
+            let buf = null;
+            if (!outputOptions.transparent) {
+                try {
+                    buf = await loadSourceImage(slide.img, slide.storedPath, slideId, config.FETCH_OPTIONS);
+                } catch (error) {
+                    if (!(error instanceof RemoteFetchError)) throw error;
+                    return res.status(error.status).json({ error: `slide ${i + 1}: ${error.message}`, code: error.code });
+                }
+            }
+            const { base } = await prepareBaseImage(buf, W, H, parsed.crop, slideId);
+
+            const layout = buildOverlaySvg(W, H, slide.title, slide.source ?? query.source ?? '', maxLines, svgOptions);
+            const layers = [Buffer.from(layout.svg)];
+            if (parsed.slideNumber.enabled) {
+                const sourceStyle = svgOptions.style ? svgOptions.style.source : {};
+                layers.push(Buffer.from(buildSlideNumberSvg(W, H, `${i + 1}/${slides.length}`, parsed.slideNumber.position, sourceStyle)));
+            }
+
+            const out = await composeOverlayImage(base, layers, logo, null, W, H, outputOptions, slideId);
+            rendered.push({ out, titleTruncated: layout.truncated });
+        }
+
+        // === RESPONSE ===
+
+        const totalTime = Date.now() - startTime;
+        const extension = ZIP_EXTENSIONS[outputOptions.format];
+
+        if (output === 'urls') {
+            const stored = [];
+            for (const [i, { out, titleTruncated }] of rendered.entries()) {
+                const { id, filename } = await saveRenderedImage(config.IMAGES_DIR, out, outputOptions.format);
+                stored.push({
+                    slide: i + 1,
+                    id,
+                    filename,
+                    url: `https://${config.DOMAIN}/media/images/${filename}`,
+                    size: out.length,
+                    titleTruncated
+                });
+            }
+            console.log(`🎉 [${requestId}] Carousel stored: ${stored.length} slides (${totalTime}ms)`);
+
+            return res.status(201).json({
+                success: true,
+                count: stored.length,
+                width: W,
+                height: H,
+                format: outputOptions.format,
+                mimeType: OUTPUT_FORMATS[outputOptions.format].mimeType,
+                titleFontSize,
+                brand,
+                processingTime: totalTime,
+                slides: stored
+            });
+        }
+
+        // ZIP download; slides are already compressed, so entries are stored as is
+        const archive = archiver('zip', { store: true });
+        archive.on('error', (error) => {
+            console.log(`💥 [${requestId}] ZIP creation failed:`, error.message);
+            res.destroy(error);
+        });
+
+        res.set('Content-Type', 'application/zip');
+        res.set('Content-Disposition', `attachment; filename="carousel_${requestId}.zip"`);
+        if (titleFontSize !== null) res.set('X-Title-Font-Size', String(titleFontSize));
+        res.set('X-Title-Truncated', rendered.map(slide => String(slide.titleTruncated)).join(','));
+
+        archive.pipe(res);
+        rendered.forEach(({ out }, i) => archive.append(out, { name: `slide-${String(i + 1).padStart(2, '0')}.${extension}` }));
+        await archive.finalize();
+
+        console.log(`🎉 [${requestId}] Carousel ZIP sent: ${rendered.length} slides (${totalTime}ms)`);
+
+    } catch (error) {
+        const totalTime = Date.now() - startTime;
+        console.log(`💥 [${requestId}] Carousel request failed after ${totalTime}ms:`, error.message);
+        if (res.headersSent) return;
+        res.status(500).json({ error: String(error) });
+    }
+};
@@ -0,0 +1,213 @@
+/**
+ * Font Registry Endpoints
+ *
+ * Handles upload and listing of custom fonts for overlay and reel rendering.
+ * Uploaded fonts are stored in MEDIA_DIR/fonts and can be selected per request
+ * with the `font`, `titleFont` and `sourceFont` parameters.
+ */
+
+import multer from 'multer';
+import fsp from 'fs/promises';
+import path from 'path';
+import { FONT_EXTENSIONS, isValidFontName, listRegisteredFonts, parseFontBuffer } from '../helpers/fontRegistry.js';
+import { slugifyRegistryName } from '../helpers/registryNames.js';
+
+/**
+ * Maximum font file size in bytes
+ */
+const MAX_FONT_SIZE = 10 * 1024 * 1024; // 10MB
+
+/**
+ * Configure multer for font uploads
+ *
+ * Fonts are kept in memory so they can be parsed before anything is written to disk.
+ *
+ * @returns {Object} Multer configuration object
+ */
+const configureMulter = () => {
+    // File filter for font files (browsers and curl report inconsistent MIME types, so check the extension)
+    const fileFilter = (req, file, cb) => {
+        const extension = path.extname(file.originalname).toLowerCase();
+        if (FONT_EXTENSIONS.includes(extension)) {
+            cb(null, true);
+        } else {
+            cb(new Error(`Unsupported font type: ${extension || file.mimetype}. Allowed: ${FONT_EXTENSIONS.join(', ')}`), false);
+        }
+    };
+
+    return multer({
+        storage: multer.memoryStorage(),
+        fileFilter: fileFilter,
+        limits: {
+            fileSize: MAX_FONT_SIZE,
+            files: 1 // Only one font per upload
+        }
+    });
+};
+
+/**
+ * Font upload endpoint handler
+ *
+ * POST /fonts/upload
+ *
+ * Multipart fields:
+ * - file (required): TTF, OTF, WOFF or WOFF2 font file
+ * - name (optional): Registry name used in the `font` parameter (default: derived from the PostScript name)
+ * - replace (optional): Overwrite an existing font with the same name (default: false)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - Configuration object with FONTS_DIR
+ */
+export const uploadFontHandler = async (req, res, config) => {
+    const requestId = `font_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    console.log(`🔤 [${requestId}] Starting font upload...`);
+
+    try {
+        await fsp.mkdir(config.FONTS_DIR, { recursive: true });
+
+        const upload = configureMulter();
+
+        upload.single('file')(req, res, async (err) => {
+            if (err) {
+                console.error(`❌ [${requestId}] Upload error:`, err.message);
+
+                if (err instanceof multer.MulterError) {
+                    if (err.code === 'LIMIT_FILE_SIZE') {
+                        return res.status(400).json({
+                            error: 'File too large',
+                            message: 'Font size must be less than 10MB',
+                            maxSize: '10MB'
+                        });
+                    } else if (err.code === 'LIMIT_FILE_COUNT') {
+                        return res.status(400).json({
+                            error: 'Too many files',
+                            message: 'Only one font per upload is allowed'
+                        });
+                    }
+                }
+
+                return res.status(400).json({
+                    error: 'Upload failed',
+                    message: err.message
+                });
+            }
+
+            if (!req.file) {
+                console.log(`❌ [${requestId}] No file provided`);
+                return res.status(400).json({
+                    error: 'No file provided',
+                    message: 'Please provide a font file to upload'
+                });
+            }
+
+            try {
+                // Make sure the file really is a font fontkit can render
+                let font;
+                try {
+                    font = parseFontBuffer(req.file.buffer);
+                } catch (parseError) {
+                    console.log(`❌ [${requestId}] Invalid font file: ${parseError.message}`);
+                    return res.status(400).json({
+                        error: 'Invalid font file',
+                        message: 'The uploaded file could not be parsed as a font'
+                    });
+                }
+
+                const name = req.body.name ? String(req.body.name).trim() : slugifyRegistryName(font.postscriptName || path.basename(req.file.originalname, path.extname(req.file.originalname)));
+                if (!isValidFontName(name)) {
+                    console.log(`❌ [${requestId}] Invalid font name: ${name}`);
+                    return res.status(400).json({
+                        error: 'Invalid font name',
+                        message: 'Font name must be 1-64 characters of letters, digits, "-" or "_"'
+                    });
+                }
+
+                // A font name maps to exactly one file, whatever its format
+                const existing = (await fsp.readdir(config.FONTS_DIR))
+                    .filter(f => path.basename(f, path.extname(f)) === name && FONT_EXTENSIONS.includes(path.extname(f).toLowerCase()));
+                const replace = req.body.replace === 'true' || req.body.replace === '1';
+                if (existing.length && !replace) {
+                    console.log(`❌ [${requestId}] Font already exists: ${name}`);
+                    return res.status(409).json({
+                        error: 'Font already exists',
+                        message: `A font named "${name}" is already registered (use replace=true to overwrite)`
+                    });
+                }
+                await Promise.all(existing.map(f => fsp.unlink(path.join(config.FONTS_DIR, f))));
+
+                const extension = path.extname(req.file.originalname).toLowerCase();
+                const filename = `${name}${extension}`;
+                const filePath = path.join(config.FONTS_DIR, filename);
+                await fsp.writeFile(filePath, req.file.buffer);
+
+                const variable = !!(font.variationAxes && font.variationAxes.wght);
+
+                console.log(`✅ [${requestId}] Font registered successfully:`);
+                console.log(`   • Name: ${name}`);
+                console.log(`   • Family: ${font.familyName} ${font.subfamilyName}`);
+                console.log(`   • Variable: ${variable}`);
+                console.log(`   • File size: ${req.file.size} bytes`);
+                console.log(`   • Storage path: ${filePath}`);
+
+                res.status(existing.length ? 200 : 201).json({
+                    success: true,
+                    name: name,
+                    filename: filename,
+                    family: font.familyName,
+                    subfamily: font.subfamilyName,
+                    postscriptName: font.postscriptName,
+                    format: extension.slice(1),
+                    variable: variable,
+                    size: req.file.size,
+                    replaced: existing.length > 0,
+                    uploadTime: new Date().toISOString()
+                });
+            } catch (error) {
+                console.error(`💥 [${requestId}] Failed to store font:`, error.message);
+                res.status(500).json({
+                    error: 'Internal server error',
+                    message: 'An unexpected error occurred while storing the font'
+                });
+            }
+        });
+
+    } catch (error) {
+        console.error(`💥 [${requestId}] Unexpected error:`, error.message);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An unexpected error occurred during font upload'
+        });
+    }
+};
+
+/**
+ * Font listing endpoint handler
+ *
+ * GET /fonts
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - Configuration object with FONTS_DIR
+ */
+export const listFontsHandler = async (req, res, config) => {
+    const requestId = `fonts_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+        const fonts = listRegisteredFonts(config.FONTS_DIR);
+        console.log(`📋 [${requestId}] Listing ${fonts.length} registered fonts`);
+
+        res.status(200).json({
+            success: true,
+            count: fonts.length,
+            fonts: fonts
+        });
+    } catch (error) {
+        console.error(`💥 [${requestId}] Unexpected error:`, error.message);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An unexpected error occurred while listing fonts'
+        });
+    }
+};
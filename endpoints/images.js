@@ -0,0 +1,97 @@
+/**
+ * Stored Image Endpoints
+ *
+ * Listing and deletion of rendered images persisted with `store=true` on
+ * /overlay. Images are stored in MEDIA_DIR/images under a UUID and served
+ * publicly from /media/images/.
+ */
+
+import fsp from 'fs/promises';
+import path from 'path';
+import { FILE_ID_PATTERN, findStoredFile, listRenderedImages } from '../helpers/storedFiles.js';
+
+/**
+ * Stored image listing endpoint handler
+ *
+ * GET /images
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - Configuration object with DOMAIN and IMAGES_DIR
+ */
+export const listImagesHandler = async (req, res, config) => {
+    const requestId = `images_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+        const images = (await listRenderedImages(config.IMAGES_DIR))
+            .map(image => ({ ...image, url: `https://${config.DOMAIN}/media/images/${image.filename}` }));
+        console.log(`📋 [${requestId}] Listing ${images.length} stored images`);
+
+        res.status(200).json({
+            success: true,
+            count: images.length,
+            images: images
+        });
+    } catch (error) {
+        console.error(`💥 [${requestId}] Unexpected error:`, error.message);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An unexpected error occurred while listing images'
+        });
+    }
+};
+
+/**
+ * Stored image deletion endpoint handler
+ *
+ * DELETE /images/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - Configuration object with IMAGES_DIR
+ */
+export const deleteImageHandler = async (req, res, config) => {
+    const requestId = `image_delete_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const imageId = req.params.id;
+
+    console.log(`🗑️ [${requestId}] Starting image deletion for ID: ${imageId}`);
+
+    try {
+        if (!FILE_ID_PATTERN.test(imageId)) {
+            console.log(`❌ [${requestId}] Invalid image ID format: ${imageId}`);
+            return res.status(400).json({
+                error: 'Invalid image ID',
+                message: 'Image ID must be a valid UUID format'
+            });
+        }
+
+        const filePath = await findStoredFile(config.IMAGES_DIR, imageId);
+        if (!filePath) {
+            console.log(`❌ [${requestId}] Image not found: ${imageId}`);
+            return res.status(404).json({
+                error: 'Image not found',
+                message: `No image found with ID: ${imageId}`
+            });
+        }
+
+        const { size } = await fsp.stat(filePath);
+        await fsp.unlink(filePath);
+
+        console.log(`✅ [${requestId}] Image deleted: ${path.basename(filePath)} (${size} bytes)`);
+
+        res.status(200).json({
+            success: true,
+            id: imageId,
+            filename: path.basename(filePath),
+            size: size,
+            deletedAt: new Date().toISOString(),
+            message: 'Image deleted successfully'
+        });
+    } catch (error) {
+        console.error(`💥 [${requestId}] Unexpected delete error:`, error.message);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An unexpected error occurred during image deletion'
+        });
+    }
+};
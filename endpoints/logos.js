@@ -0,0 +1,276 @@
+/**
+ * Logo Registry Endpoints
+ *
+ * Handles upload, listing and deletion of logos for overlay rendering.
+ * Uploaded logos are stored in DATA_DIR/logos and can be selected per request
+ * with the `logo` parameter.
+ */
+
+import multer from 'multer';
+import sharp from 'sharp';
+import fsp from 'fs/promises';
+import path from 'path';
+import { LOGO_EXTENSIONS, findLogoFile, isValidLogoName, listRegisteredLogos } from '../helpers/logoRegistry.js';
+import { slugifyRegistryName } from '../helpers/registryNames.js';
+import { findUnsafeSvgMarkup } from '../helpers/svgMarkup.js';
+
+/**
+ * Maximum logo file size in bytes
+ */
+const MAX_LOGO_SIZE = 5 * 1024 * 1024; // 5MB
+
+/**
+ * Configure multer for logo uploads
+ *
+ * Logos are kept in memory so they can be decoded before anything is written to disk.
+ *
+ * @returns {Object} Multer configuration object
+ */
+const configureMulter = () => {
+    // File filter for SVG and PNG files (checked by extension, the content is verified with sharp)
+    const fileFilter = (req, file, cb) => {
+        const extension = path.extname(file.originalname).toLowerCase();
+        if (LOGO_EXTENSIONS.includes(extension)) {
+            cb(null, true);
+        } else {
+            cb(new Error(`Unsupported logo type: ${extension || file.mimetype}. Allowed: ${LOGO_EXTENSIONS.join(', ')}`), false);
+        }
+    };
+
+    return multer({
+        storage: multer.memoryStorage(),
+        fileFilter: fileFilter,
+        limits: {
+            fileSize: MAX_LOGO_SIZE,
+            files: 1 // Only one logo per upload
+        }
+    });
+};
+
+/**
+ * Logo upload endpoint handler
+ *
+ * POST /logos/upload
+ *
+ * Multipart fields:
+ * - file (required): SVG or PNG logo
+ * - name (optional): Registry name used in the `logo` parameter (default: derived from the file name)
+ * - replace (optional): Overwrite an existing logo with the same name (default: false)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - Configuration object with LOGOS_DIR
+ */
+export const uploadLogoHandler = async (req, res, config) => {
+    const requestId = `logo_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    console.log(`🏷️ [${requestId}] Starting logo upload...`);
+
+    try {
+        await fsp.mkdir(config.LOGOS_DIR, { recursive: true });
+
+        const upload = configureMulter();
+
+        upload.single('file')(req, res, async (err) => {
+            if (err) {
+                console.error(`❌ [${requestId}] Upload error:`, err.message);
+
+                if (err instanceof multer.MulterError) {
+                    if (err.code === 'LIMIT_FILE_SIZE') {
+                        return res.status(400).json({
+                            error: 'File too large',
+                            message: 'Logo size must be less than 5MB',
+                            maxSize: '5MB'
+                        });
+                    } else if (err.code === 'LIMIT_FILE_COUNT') {
+                        return res.status(400).json({
+                            error: 'Too many files',
+                            message: 'Only one logo per upload is allowed'
+                        });
+                    }
+                }
+
+                return res.status(400).json({
+                    error: 'Upload failed',
+                    message: err.message
+                });
+            }
+
+            if (!req.file) {
+                console.log(`❌ [${requestId}] No file provided`);
+                return res.status(400).json({
+                    error: 'No file provided',
+                    message: 'Please provide a logo file to upload'
+                });
+            }
+
+            try {
+                // Make sure the file really is an image of the format its extension claims
+                const extension = path.extname(req.file.originalname).toLowerCase();
+                let metadata;
+                try {
+                    metadata = await sharp(req.file.buffer).metadata();
+                } catch (parseError) {
+                    metadata = null;
+                }
+                if (!metadata || `.${metadata.format}` !== extension) {
+                    console.log(`❌ [${requestId}] Invalid logo file (${metadata ? metadata.format : 'unreadable'})`);
+                    return res.status(400).json({
+                        error: 'Invalid logo file',
+                        message: `The uploaded file could not be read as ${extension.slice(1).toUpperCase()}`
+                    });
+                }
+                const unsafe = metadata.format === 'svg' ? findUnsafeSvgMarkup(req.file.buffer.toString('utf8'), 'Logos') : null;
+                if (unsafe) {
+                    console.log(`❌ [${requestId}] Unsafe SVG logo: ${unsafe}`);
+                    return res.status(400).json({
+                        error: 'Invalid logo file',
+                        message: unsafe
+                    });
+                }
+
+                const name = req.body.name ? String(req.body.name).trim() : slugifyRegistryName(path.basename(req.file.originalname, extension));
+                if (!isValidLogoName(name)) {
+                    console.log(`❌ [${requestId}] Invalid logo name: ${name}`);
+                    return res.status(400).json({
+                        error: 'Invalid logo name',
+                        message: 'Logo name must be 1-64 characters of letters, digits, "-" or "_" (not true/false)'
+                    });
+                }
+
+                // A logo name maps to exactly one file, whatever its format
+                const existing = (await fsp.readdir(config.LOGOS_DIR))
+                    .filter(f => path.basename(f, path.extname(f)) === name && LOGO_EXTENSIONS.includes(path.extname(f).toLowerCase()));
+                const replace = req.body.replace === 'true' || req.body.replace === '1';
+                if (existing.length && !replace) {
+                    console.log(`❌ [${requestId}] Logo already exists: ${name}`);
+                    return res.status(409).json({
+                        error: 'Logo already exists',
+                        message: `A logo named "${name}" is already registered (use replace=true to overwrite)`
+                    });
+                }
+                await Promise.all(existing.map(f => fsp.unlink(path.join(config.LOGOS_DIR, f))));
+
+                const filename = `${name}${extension}`;
+                const filePath = path.join(config.LOGOS_DIR, filename);
+                await fsp.writeFile(filePath, req.file.buffer);
+
+                console.log(`✅ [${requestId}] Logo registered successfully:`);
+                console.log(`   • Name: ${name}`);
+                console.log(`   • Format: ${metadata.format} (${metadata.width}x${metadata.height})`);
+                console.log(`   • File size: ${req.file.size} bytes`);
+                console.log(`   • Storage path: ${filePath}`);
+
+                res.status(existing.length ? 200 : 201).json({
+                    success: true,
+                    name: name,
+                    filename: filename,
+                    format: metadata.format,
+                    width: metadata.width,
+                    height: metadata.height,
+                    size: req.file.size,
+                    replaced: existing.length > 0,
+                    uploadTime: new Date().toISOString()
+                });
+            } catch (error) {
+                console.error(`💥 [${requestId}] Failed to store logo:`, error.message);
+                res.status(500).json({
+                    error: 'Internal server error',
+                    message: 'An unexpected error occurred while storing the logo'
+                });
+            }
+        });
+
+    } catch (error) {
+        console.error(`💥 [${requestId}] Unexpected error:`, error.message);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An unexpected error occurred during logo upload'
+        });
+    }
+};
+
+/**
+ * Logo listing endpoint handler
+ *
+ * GET /logos
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - Configuration object with LOGOS_DIR
+ */
+export const listLogosHandler = async (req, res, config) => {
+    const requestId = `logos_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+        const logos = await listRegisteredLogos(config.LOGOS_DIR);
+        console.log(`📋 [${requestId}] Listing ${logos.length} registered logos`);
+
+        res.status(200).json({
+            success: true,
+            count: logos.length,
+            logos: logos
+        });
+    } catch (error) {
+        console.error(`💥 [${requestId}] Unexpected error:`, error.message);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An unexpected error occurred while listing logos'
+        });
+    }
+};
+
+/**
+ * Logo deletion endpoint handler
+ *
+ * DELETE /logos/:name
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - Configuration object with LOGOS_DIR
+ */
+export const deleteLogoHandler = async (req, res, config) => {
+    const requestId = `logo_delete_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const name = req.params.name;
+
+    console.log(`🗑️ [${requestId}] Starting logo deletion: ${name}`);
+
+    try {
+        if (!isValidLogoName(name)) {
+            console.log(`❌ [${requestId}] Invalid logo name: ${name}`);
+            return res.status(400).json({
+                error: 'Invalid logo name',
+                message: 'Logo name must be 1-64 characters of letters, digits, "-" or "_"'
+            });
+        }
+
+        const filePath = findLogoFile(config.LOGOS_DIR, name);
+        if (!filePath) {
+            console.log(`❌ [${requestId}] Logo not found: ${name}`);
+            return res.status(404).json({
+                error: 'Logo not found',
+                message: `No logo registered with name: ${name}`
+            });
+        }
+
+        const { size } = await fsp.stat(filePath);
+        await fsp.unlink(filePath);
+
+        console.log(`✅ [${requestId}] Logo deleted: ${path.basename(filePath)} (${size} bytes)`);
+
+        res.status(200).json({
+            success: true,
+            name: name,
+            filename: path.basename(filePath),
+            size: size,
+            deletedAt: new Date().toISOString(),
+            message: 'Logo deleted successfully'
+        });
+    } catch (error) {
+        console.error(`💥 [${requestId}] Unexpected delete error:`, error.message);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An unexpected error occurred during logo deletion'
+        });
+    }
+};
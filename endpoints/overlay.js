@@ -6,72 +6,339 @@
  */
 
 import sharp from 'sharp';
-import fetch from 'node-fetch';
-import { makeSvg } from '../helpers.js';
+import multer from 'multer';
+import { buildOverlaySvg, normalizeBodyParams, parseFitOptions, parseHyphenationOptions, parseLayoutOptions, parseScrimOptions, parseStyleOptions } from '../helpers.js';
+import { findFontFile, resolveFontOptions } from '../helpers/fontRegistry.js';
+import { OUTPUT_FORMATS, parseOutputOptions } from '../helpers/outputFormat.js';
+import { parseCropOptions } from '../helpers/imageCrop.js';
+import { resolveLogoOptions } from '../helpers/logoRegistry.js';
+import { applyBrandKit } from '../helpers/brandKits.js';
+import { isStoreRef, resolveStoreRef, saveRenderedImage } from '../helpers/storedFiles.js';
+import { composeOverlayImage, loadSourceImage, prepareBaseImage } from '../helpers/overlayRender.js';
+import { chooseTitleColors, measureTitleBackground, parseAutoColorOptions } from '../helpers/autoColor.js';
+import { parseQrOptions } from '../helpers/qrCode.js';
+import { renderTemplate, resolveTemplateOptions } from '../helpers/templateRegistry.js';
+import { computeRenderKey, matchesEtag } from '../helpers/renderCache.js';
+import { readCacheEntry, writeCacheEntry } from '../helpers/diskCache.js';
+import { RemoteFetchError } from '../helpers/remoteFetch.js';
 
 /**
  * Main API endpoint for image overlay generation
  * 
- * GET /overlay?img=<url>&title=<text>&source=<text>&w=<width>&h=<height>&maxLines=<number>&logo=<boolean>
+ * GET /overlay?img=<url>&title=<text>&source=<text>&w=<width>&h=<height>&maxLines=<number>&logo=<boolean|name>
  * 
  * Parameters:
- * - img (required): URL of the source image
+ * - img (required unless transparent=true): URL of the source image or store:<uuid> of an uploaded file
  * - title (optional): Text to overlay (no character limit, will wrap and truncate as needed)
  * - source (optional): Source attribution text (no character limit)
  * - w (optional): Output width in pixels (default: 1080)
  * - h (optional): Output height in pixels (default: 1350)
  * - maxLines (optional): Maximum number of lines for title text (default: 5)
- * - logo (optional): Whether to overlay Logo.svg in bottom-left corner (default: false)
+ * - logo (optional): true for the default Logo.svg or the name of a registered logo (see POST /logos/upload) (default: false)
+ * - logoPosition (optional): Logo corner: bottom-left, bottom-right, top-left, top-right (default: bottom-left)
+ * - logoX, logoY (optional): Custom logo position (top-left corner) in percent of the image, overrides logoPosition
+ * - logoScale (optional): Logo width as a fraction of the image width, 0.01-1 (default: native size at 1080px width)
+ * - logoOpacity (optional): Logo opacity 0-1 (default: 1)
+ * - qr (optional): Text or URL to encode as a QR code in a corner (default: none)
+ * - qrPosition (optional): QR code corner: bottom-left, bottom-right, top-left, top-right; must not be the corner of the
+ *   source text or the logo (default: the first free corner of bottom-right, bottom-left, top-right, top-left)
+ * - qrSize (optional): QR code width in pixels at 1080px image width, 50-1080, scales with w (default: 200)
+ * - qrEcc (optional): Error-correction level L, M, Q or H (default: M)
+ * - qrColor, qrBackground (optional): Module and background colors, background also transparent (default: #000000, #ffffff)
+ * - qrMargin (optional): Quiet zone in modules, 0-10 (default: 4)
+ * - crop (optional): Crop strategy when the aspect ratio differs: center, attention, entropy (default: center)
+ * - fx, fy (optional): Focal point 0-1 the crop window is centered on (default: 0.5, only with crop=center)
+ * - fit (optional): true to auto-fit the title font size instead of truncating with ellipsis (default: false);
+ *   blurfill or color to contain the whole image over a blurred copy of itself or a solid color instead of cropping
+ * - contain (optional): blurfill or color like fit, so a contain mode can be combined with fit=true (default: none)
+ * - fillColor (optional): Background of fit=color as hex, or auto for the dominant image color (default: auto)
+ * - minFontSize (optional): Smallest title font size in fit mode, in pixels (default: 3.5% of min(w, h))
+ * - maxFontSize (optional): Largest title font size in fit mode, in pixels (default: 9% of min(w, h))
+ * - lang (optional): Hyphenation language for words wider than the line (default: de, then en)
+ * - hyphenate (optional): Hyphenate long words before hard-breaking them (default: true)
+ * 
+ * - valign (optional): Vertical title position inside the text box: top, middle, bottom (default: top)
+ * - align (optional): Horizontal title alignment: left, center, right (default: center)
+ * - boxX, boxY, boxW, boxH (optional): Title text box in percent of the image (default: 8, 8, 84, 70)
+ * - sourcePos (optional): Source corner: bottom-right, bottom-left, top-right, top-left (default: bottom-right)
+ * - scrim (optional): Contrast background behind the title: none, gradient, panel, darken (default: none)
+ * - scrimColor (optional): Scrim color as hex (default: 000000)
+ * - scrimOpacity (optional): Scrim opacity 0-1 (default: 0.6 gradient, 0.5 panel, 0.35 darken)
+ * - scrimRadius (optional): Corner radius of the panel scrim in pixels (default: 30% of title font size)
+ * - style (optional): JSON text styles {"title": {...}, "source": {...}} with fill, stroke, strokeWidth,
+ *   fontWeight, letterSpacing, lineHeight, shadow and highlight (title only: lineHeight, highlight)
+ * - titleColor, titleStroke, titleStrokeWidth, titleWeight, letterSpacing, lineHeight (optional): Title style shortcuts
+ * - shadow, shadowColor, shadowOpacity, shadowBlur (optional): Drop shadow behind the title
+ * - highlight, highlightColor, highlightOpacity (optional): Colored box behind each title line
+ * - sourceColor, sourceStroke, sourceStrokeWidth, sourceWeight, sourceShadow (optional): Source style shortcuts
+ * - autoColor (optional): Pick title fill, stroke and scrim strength from the brightness under the title (default: false);
+ *   explicit titleColor/titleStroke and scrimOpacity are kept
+ * - minContrast (optional): Target WCAG contrast ratio of autoColor, 1-21 (default: 4.5)
+ * - font (optional): Registered custom font (see POST /fonts/upload) for title and source
+ * - titleFont, sourceFont (optional): Registered custom font for the title or the source only (override font)
+ * - template (optional): Registered SVG template (see POST /templates/upload) instead of the generated text layout;
+ *   title and source are wrapped into its text boxes, the output size is the template size (w and h are ignored)
+ *   and valign, align, box*, sourcePos, scrim*, style, fit and autoColor don't apply
+ * - brand (optional): Brand kit with default parameters (see POST /brands); explicit parameters override kit values
+ * - format (optional): Output format: jpeg, png, webp, avif (default: negotiated from the Accept header, else jpeg)
+ * - quality (optional): Encoder quality 1-100 (default: 88 jpeg, 82 webp, 55 avif; png is lossless unless set)
+ * - progressive, mozjpeg (optional): JPEG encoder options (default: false)
+ * - transparent (optional): Render the overlay on a transparent canvas instead of an image (default: false, png)
+ * - store (optional): Save the image in MEDIA_DIR/images and return JSON with id, url, width, height, size and format (default: false)
+ * 
+ * The chosen title font size is returned in the X-Title-Font-Size response header
+ * (with a template: the font size of its title box, if it has one),
+ * X-Title-Truncated reports whether an ellipsis had to be applied and X-Crop-Rect
+ * the crop window in source pixels as "left,top,width,height". With autoColor,
+ * X-Title-Contrast reports the worst-case contrast ratio of the title and
+ * X-Title-Contrast-Image the ratio against the image alone (before a scrim).
+ * 
+ * Renders are cached by parsed options and source image bytes (see
+ * helpers/renderCache.js): image responses carry the cache key as ETag plus
+ * a private Cache-Control, a matching If-None-Match is answered with 304 and
+ * X-Render-Cache reports hit or miss.
  * 
  * Processes an image by:
- * 1. Fetching the source image from the provided URL
- * 2. Generating an SVG overlay with the specified text
- * 3. Compositing the overlay onto the image
- * 4. Adding logo overlay if requested
- * 5. Returning the final image as JPEG
+ * 1. Fetching the source image from the provided URL (or creating a transparent canvas)
+ * 2. Returning a cached render of the same parameters and image bytes, if any
+ * 3. Generating an SVG overlay with the specified text
+ * 4. Compositing the overlay onto the image
+ * 5. Adding logo and QR code overlays if requested
+ * 6. Returning the final image in the requested output format (or storing it with store=true)
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @param {Object} config - Configuration object with DOMAIN, MEDIA_DIR, IMAGES_DIR, FONTS_DIR, LOGOS_DIR, LOGO_PATH, TEMPLATES_DIR, BRANDS_DIR, FETCH_OPTIONS and RENDER_CACHE_* settings
+ */
+export const overlayHandler = (req, res, config) => renderOverlay(req, res, config, req.query, null);
+
+/**
+ * Maximum size of an image sent with POST /overlay in bytes
+ */
+const MAX_UPLOAD_SIZE = 25 * 1024 * 1024; // 25MB
+
+/**
+ * Configure multer for source image uploads
+ *
+ * The image is kept in memory and goes straight into the Sharp pipeline.
+ *
+ * @returns {Object} Multer configuration object
+ */
+const configureMulter = () => multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype.startsWith('image/') || file.mimetype === 'application/octet-stream') {
+            cb(null, true);
+        } else {
+            cb(new Error(`Unsupported image type: ${file.mimetype}`), false);
+        }
+    },
+    limits: {
+        fileSize: MAX_UPLOAD_SIZE,
+        files: 1 // Only one source image per request
+    }
+});
+
+/**
+ * Decodes an inline image from a data URI (`img`) or plain base64 (`imgBase64`)
+ *
+ * @param {Object} params - Request parameters
+ * @returns {{buffer: Buffer|null, error: string|null}} Decoded image (null when the image is a URL) or an error
+ */
+const decodeInlineImage = (params) => {
+    let base64 = params.imgBase64;
+    if (base64 === undefined && /^data:/i.test(params.img || '')) {
+        const match = /^data:image\/[a-z0-9.+-]+;base64,(.*)$/is.exec(params.img);
+        if (!match) return { buffer: null, error: 'Invalid img data URI. Expected data:image/<type>;base64,<data>' };
+        base64 = match[1];
+    }
+    if (base64 === undefined) return { buffer: null, error: null };
+
+    const cleaned = String(base64).replace(/\s+/g, '');
+    if (!cleaned || !/^[A-Za-z0-9+/_-]+={0,2}$/.test(cleaned)) {
+        return { buffer: null, error: 'Invalid base64 image data' };
+    }
+    return { buffer: Buffer.from(cleaned, 'base64'), error: null };
+};
+
+/**
+ * POST variant of the overlay endpoint
+ *
+ * POST /overlay
+ *
+ * Accepts the same parameters as GET /overlay, either as
+ * - multipart/form-data: source image in the `img` file field, other parameters as fields, or
+ * - application/json: parameters as JSON values, with `img` as URL or data URI, or `imgBase64` as plain base64.
+ * Query string parameters are used as defaults for body values. Validation,
+ * rendering and response headers are the same as for the GET handler.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - Configuration object with DOMAIN, MEDIA_DIR, IMAGES_DIR, FONTS_DIR, LOGOS_DIR, LOGO_PATH, TEMPLATES_DIR, BRANDS_DIR, FETCH_OPTIONS and RENDER_CACHE_* settings
  */
-export const overlayHandler = async (req, res) => {
+export const overlayPostHandler = async (req, res, config) => {
+    const requestId = Math.random().toString(36).substr(2, 9);
+
+    // Renders with the parameters and an inline image after verifying it can be decoded
+    const render = async (params, buffer, origin) => {
+        if (buffer) {
+            try {
+                await sharp(buffer).metadata();
+            } catch (error) {
+                console.log(`❌ [${requestId}] Unreadable ${origin} image: ${error.message}`);
+                return res.status(400).json({ error: 'Invalid image data. The image could not be decoded.' });
+            }
+        }
+        return renderOverlay(req, res, config, { ...req.query, ...params }, buffer ? { buffer, origin } : null);
+    };
+
+    if (req.is('multipart/form-data')) {
+        return configureMulter().single('img')(req, res, async (err) => {
+            if (err) {
+                console.log(`❌ [${requestId}] Upload error: ${err.message}`);
+                if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+                    return res.status(413).json({ error: 'Image too large. Maximum upload size is 25MB.' });
+                }
+                return res.status(400).json({ error: `Upload failed: ${err.message}` });
+            }
+            const params = { ...req.body };
+            if (req.file) {
+                delete params.img;
+                return render(params, req.file.buffer, 'uploaded');
+            }
+            const { buffer, error } = decodeInlineImage(params);
+            if (error) return res.status(400).json({ error });
+            return render(params, buffer, 'inline');
+        });
+    }
+
+    if (!req.is('application/json') || typeof req.body !== 'object' || req.body === null || Array.isArray(req.body)) {
+        console.log(`❌ [${requestId}] Unsupported POST body (${req.get('Content-Type') || 'none'})`);
+        return res.status(415).json({ error: 'Unsupported body. Send multipart/form-data with an img file or a JSON object.' });
+    }
+
+    const params = normalizeBodyParams(req.body);
+    const { buffer, error } = decodeInlineImage(params);
+    if (error) {
+        console.log(`❌ [${requestId}] ${error}`);
+        return res.status(400).json({ error });
+    }
+    if (buffer) {
+        delete params.img;
+        delete params.imgBase64;
+    }
+    return render(params, buffer, 'inline');
+};
+
+/**
+ * Shared validation and rendering path of GET and POST /overlay
+ *
+ * @param {Object} req - Express request object (used for the Accept header)
+ * @param {Object} res - Express response object
+ * @param {Object} config - Configuration object
+ * @param {Object} params - Request parameters (query string or POST body)
+ * @param {Object|null} upload - Image sent with the request ({buffer, origin}) or null to fetch `img`
+ */
+const renderOverlay = async (req, res, config, params, upload) => {
     const requestId = Math.random().toString(36).substr(2, 9); // Generate unique request ID
     const startTime = Date.now();
 
-    console.log(`🚀 [${requestId}] New overlay request started`);
+    console.log(`🚀 [${requestId}] New overlay request started (${upload ? `${upload.origin}, ${upload.buffer.length} bytes` : req.method})`);
     console.log(`📋 [${requestId}] Request parameters:`, {
-        img: req.query.img ? 'provided' : 'missing',
-        title: req.query.title ? `"${req.query.title.substring(0, 50)}${req.query.title.length > 50 ? '...' : ''}"` : 'none',
-        source: req.query.source ? `"${req.query.source}"` : 'none',
-        w: req.query.w || 'default (1080)',
-        h: req.query.h || 'default (1350)',
-        maxLines: req.query.maxLines || 'default (5)',
-        logo: req.query.logo || 'default (false)'
+        img: upload ? 'uploaded' : params.img ? 'provided' : 'missing',
+        title: params.title ? `"${params.title.substring(0, 50)}${params.title.length > 50 ? '...' : ''}"` : 'none',
+        source: params.source ? `"${params.source}"` : 'none',
+        w: params.w || 'default (1080)',
+        h: params.h || 'default (1350)',
+        maxLines: params.maxLines || 'default (5)',
+        logo: params.logo || 'default (false)',
+        qr: params.qr ? 'provided' : 'none',
+        crop: params.crop || (params.fx || params.fy ? 'focal point' : 'default (center)'),
+        contain: params.contain || 'default (none)',
+        fit: params.fit || 'default (false)',
+        valign: params.valign || 'default (top)',
+        align: params.align || 'default (center)',
+        sourcePos: params.sourcePos || 'default (bottom-right)',
+        scrim: params.scrim || 'default (none)',
+        autoColor: params.autoColor || 'default (false)',
+        style: params.style ? 'provided' : 'default',
+        font: params.font || params.titleFont || params.sourceFont ? 'custom' : 'default',
+        template: params.template || 'none',
+        brand: params.brand || 'none',
+        format: params.format || `negotiated (${req.get('Accept') || 'none'})`,
+        transparent: params.transparent || 'default (false)',
+        store: params.store || 'default (false)'
     });
 
     try {
         // === PARAMETER EXTRACTION AND VALIDATION ===
 
-        // Extract and validate required image URL parameter
-        const img = req.query.img;                 // Public URL of source image
-        if (!img) {
+        // Apply the brand kit defaults (explicit parameters win)
+        const { query, brand, error: brandError, status: brandStatus } = await applyBrandKit(params, config.BRANDS_DIR);
+        if (brandError) {
+            console.log(`❌ [${requestId}] Invalid brand parameter: ${brandError}`);
+            return res.status(brandStatus).json({ error: brandError });
+        }
+        if (brand) {
+            console.log(`🎨 [${requestId}] Using brand kit: ${brand}`);
+        }
+
+        // Validate output format parameters (format, quality, transparent canvas)
+        const { options: outputOptions, error: outputError } = parseOutputOptions(query, req.get('Accept'));
+        if (outputError) {
+            console.log(`❌ [${requestId}] Invalid output parameters: ${outputError}`);
+            return res.status(400).json({ error: outputError });
+        }
+
+        // Persist the result under MEDIA_DIR/images and answer with JSON instead of the image bytes
+        const store = query.store === undefined ? 'false' : String(query.store).toLowerCase();
+        if (!['true', 'false', '1', '0'].includes(store)) {
+            console.log(`❌ [${requestId}] Invalid store parameter: ${query.store}`);
+            return res.status(400).json({ error: 'Invalid store. Must be true or false.' });
+        }
+        const storeResult = store === 'true' || store === '1';
+
+        // Extract and validate image URL parameter (not needed for an uploaded image or a transparent overlay-only layer)
+        const img = query.img;                     // Public URL of source image
+        if (!img && !upload && !outputOptions.transparent) {
             console.log(`❌ [${requestId}] Missing required parameter: img`);
             return res.status(400).json({ error: 'img required' });
         }
 
+        // Stored file reference (store:<uuid>) instead of a URL
+        let storedPath = null;
+        if (!upload && isStoreRef(img)) {
+            const { path: filePath, error: storeError, status: storeStatus } = await resolveStoreRef(img, config.MEDIA_DIR);
+            if (storeError) {
+                console.log(`❌ [${requestId}] Invalid stored file reference: ${storeError}`);
+                return res.status(storeStatus).json({ error: storeError });
+            }
+            storedPath = filePath;
+        }
+
         // Extract text parameters (no character limits - will be handled by wrapping/truncation)
-        const title = req.query.title || '';       // Title text (no character limit)
-        const source = req.query.source || '';     // Source text (no character limit)
+        const title = query.title || '';           // Title text (no character limit)
+        const source = query.source || '';         // Source text (no character limit)
+
+        // Resolve the SVG template (unknown templates are a 404); it replaces the generated text layout
+        const { options: template, error: templateError, status: templateStatus } = await resolveTemplateOptions(query, config.TEMPLATES_DIR);
+        if (templateError) {
+            console.log(`❌ [${requestId}] Invalid template parameter: ${templateError}`);
+            return res.status(templateStatus).json({ error: templateError });
+        }
+        if (template && template.hasImage && outputOptions.transparent) {
+            console.log(`❌ [${requestId}] Template ${template.name} places the image on a transparent canvas`);
+            return res.status(400).json({ error: `Template ${template.name} places the source image ({{image}}) and can't be combined with transparent=true.` });
+        }
 
         // Extract dimensions with Instagram-native defaults (optional parameters)
-        // Instagram's native post size is 1080x1350 (4:5 aspect ratio)
-        const W = Number(req.query.w || 1080);     // Width (optional, default: 1080px)
-        const H = Number(req.query.h || 1350);     // Height (optional, default: 1350px)
+        // Instagram's native post size is 1080x1350 (4:5 aspect ratio); a template brings its own size
+        const W = template ? template.width : Number(query.w || 1080);         // Width (optional, default: 1080px)
+        const H = template ? template.height : Number(query.h || 1350);        // Height (optional, default: 1350px)
 
         // Extract maxLines parameter with default of 5
-        const maxLines = Number(req.query.maxLines || 5);  // Max lines for title (optional, default: 5)
+        const maxLines = Number(query.maxLines || 5);      // Max lines for title (optional, default: 5)
 
-        // Extract logo parameter (boolean, default: false)
-        const logo = req.query.logo === 'true' || req.query.logo === '1';  // Logo overlay (optional, default: false)
 
         // Validate dimensions are reasonable (prevent abuse)
         if (W < 100 || W > 4000 || H < 100 || H > 4000) {
@@ -85,105 +352,244 @@ export const overlayHandler = async (req, res) => {
             return res.status(400).json({ error: 'Invalid maxLines. Must be between 1 and 20.' });
         }
 
-        console.log(`✅ [${requestId}] Parameters validated successfully`);
-        console.log(`📐 [${requestId}] Processing image: ${W}x${H}, maxLines: ${maxLines}, logo: ${logo}`);
+        // Validate crop parameters
+        const { options: cropOptions, error: cropError } = parseCropOptions(query);
+        if (cropError) {
+            console.log(`❌ [${requestId}] Invalid crop parameters: ${cropError}`);
+            return res.status(400).json({ error: cropError });
+        }
 
-        // === IMAGE FETCHING ===
+        // Validate title fit-mode parameters
+        const { options: fitOptions, error: fitError } = parseFitOptions(query, Math.min(W, H));
+        if (fitError) {
+            console.log(`❌ [${requestId}] Invalid fit parameters: ${fitError}`);
+            return res.status(400).json({ error: fitError });
+        }
+
+        // Validate hyphenation parameters
+        const { options: hyphenationOptions, error: hyphenationError } = parseHyphenationOptions(query);
+        if (hyphenationError) {
+            console.log(`❌ [${requestId}] Invalid hyphenation parameters: ${hyphenationError}`);
+            return res.status(400).json({ error: hyphenationError });
+        }
+
+        // Validate title layout parameters
+        const { options: layoutOptions, error: layoutError } = parseLayoutOptions(query);
+        if (layoutError) {
+            console.log(`❌ [${requestId}] Invalid layout parameters: ${layoutError}`);
+            return res.status(400).json({ error: layoutError });
+        }
+
+        // Validate scrim parameters
+        const { options: scrimOptions, error: scrimError } = parseScrimOptions(query);
+        if (scrimError) {
+            console.log(`❌ [${requestId}] Invalid scrim parameters: ${scrimError}`);
+            return res.status(400).json({ error: scrimError });
+        }
+
+        // Validate text style parameters
+        const { options: styleOptions, error: styleError } = parseStyleOptions(query);
+        if (styleError) {
+            console.log(`❌ [${requestId}] Invalid style parameters: ${styleError}`);
+            return res.status(400).json({ error: styleError });
+        }
 
-        console.log(`🌐 [${requestId}] Fetching image from URL...`);
-        const fetchStart = Date.now();
+        // Validate automatic text color parameters (needs a source image to measure)
+        const { options: autoColorOptions, error: autoColorError } = parseAutoColorOptions(query);
+        if (autoColorError) {
+            console.log(`❌ [${requestId}] Invalid autoColor parameters: ${autoColorError}`);
+            return res.status(400).json({ error: autoColorError });
+        }
+        if (autoColorOptions.enabled && outputOptions.transparent) {
+            console.log(`❌ [${requestId}] autoColor requested for a transparent canvas`);
+            return res.status(400).json({ error: 'autoColor needs a source image and can\'t be combined with transparent=true.' });
+        }
+        if (autoColorOptions.enabled && template) {
+            console.log(`❌ [${requestId}] autoColor requested with template ${template.name}`);
+            return res.status(400).json({ error: 'autoColor can\'t be combined with template. Text colors come from the template.' });
+        }
 
-        // Fetch the source image from the provided URL
-        const resp = await fetch(img);
-        if (!resp.ok) {
-            console.log(`❌ [${requestId}] Failed to fetch image: ${resp.status} ${resp.statusText}`);
-            throw new Error('fetch image failed');
+        // Resolve registered custom fonts (unknown fonts are a 404)
+        const { options: fontOptions, error: fontError, status: fontStatus } = resolveFontOptions(query, config.FONTS_DIR);
+        if (fontError) {
+            console.log(`❌ [${requestId}] Invalid font parameters: ${fontError}`);
+            return res.status(fontStatus).json({ error: fontError });
         }
 
-        // Convert response to buffer for Sharp processing
-        const buf = Buffer.from(await resp.arrayBuffer());
-        const fetchTime = Date.now() - fetchStart;
+        // Resolve logo and placement parameters (unknown registered logos are a 404)
+        const { options: logo, error: logoError, status: logoStatus } = resolveLogoOptions(query, config);
+        if (logoError) {
+            console.log(`❌ [${requestId}] Invalid logo parameters: ${logoError}`);
+            return res.status(logoStatus).json({ error: logoError });
+        }
 
-        console.log(`✅ [${requestId}] Image fetched successfully (${buf.length} bytes, ${fetchTime}ms)`);
+        // Encode the QR code; it shares the corners with the source text and the logo
+        const takenCorners = {};
+        if (source && !template) takenCorners[layoutOptions.sourcePosition] = 'source text';
+        if (logo && logo.x === undefined) takenCorners[logo.position] = 'logo';
+        const { options: qr, error: qrError } = parseQrOptions(query, takenCorners);
+        if (qrError) {
+            console.log(`❌ [${requestId}] Invalid QR code parameters: ${qrError}`);
+            return res.status(400).json({ error: qrError });
+        }
 
-        // === OVERLAY GENERATION AND COMPOSITING ===
+        console.log(`✅ [${requestId}] Parameters validated successfully`);
+        console.log(`📐 [${requestId}] Processing image: ${W}x${H}, maxLines: ${maxLines}, template: ${template ? template.name : false}, logo: ${logo ? logo.name : false}, qr: ${qr ? `version ${qr.code.version}-${qr.level}` : false}, format: ${outputOptions.format}`);
 
-        console.log(`🎨 [${requestId}] Generating SVG overlay...`);
-        const svgStart = Date.now();
+        // === IMAGE FETCHING ===
 
-        // Generate SVG overlay with calculated text positioning
-        const svg = Buffer.from(makeSvg(W, H, title, source, maxLines));
-        const svgTime = Date.now() - svgStart;
+        let buf = null;
+        if (upload) {
+            // Image sent with the request (multipart upload or base64 / data URI)
+            buf = upload.buffer;
+            console.log(`📥 [${requestId}] Using ${upload.origin} image (${buf.length} bytes)`);
+        } else if (!outputOptions.transparent) {
+            buf = await loadSourceImage(img, storedPath, requestId, config.FETCH_OPTIONS);
+        }
 
-        console.log(`✅ [${requestId}] SVG overlay generated (${svg.length} bytes, ${svgTime}ms)`);
+        // === RENDER CACHE ===
+
+        // Identical parameters and source bytes render identically, so the cache key doubles as ETag
+        let cacheKey = null;
+        if (config.RENDER_CACHE_MAX_BYTES > 0) {
+            const fontFiles = [fontOptions.titleFont, fontOptions.sourceFont].map(name => name ? findFontFile(config.FONTS_DIR, name) : null);
+            const renderOptions = {
+                W, H, maxLines, title, source,
+                template: template ? template.name : null,
+                crop: cropOptions,
+                text: { ...fitOptions, ...hyphenationOptions, ...layoutOptions, ...scrimOptions, ...styleOptions, ...fontOptions },
+                autoColor: autoColorOptions.enabled ? autoColorOptions : null,
+                logo: logo ? { ...logo, name: undefined } : null,
+                qr: qr ? { ...qr, code: undefined } : null
+            };
+            cacheKey = await computeRenderKey(renderOptions, outputOptions, buf, [logo ? logo.file : null, template ? template.file : null, ...fontFiles]);
+        }
 
-        // Prepare composite operations array
-        const compositeOps = [{ input: svg, top: 0, left: 0 }];
+        if (outputOptions.negotiated) res.vary('Accept');
+        if (cacheKey && !storeResult) {
+            res.set('ETag', `"${cacheKey}"`);
+            // Renders are API-key protected and may come from credential-protected sources: no shared caches
+            res.set('Cache-Control', `private, max-age=${config.RENDER_CACHE_MAX_AGE}`);
+            if (matchesEtag(req.get('If-None-Match'), `"${cacheKey}"`)) {
+                console.log(`♻️ [${requestId}] Client copy is current (304, ${Date.now() - startTime}ms)`);
+                return res.status(304).end();
+            }
+        }
 
-        // Add logo overlay if requested
-        if (logo) {
-            console.log(`🏷️ [${requestId}] Processing logo overlay...`);
-            const logoStart = Date.now();
+        let rendered = cacheKey ? await readCacheEntry(config.RENDER_CACHE_DIR, cacheKey) : null;
+        const cacheHit = rendered !== null;
+        if (cacheHit) {
+            console.log(`♻️ [${requestId}] Render cache hit ${cacheKey.substring(0, 12)} (${rendered.buffer.length} bytes)`);
+        } else {
+            // Overlay-only layers use a fully transparent canvas instead of the source image;
+            // templates that place the image themselves ({{image}}) are drawn on white
+            let base;
+            let cropRect = null;
+            if (template && template.hasImage) {
+                base = sharp({ create: { width: W, height: H, channels: 4, background: { r: 255, g: 255, b: 255, alpha: 1 } } });
+            } else {
+                ({ base, cropRect } = await prepareBaseImage(outputOptions.transparent ? null : buf, W, H, cropOptions, requestId));
+            }
 
-            try {
-                // Read Logo.svg from the project root
-                const fs = await import('fs');
-                const logoPath = './Logo.svg';
-                const logoBuffer = fs.readFileSync(logoPath);
-
-                console.log(`📁 [${requestId}] Logo file read (${logoBuffer.length} bytes)`);
-
-                // Calculate logo position (bottom-left corner)
-                // Use logo as-is from SVG file with 50px padding from image border
-                const logoPadding = 50;
-
-                // Convert SVG to PNG without resizing (use original dimensions)
-                const logoPng = await sharp(logoBuffer)
-                    .png()
-                    .toBuffer();
-
-                // Get the actual dimensions of the logo
-                const logoMetadata = await sharp(logoPng).metadata();
-                const logoHeight = logoMetadata.height;
-                const logoWidth = logoMetadata.width;
-
-                console.log(`📏 [${requestId}] Logo dimensions: ${logoWidth}x${logoHeight}`);
-
-                // Add logo to composite operations (bottom-left corner)
-                compositeOps.push({
-                    input: logoPng,
-                    top: H - logoHeight - logoPadding,
-                    left: logoPadding
+            // === OVERLAY GENERATION AND COMPOSITING ===
+
+            console.log(`🎨 [${requestId}] Generating SVG overlay${template ? ` from template ${template.name}` : ''}...`);
+            const svgStart = Date.now();
+
+            // Generate SVG overlay with calculated text positioning, or fill the template's text boxes
+            const svgOptions = { ...fitOptions, ...hyphenationOptions, ...layoutOptions, ...scrimOptions, ...styleOptions, ...fontOptions };
+            let layout = template
+                ? await renderTemplate(template, { title, source, image: buf }, { maxLines, ...hyphenationOptions, ...fontOptions })
+                : buildOverlaySvg(W, H, title, source, maxLines, svgOptions);
+
+            // Automatic text color: measure the background under the laid out title block,
+            // then render again with the chosen colors and scrim (the layout stays the same)
+            let contrast = null;
+            if (autoColorOptions.enabled && layout.titleBlock) {
+                const background = await measureTitleBackground(base, layout.titleBlock, W, H);
+                const titleStyle = styleOptions.style.title;
+                contrast = chooseTitleColors(background, {
+                    minContrast: autoColorOptions.minContrast,
+                    fill: titleStyle.fill,
+                    stroke: titleStyle.stroke,
+                    scrim: scrimOptions.scrim
                 });
+                console.log(`🌗 [${requestId}] Auto color: ${contrast.fill} on stroke ${contrast.stroke}, scrim ${contrast.scrim ? `${contrast.scrim.type} ${contrast.scrim.opacity ?? 'default'}` : 'none'}, contrast ${contrast.backgroundContrast.toFixed(2)} → ${contrast.contrast.toFixed(2)} (target ${autoColorOptions.minContrast}, background stdev ${background.stdev.toFixed(1)})`);
 
-                const logoTime = Date.now() - logoStart;
-                console.log(`✅ [${requestId}] Logo processed successfully (${logoTime}ms)`);
-            } catch (logoError) {
-                // If logo file doesn't exist or can't be read, continue without logo
-                console.warn(`⚠️ [${requestId}] Logo.svg not found or could not be read:`, logoError.message);
+                layout = buildOverlaySvg(W, H, title, source, maxLines, {
+                    ...svgOptions,
+                    scrim: contrast.scrim,
+                    style: { ...styleOptions.style, title: { ...titleStyle, fill: contrast.fill, stroke: contrast.stroke } }
+                });
             }
-        }
+            const svg = Buffer.from(layout.svg);
+            const svgTime = Date.now() - svgStart;
 
-        // Process image with Sharp:
-        // 1. Resize to target dimensions (cover mode maintains aspect ratio)
-        // 2. Composite the SVG overlay and logo on top
-        // 3. Convert to JPEG with 88% quality (good balance of size/quality)
-        console.log(`🖼️ [${requestId}] Processing image with Sharp (${compositeOps.length} overlays)...`);
-        const sharpStart = Date.now();
+            console.log(`✅ [${requestId}] SVG overlay generated (${svg.length} bytes, ${svgTime}ms, title ${layout.titleFontSize ?? 'none'}px)`);
 
-        const out = await sharp(buf).resize(W, H, { fit: 'cover' })
-            .composite(compositeOps)
-            .jpeg({ quality: 88 })
-            .toBuffer();
+            const out = await composeOverlayImage(base, [svg], logo, qr, W, H, outputOptions, requestId);
 
-        const sharpTime = Date.now() - sharpStart;
-        console.log(`✅ [${requestId}] Image processing completed (${out.length} bytes, ${sharpTime}ms)`);
+            // Render details reported in the response (and restored from the cache)
+            const headers = { 'X-Title-Truncated': String(layout.truncated) };
+            if (layout.titleFontSize !== null) headers['X-Title-Font-Size'] = String(layout.titleFontSize);
+            if (cropRect) headers['X-Crop-Rect'] = `${cropRect.left},${cropRect.top},${cropRect.width},${cropRect.height}`;
+            if (contrast) {
+                headers['X-Title-Contrast'] = contrast.contrast.toFixed(2);
+                headers['X-Title-Contrast-Image'] = contrast.backgroundContrast.toFixed(2);
+            }
+            rendered = {
+                buffer: out,
+                meta: {
+                    headers,
+                    titleFontSize: layout.titleFontSize,
+                    titleTruncated: layout.truncated,
+                    titleContrast: contrast ? Number(contrast.contrast.toFixed(2)) : null
+                }
+            };
+
+            if (cacheKey) {
+                try {
+                    const evicted = await writeCacheEntry(config.RENDER_CACHE_DIR, cacheKey, out, rendered.meta, config.RENDER_CACHE_MAX_BYTES);
+                    console.log(`💾 [${requestId}] Render cached as ${cacheKey.substring(0, 12)}${evicted ? ` (${evicted} old entries evicted)` : ''}`);
+                } catch (cacheError) {
+                    // A full or read-only disk must not fail the request
+                    console.warn(`⚠️ [${requestId}] Could not write render cache:`, cacheError.message);
+                }
+            }
+        }
 
         // === RESPONSE ===
 
         // Set appropriate headers and send the processed image
-        res.set('Content-Type', 'image/jpeg');
-        res.send(out);
+        const out = rendered.buffer;
+        res.set(rendered.meta.headers);
+        if (cacheKey) res.set('X-Render-Cache', cacheHit ? 'hit' : 'miss');
+
+        if (storeResult) {
+            // Persist the image and return its public URL
+            const { id, filename, path: filePath } = await saveRenderedImage(config.IMAGES_DIR, out, outputOptions.format);
+            const url = `https://${config.DOMAIN}/media/images/${filename}`;
+            console.log(`💾 [${requestId}] Image stored: ${filePath}`);
+
+            res.status(201).json({
+                success: true,
+                id,
+                filename,
+                url,
+                width: W,
+                height: H,
+                size: out.length,
+                format: outputOptions.format,
+                mimeType: OUTPUT_FORMATS[outputOptions.format].mimeType,
+                titleFontSize: rendered.meta.titleFontSize,
+                titleTruncated: rendered.meta.titleTruncated,
+                titleContrast: rendered.meta.titleContrast,
+                createdAt: new Date().toISOString()
+            });
+        } else {
+            res.set('Content-Type', OUTPUT_FORMATS[outputOptions.format].mimeType);
+            res.send(out);
+        }
 
         const totalTime = Date.now() - startTime;
         console.log(`🎉 [${requestId}] Request completed successfully (total: ${totalTime}ms)`);
@@ -192,6 +598,10 @@ export const overlayHandler = async (req, res) => {
         // Handle any errors gracefully with appropriate HTTP status
         const totalTime = Date.now() - startTime;
         console.log(`💥 [${requestId}] Request failed after ${totalTime}ms:`, e.message);
+        if (e instanceof RemoteFetchError) {
+            // Refused or failed source downloads are client errors with their own status
+            return res.status(e.status).json({ error: e.message, code: e.code });
+        }
         res.status(500).json({ error: String(e) });
     }
 };
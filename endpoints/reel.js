@@ -7,7 +7,12 @@
 
 import fs from 'fs';
 import path from 'path';
-import { generate2SlidesReel } from '../helpers.js';
+import { generate2SlidesReel, parseFitOptions, parseHyphenationOptions, parseScrimOptions, parseStyleOptions } from '../helpers.js';
+import { resolveFontOptions } from '../helpers/fontRegistry.js';
+import { applyBrandKit } from '../helpers/brandKits.js';
+import { resolveStoreRefs } from '../helpers/storedFiles.js';
+import { RemoteFetchError } from '../helpers/remoteFetch.js';
+import { parseQrOptions } from '../helpers/qrCode.js';
 
 /**
  * 2 Slides Reel endpoint handler
@@ -17,13 +22,23 @@ import { generate2SlidesReel } from '../helpers.js';
  * GET /2slidesReel?slide1=<url>&slide2=<url>&title1=<text>&title2=<text>&duration1=<seconds>&duration2=<seconds>&transition=<type>
  * 
  * Parameters:
- * - slide1 (required): URL of the first slide image
- * - slide2 (required): URL of the second slide image
+ * - slide1 (required): URL of the first slide image or store:<uuid> of an uploaded file
+ * - slide2 (required): URL of the second slide image or store:<uuid> of an uploaded file
  * - title1 (optional): Overlay text for first slide (default: empty)
  * - title2 (optional): Overlay text for second slide (default: empty)
  * - duration1 (optional): Duration of first slide in seconds (default: 4)
  * - duration2 (optional): Duration of second slide in seconds (default: 4)
  * - transition (optional): Transition type between slides (default: 'fade')
+ * - fit (optional): Auto-fit title font size instead of truncating (default: false)
+ * - minFontSize (optional): Smallest title font size in fit mode, in pixels
+ * - maxFontSize (optional): Largest title font size in fit mode, in pixels
+ * - lang (optional): Hyphenation language for words wider than the line (default: de, then en)
+ * - hyphenate (optional): Hyphenate long words before hard-breaking them (default: true)
+ * - font / titleFont (optional): Registered custom font for the slide titles (see POST /fonts/upload)
+ * - style, titleColor, titleStroke, ... (optional): Title text style (see overlay endpoint)
+ * - scrim, scrimColor, scrimOpacity, scrimRadius (optional): Contrast background behind the titles
+ * - qr, qrPosition, qrSize, qrEcc, qrColor, qrBackground, qrMargin (optional): QR code shown for the whole reel (see overlay endpoint)
+ * - brand (optional): Brand kit with default font, style and scrim (explicit parameters override kit values)
  * 
  * Returns:
  * - Video file URL or processing status
@@ -44,15 +59,29 @@ export const reelHandler = async (req, res, config) => {
         title2: req.query.title2 ? `"${req.query.title2.substring(0, 50)}${req.query.title2.length > 50 ? '...' : ''}"` : 'none',
         duration1: req.query.duration1 || 'default (4)',
         duration2: req.query.duration2 || 'default (4)',
-        transition: req.query.transition || 'default (fade)'
+        transition: req.query.transition || 'default (fade)',
+        fit: req.query.fit || 'default (false)',
+        font: req.query.titleFont || req.query.font || 'default',
+        qr: req.query.qr ? 'provided' : 'none',
+        brand: req.query.brand || 'none'
     });
 
     try {
         // === PARAMETER EXTRACTION AND VALIDATION ===
 
+        // Apply the brand kit defaults (explicit parameters win)
+        const { query, brand, error: brandError, status: brandStatus } = await applyBrandKit(req.query, config.BRANDS_DIR);
+        if (brandError) {
+            console.log(`❌ [${requestId}] Invalid brand parameter: ${brandError}`);
+            return res.status(brandStatus).json({ error: brandError });
+        }
+        if (brand) {
+            console.log(`🎨 [${requestId}] Using brand kit: ${brand}`);
+        }
+
         // Extract and validate required image URLs
-        const slide1 = req.query.slide1;
-        const slide2 = req.query.slide2;
+        const slide1 = query.slide1;
+        const slide2 = query.slide2;
 
         if (!slide1) {
             console.log(`❌ [${requestId}] Missing required parameter: slide1`);
@@ -64,12 +93,19 @@ export const reelHandler = async (req, res, config) => {
             return res.status(400).json({ error: 'slide2 required' });
         }
 
+        // Stored file references (store:<uuid>) must point to an existing upload
+        const { error: storeError, status: storeStatus } = await resolveStoreRefs(query, ['slide1', 'slide2'], config.MEDIA_DIR);
+        if (storeError) {
+            console.log(`❌ [${requestId}] Invalid stored file reference: ${storeError}`);
+            return res.status(storeStatus).json({ error: storeError });
+        }
+
         // Extract optional parameters with defaults
-        const title1 = req.query.title1 || '';
-        const title2 = req.query.title2 || '';
-        const duration1 = Number(req.query.duration1 || 4);
-        const duration2 = Number(req.query.duration2 || 4);
-        const transition = req.query.transition || 'fade';
+        const title1 = query.title1 || '';
+        const title2 = query.title2 || '';
+        const duration1 = Number(query.duration1 || 4);
+        const duration2 = Number(query.duration2 || 4);
+        const transition = query.transition || 'fade';
 
         // Validate durations are reasonable
         if (duration1 < 1 || duration1 > 30 || duration2 < 1 || duration2 > 30) {
@@ -88,6 +124,47 @@ export const reelHandler = async (req, res, config) => {
             });
         }
 
+        // Validate title fit-mode parameters (reel titles are laid out on a 1080x1080 overlay)
+        const { options: fitOptions, error: fitError } = parseFitOptions(query, 1080);
+        if (fitError) {
+            console.log(`❌ [${requestId}] Invalid fit parameters: ${fitError}`);
+            return res.status(400).json({ error: fitError });
+        }
+
+        // Validate hyphenation parameters
+        const { options: hyphenationOptions, error: hyphenationError } = parseHyphenationOptions(query);
+        if (hyphenationError) {
+            console.log(`❌ [${requestId}] Invalid hyphenation parameters: ${hyphenationError}`);
+            return res.status(400).json({ error: hyphenationError });
+        }
+
+        // Validate scrim and text style parameters
+        const { options: scrimOptions, error: scrimError } = parseScrimOptions(query);
+        if (scrimError) {
+            console.log(`❌ [${requestId}] Invalid scrim parameters: ${scrimError}`);
+            return res.status(400).json({ error: scrimError });
+        }
+        const { options: styleOptions, error: styleError } = parseStyleOptions(query);
+        if (styleError) {
+            console.log(`❌ [${requestId}] Invalid style parameters: ${styleError}`);
+            return res.status(400).json({ error: styleError });
+        }
+
+        // Resolve registered custom fonts (unknown fonts are a 404)
+        const { options: fontOptions, error: fontError, status: fontStatus } = resolveFontOptions(query, config.FONTS_DIR);
+        if (fontError) {
+            console.log(`❌ [${requestId}] Invalid font parameters: ${fontError}`);
+            return res.status(fontStatus).json({ error: fontError });
+        }
+        const titleOptions = { ...fitOptions, ...hyphenationOptions, ...scrimOptions, ...styleOptions, ...fontOptions };
+
+        // Encode the QR code shown for the whole reel (reels draw no source text or logo, so no corner is taken)
+        const { options: qr, error: qrError } = parseQrOptions(query);
+        if (qrError) {
+            console.log(`❌ [${requestId}] Invalid QR code parameters: ${qrError}`);
+            return res.status(400).json({ error: qrError });
+        }
+
         console.log(`✅ [${requestId}] Parameters validated successfully`);
         console.log(`📐 [${requestId}] Processing reel: slide1=${duration1}s, slide2=${duration2}s, transition=${transition}`);
 
@@ -108,7 +185,7 @@ export const reelHandler = async (req, res, config) => {
             }
 
             // Generate the video
-            const videoUrl = await generate2SlidesReel({
+            const { videoUrl, titleFontSizes } = await generate2SlidesReel({
                 slide1,
                 slide2,
                 title1,
@@ -121,7 +198,10 @@ export const reelHandler = async (req, res, config) => {
                 DOMAIN: config.DOMAIN,
                 MEDIA_DIR: config.MEDIA_DIR,
                 REELS_SUBDIR: config.REELS_SUBDIR,
-                TMP_DIR: config.TMP_DIR
+                TMP_DIR: config.TMP_DIR,
+                FETCH_OPTIONS: config.FETCH_OPTIONS,
+                titleOptions,
+                qr
             });
 
             const totalTime = Date.now() - startTime;
@@ -139,13 +219,31 @@ export const reelHandler = async (req, res, config) => {
                     title2,
                     duration1,
                     duration2,
-                    transition
-                }
+                    transition,
+                    fit: titleOptions.fit,
+                    lang: titleOptions.lang || null,
+                    font: titleOptions.titleFont || null,
+                    qr: qr ? qr.text : null,
+                    brand
+                },
+                titleFontSizes
             });
 
         } catch (videoError) {
             console.log(`💥 [${requestId}] Video generation failed:`, videoError.message);
             const totalTime = Date.now() - startTime;
+
+            // Refused or failed slide downloads are client errors with their own status
+            if (videoError instanceof RemoteFetchError) {
+                return res.status(videoError.status).json({
+                    error: 'Slide image could not be fetched',
+                    code: videoError.code,
+                    message: videoError.message,
+                    requestId,
+                    processingTime: totalTime
+                });
+            }
+
             res.status(500).json({
                 error: 'Video generation failed',
                 message: videoError.message,
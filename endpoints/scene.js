@@ -0,0 +1,163 @@
+/**
+ * Scene Endpoint
+ *
+ * Renders a layered scene described in JSON: a canvas with a background color
+ * and an ordered list of image, text, rect/gradient, logo and QR layers with
+ * position, size, rotation and opacity. New post formats can be designed on
+ * the client without server changes.
+ */
+
+import sharp from 'sharp';
+import { normalizeBodyParams } from '../helpers.js';
+import { OUTPUT_FORMATS, parseOutputOptions } from '../helpers/outputFormat.js';
+import { isStoreRef, resolveStoreRef, saveRenderedImage } from '../helpers/storedFiles.js';
+import { composeOverlayImage, loadSourceImage } from '../helpers/overlayRender.js';
+import { RemoteFetchError } from '../helpers/remoteFetch.js';
+import { parseScene, renderSceneLayer } from '../helpers/scene.js';
+
+/**
+ * Scene endpoint handler
+ *
+ * POST /scene
+ *
+ * JSON body:
+ * - canvas (optional): {width, height, background}; 100-4000 pixels, hex color or transparent (default: 1080x1350, #ffffff)
+ * - layers (required): 1-30 layers, bottom to top, each {type, x, y, width, height, rotation, opacity, ...} with type
+ *   image (src, crop, fx, fy, fit=cover|blurfill|color or contain, fillColor), text (text, fontSize or fit with min/maxFontSize,
+ *   maxLines, valign, align, lang, hyphenate, style, font, scrim...), rect (fill or gradient, radius),
+ *   logo (name) or qr (text, ecc, color, background, margin)
+ * - format, quality, progressive, mozjpeg (optional): Output format and encoder settings as on /overlay
+ * - store (optional): Save the image in MEDIA_DIR/images and return JSON with its public URL (default: false)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - Configuration object with DOMAIN, MEDIA_DIR, IMAGES_DIR, FONTS_DIR, LOGOS_DIR, LOGO_PATH and FETCH_OPTIONS
+ */
+export const sceneHandler = async (req, res, config) => {
+    const requestId = Math.random().toString(36).substr(2, 9);
+    const startTime = Date.now();
+    const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+
+    console.log(`🧩 [${requestId}] Scene request started`);
+    console.log(`📋 [${requestId}] Request parameters:`, {
+        canvas: body.canvas ? `${body.canvas.width || 'default'}x${body.canvas.height || 'default'}` : 'default (1080x1350)',
+        layers: Array.isArray(body.layers) ? body.layers.map(layer => layer && layer.type).join(', ') : 'missing',
+        format: body.format || `negotiated (${req.get('Accept') || 'none'})`,
+        store: body.store ?? 'default (false)'
+    });
+
+    try {
+        // === PARAMETER EXTRACTION AND VALIDATION ===
+
+        const { scene, error: sceneError, status: sceneStatus } = parseScene(body, config);
+        if (sceneError) {
+            console.log(`❌ [${requestId}] Invalid scene: ${sceneError}`);
+            return res.status(sceneStatus).json({ error: sceneError });
+        }
+
+        // A transparent canvas needs an output format with alpha channel
+        const { canvas, layers, ...params } = body;
+        const query = normalizeBodyParams({ ...params, transparent: scene.background === null });
+        const { options: outputOptions, error: outputError } = parseOutputOptions(query, req.get('Accept'));
+        if (outputError) {
+            console.log(`❌ [${requestId}] Invalid output parameters: ${outputError}`);
+            return res.status(400).json({ error: outputError });
+        }
+
+        const store = query.store === undefined ? 'false' : String(query.store).toLowerCase();
+        if (!['true', 'false', '1', '0'].includes(store)) {
+            console.log(`❌ [${requestId}] Invalid store parameter: ${query.store}`);
+            return res.status(400).json({ error: 'Invalid store. Must be true or false.' });
+        }
+        const storeResult = store === 'true' || store === '1';
+
+        // Stored file references (store:<uuid>) must point to an existing upload
+        for (const [i, layer] of scene.layers.entries()) {
+            if (layer.type !== 'image') continue;
+            layer.storedPath = null;
+            if (!isStoreRef(layer.src)) continue;
+            const { path: filePath, error: storeError, status: storeStatus } = await resolveStoreRef(layer.src, config.MEDIA_DIR);
+            if (storeError) {
+                console.log(`❌ [${requestId}] Invalid stored file reference in layer ${i + 1}: ${storeError}`);
+                return res.status(storeStatus).json({ error: `layer ${i + 1}: ${storeError}` });
+            }
+            layer.storedPath = filePath;
+        }
+
+        console.log(`✅ [${requestId}] Parameters validated successfully`);
+
+        // === LAYER RENDERING ===
+
+        const W = scene.width;
+        const H = scene.height;
+        console.log(`📐 [${requestId}] Rendering scene: ${W}x${H}, ${scene.layers.length} layers, background ${scene.background || 'transparent'}, format: ${outputOptions.format}`);
+
+        // Layers are rendered one after another, and each image layer is flattened into the
+        // raw canvas right away, so at most one decoded layer is held in memory; SVG layers
+        // are small and wait for the next flatten or the final composite
+        const background = scene.background || { r: 0, g: 0, b: 0, alpha: 0 };
+        let pixels = await sharp({ create: { width: W, height: H, channels: 4, background } }).raw().toBuffer();
+        const raw = { width: W, height: H, channels: 4 };
+        let overlays = [];
+        for (const [i, layer] of scene.layers.entries()) {
+            const layerId = `${requestId}:${i + 1}`;
+            let source = null;
+            if (layer.type === 'image') {
+                try {
+                    source = await loadSourceImage(layer.src, layer.storedPath, layerId, config.FETCH_OPTIONS);
+                } catch (error) {
+                    if (!(error instanceof RemoteFetchError)) throw error;
+                    return res.status(error.status).json({ error: `layer ${i + 1}: ${error.message}`, code: error.code });
+                }
+            }
+            const { overlay, width, height } = await renderSceneLayer(layer, W, H, source);
+            if (overlay) overlays.push(overlay);
+            if (overlay && layer.type === 'image') {
+                pixels = await sharp(pixels, { raw }).composite(overlays).raw().toBuffer();
+                overlays = [];
+            }
+            console.log(`🧩 [${layerId}] ${layer.type} layer: ${width}x${height} at ${layer.x},${layer.y}${layer.rotation ? `, rotated ${layer.rotation}°` : ''}${layer.opacity < 1 ? `, opacity ${layer.opacity}` : ''}`);
+        }
+
+        const base = sharp(pixels, { raw });
+        const out = await composeOverlayImage(base, overlays, null, null, W, H, outputOptions, requestId);
+
+        // === RESPONSE ===
+
+        if (outputOptions.negotiated) res.vary('Accept');
+
+        if (storeResult) {
+            // Persist the image and return its public URL
+            const { id, filename, path: filePath } = await saveRenderedImage(config.IMAGES_DIR, out, outputOptions.format);
+            console.log(`💾 [${requestId}] Image stored: ${filePath}`);
+
+            res.status(201).json({
+                success: true,
+                id,
+                filename,
+                url: `https://${config.DOMAIN}/media/images/${filename}`,
+                width: W,
+                height: H,
+                size: out.length,
+                format: outputOptions.format,
+                mimeType: OUTPUT_FORMATS[outputOptions.format].mimeType,
+                layers: scene.layers.length,
+                createdAt: new Date().toISOString()
+            });
+        } else {
+            res.set('Content-Type', OUTPUT_FORMATS[outputOptions.format].mimeType);
+            res.send(out);
+        }
+
+        const totalTime = Date.now() - startTime;
+        console.log(`🎉 [${requestId}] Scene completed successfully (total: ${totalTime}ms)`);
+
+    } catch (error) {
+        const totalTime = Date.now() - startTime;
+        console.log(`💥 [${requestId}] Scene request failed after ${totalTime}ms:`, error.message);
+        if (error instanceof RemoteFetchError) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        res.status(500).json({ error: String(error) });
+    }
+};
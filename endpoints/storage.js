@@ -2,7 +2,8 @@
  * Storage Service Endpoints
  * 
  * Handles file upload and deletion for local storage service.
- * Supports audio and video files with proper validation and error handling.
+ * Supports audio, video and image files with proper validation and error handling.
+ * Stored files can be used as render inputs with `store:<uuid>` references.
  */
 
 import multer from 'multer';
@@ -10,6 +11,7 @@ import fs from 'fs';
 import fsp from 'fs/promises';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
+import { FILE_ID_PATTERN } from '../helpers/storedFiles.js';
 
 /**
  * Configure multer for file uploads
@@ -37,7 +39,7 @@ const configureMulter = (uploadDir) => {
         }
     });
 
-    // File filter for audio and video files
+    // File filter for audio, video and image files
     const fileFilter = (req, file, cb) => {
         const allowedMimeTypes = [
             // Audio formats
@@ -56,13 +58,20 @@ const configureMulter = (uploadDir) => {
             'video/flv',
             'video/webm',
             'video/mkv',
-            'video/quicktime'
+            'video/quicktime',
+            // Image formats (slides and overlay sources)
+            'image/jpeg',
+            'image/png',
+            'image/webp',
+            'image/gif',
+            'image/avif',
+            'image/tiff'
         ];
 
         if (allowedMimeTypes.includes(file.mimetype)) {
             cb(null, true);
         } else {
-            cb(new Error(`Unsupported file type: ${file.mimetype}. Only audio and video files are allowed.`), false);
+            cb(new Error(`Unsupported file type: ${file.mimetype}. Only audio, video and image files are allowed.`), false);
         }
     };
 
@@ -191,8 +200,7 @@ export const deleteHandler = async (req, res, config) => {
 
     try {
         // Validate file ID format (UUID format)
-        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-        if (!uuidRegex.test(fileId)) {
+        if (!FILE_ID_PATTERN.test(fileId)) {
             console.log(`❌ [${requestId}] Invalid file ID format: ${fileId}`);
             return res.status(400).json({
                 error: 'Invalid file ID',
@@ -0,0 +1,260 @@
+/**
+ * SVG Template Registry Endpoints
+ *
+ * Handles upload, listing and deletion of SVG layout templates. Uploaded
+ * templates are stored in DATA_DIR/templates and can be selected per request
+ * with the `template` parameter of the overlay endpoint.
+ */
+
+import multer from 'multer';
+import fsp from 'fs/promises';
+import path from 'path';
+import { findTemplateFile, inspectTemplate, isValidTemplateName, listRegisteredTemplates } from '../helpers/templateRegistry.js';
+import { slugifyRegistryName } from '../helpers/registryNames.js';
+
+/**
+ * Maximum template file size in bytes
+ */
+const MAX_TEMPLATE_SIZE = 5 * 1024 * 1024; // 5MB
+
+/**
+ * Configure multer for template uploads
+ *
+ * Templates are kept in memory so they can be validated before anything is written to disk.
+ *
+ * @returns {Object} Multer configuration object
+ */
+const configureMulter = () => {
+    // File filter for SVG files (checked by extension, the content is validated with inspectTemplate)
+    const fileFilter = (req, file, cb) => {
+        const extension = path.extname(file.originalname).toLowerCase();
+        if (extension === '.svg') {
+            cb(null, true);
+        } else {
+            cb(new Error(`Unsupported template type: ${extension || file.mimetype}. Allowed: .svg`), false);
+        }
+    };
+
+    return multer({
+        storage: multer.memoryStorage(),
+        fileFilter: fileFilter,
+        limits: {
+            fileSize: MAX_TEMPLATE_SIZE,
+            files: 1 // Only one template per upload
+        }
+    });
+};
+
+/**
+ * Template upload endpoint handler
+ *
+ * POST /templates/upload
+ *
+ * Multipart fields:
+ * - file (required): SVG template with {{title}}, {{source}} and {{image}} placeholders and
+ *   data-box text boxes
+ * - name (optional): Registry name used in the `template` parameter (default: derived from the file name)
+ * - replace (optional): Overwrite an existing template with the same name (default: false)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - Configuration object with TEMPLATES_DIR
+ */
+export const uploadTemplateHandler = async (req, res, config) => {
+    const requestId = `template_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    console.log(`🧾 [${requestId}] Starting template upload...`);
+
+    try {
+        await fsp.mkdir(config.TEMPLATES_DIR, { recursive: true });
+
+        const upload = configureMulter();
+
+        upload.single('file')(req, res, async (err) => {
+            if (err) {
+                console.error(`❌ [${requestId}] Upload error:`, err.message);
+
+                if (err instanceof multer.MulterError) {
+                    if (err.code === 'LIMIT_FILE_SIZE') {
+                        return res.status(400).json({
+                            error: 'File too large',
+                            message: 'Template size must be less than 5MB',
+                            maxSize: '5MB'
+                        });
+                    } else if (err.code === 'LIMIT_FILE_COUNT') {
+                        return res.status(400).json({
+                            error: 'Too many files',
+                            message: 'Only one template per upload is allowed'
+                        });
+                    }
+                }
+
+                return res.status(400).json({
+                    error: 'Upload failed',
+                    message: err.message
+                });
+            }
+
+            if (!req.file) {
+                console.log(`❌ [${requestId}] No file provided`);
+                return res.status(400).json({
+                    error: 'No file provided',
+                    message: 'Please provide an SVG template to upload'
+                });
+            }
+
+            try {
+                // Placeholders, text boxes and references are checked before the template is stored
+                const { template, error: templateError } = await inspectTemplate(req.file.buffer);
+                if (templateError) {
+                    console.log(`❌ [${requestId}] Invalid template file: ${templateError}`);
+                    return res.status(400).json({
+                        error: 'Invalid template file',
+                        message: templateError
+                    });
+                }
+
+                const name = req.body.name ? String(req.body.name).trim() : slugifyRegistryName(path.basename(req.file.originalname, path.extname(req.file.originalname)));
+                if (!isValidTemplateName(name)) {
+                    console.log(`❌ [${requestId}] Invalid template name: ${name}`);
+                    return res.status(400).json({
+                        error: 'Invalid template name',
+                        message: 'Template name must be 1-64 characters of letters, digits, "-" or "_"'
+                    });
+                }
+
+                const existing = findTemplateFile(config.TEMPLATES_DIR, name);
+                const replace = req.body.replace === 'true' || req.body.replace === '1';
+                if (existing && !replace) {
+                    console.log(`❌ [${requestId}] Template already exists: ${name}`);
+                    return res.status(409).json({
+                        error: 'Template already exists',
+                        message: `A template named "${name}" is already registered (use replace=true to overwrite)`
+                    });
+                }
+
+                const filename = `${name}.svg`;
+                const filePath = path.join(config.TEMPLATES_DIR, filename);
+                await fsp.writeFile(filePath, req.file.buffer);
+
+                console.log(`✅ [${requestId}] Template registered successfully:`);
+                console.log(`   • Name: ${name}`);
+                console.log(`   • Size: ${template.width}x${template.height}, placeholders: ${template.placeholders.join(', ') || 'none'}`);
+                console.log(`   • Text boxes: ${template.boxes.map(box => `${box.name} (${box.width}px, ${box.maxLines ?? 'maxLines'} lines)`).join(', ') || 'none'}`);
+                console.log(`   • File size: ${req.file.size} bytes`);
+                console.log(`   • Storage path: ${filePath}`);
+
+                res.status(existing ? 200 : 201).json({
+                    success: true,
+                    name: name,
+                    filename: filename,
+                    width: template.width,
+                    height: template.height,
+                    placeholders: template.placeholders,
+                    boxes: template.boxes.map(({ name: box, width, maxLines }) => ({ name: box, width, maxLines })),
+                    size: req.file.size,
+                    replaced: Boolean(existing),
+                    uploadTime: new Date().toISOString()
+                });
+            } catch (error) {
+                console.error(`💥 [${requestId}] Failed to store template:`, error.message);
+                res.status(500).json({
+                    error: 'Internal server error',
+                    message: 'An unexpected error occurred while storing the template'
+                });
+            }
+        });
+
+    } catch (error) {
+        console.error(`💥 [${requestId}] Unexpected error:`, error.message);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An unexpected error occurred during template upload'
+        });
+    }
+};
+
+/**
+ * Template listing endpoint handler
+ *
+ * GET /templates
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - Configuration object with TEMPLATES_DIR
+ */
+export const listTemplatesHandler = async (req, res, config) => {
+    const requestId = `templates_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+        const templates = await listRegisteredTemplates(config.TEMPLATES_DIR);
+        console.log(`📋 [${requestId}] Listing ${templates.length} registered templates`);
+
+        res.status(200).json({
+            success: true,
+            count: templates.length,
+            templates: templates
+        });
+    } catch (error) {
+        console.error(`💥 [${requestId}] Unexpected error:`, error.message);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An unexpected error occurred while listing templates'
+        });
+    }
+};
+
+/**
+ * Template deletion endpoint handler
+ *
+ * DELETE /templates/:name
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - Configuration object with TEMPLATES_DIR
+ */
+export const deleteTemplateHandler = async (req, res, config) => {
+    const requestId = `template_delete_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const name = req.params.name;
+
+    console.log(`🗑️ [${requestId}] Starting template deletion: ${name}`);
+
+    try {
+        if (!isValidTemplateName(name)) {
+            console.log(`❌ [${requestId}] Invalid template name: ${name}`);
+            return res.status(400).json({
+                error: 'Invalid template name',
+                message: 'Template name must be 1-64 characters of letters, digits, "-" or "_"'
+            });
+        }
+
+        const filePath = findTemplateFile(config.TEMPLATES_DIR, name);
+        if (!filePath) {
+            console.log(`❌ [${requestId}] Template not found: ${name}`);
+            return res.status(404).json({
+                error: 'Template not found',
+                message: `No template registered with name: ${name}`
+            });
+        }
+
+        const { size } = await fsp.stat(filePath);
+        await fsp.unlink(filePath);
+
+        console.log(`✅ [${requestId}] Template deleted: ${path.basename(filePath)} (${size} bytes)`);
+
+        res.status(200).json({
+            success: true,
+            name: name,
+            filename: path.basename(filePath),
+            size: size,
+            deletedAt: new Date().toISOString(),
+            message: 'Template deleted successfully'
+        });
+    } catch (error) {
+        console.error(`💥 [${requestId}] Unexpected delete error:`, error.message);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An unexpected error occurred during template deletion'
+        });
+    }
+};
@@ -8,6 +8,8 @@ MEDIA_DIR="${OVERLAY_MEDIA_DIR:-/app/media}"
 REELS_SUBDIR="${OVERLAY_REELS_SUBDIR:-reels}"
 TMP_SUBDIR="${OVERLAY_TMP_SUBDIR:-tmp}"
 BG_DIR="${OVERLAY_BG_DIR:-/app/assets/reels_bg}"
+DATA_DIR="${OVERLAY_DATA_DIR:-/app/data}"
+CACHE_DIR="${OVERLAY_CACHE_DIR:-$DATA_DIR/cache}"
 
 # Ziel-UID/GID vom node-User
 NODE_UID="$(id -u node)"
@@ -29,15 +31,20 @@ fix_owner() {
 ensure_dir "$MEDIA_DIR/$REELS_SUBDIR"
 ensure_dir "$MEDIA_DIR/$TMP_SUBDIR"
 ensure_dir "$BG_DIR"
+ensure_dir "$DATA_DIR"
+ensure_dir "$CACHE_DIR"
 
 # Ownership korrigieren (falls Volume root:root ist)
 fix_owner "$MEDIA_DIR"
 fix_owner "$BG_DIR"
+fix_owner "$DATA_DIR"
+fix_owner "$CACHE_DIR"
 
 echo "▶ Overlay starting"
 echo "  Port: ${PORT:-${OVERLAY_PORT:-8080}}"
 echo "  Media: $MEDIA_DIR (reels: $REELS_SUBDIR, tmp: $TMP_SUBDIR)"
 echo "  BG dir: $BG_DIR"
+echo "  Data: $DATA_DIR (cache: $CACHE_DIR)"
 
 # Als node starten (gosu macht sauberen UID/GID-Drop ohne neue Session)
 exec gosu node:node node /app/server.js
\ No newline at end of file
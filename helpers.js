@@ -6,18 +6,268 @@
  */
 
 import sharp from 'sharp';
-import fetch from 'node-fetch';
 import fs from 'fs';
 import fsp from 'fs/promises';
 import path from 'path';
 import { execFile } from 'child_process';
 import { promisify } from 'util';
+import { FONT_STACK, createTextMeasurer, textToSvg } from './helpers/textMetrics.js';
+import { splitBreakSegments, dropLastGrapheme, getTextDirection, breakLongWord, HYPHENATION_LANGUAGES, DEFAULT_HYPHENATION_LANGUAGES } from './helpers/textLayout.js';
+import { loadRegisteredFont } from './helpers/fontRegistry.js';
+import { isStoreRef, resolveStoreRef } from './helpers/storedFiles.js';
+import { fetchSourceImage } from './helpers/sourceCache.js';
+import { renderQrCode } from './helpers/qrCode.js';
 
 // Promisify execFile for async/await usage
 const execFileAsync = promisify(execFile);
 
 /**
- * Generates SVG overlay with centered title text and source attribution
+ * Default font size range for fit mode, as ratios of the base dimension
+ */
+const FIT_MIN_RATIO = 0.035;
+const FIT_MAX_RATIO = 0.09;
+
+/**
+ * Resolves the title font size range of fit mode, filling in the defaults for the image size
+ * 
+ * @param {number} base - Smaller image dimension in pixels
+ * @param {Object} options - Fit options ({minFontSize, maxFontSize}, undefined for the defaults)
+ * @returns {{minSize: number, maxSize: number}} Font size range in pixels
+ */
+const getFitFontSizeRange = (base, { minFontSize, maxFontSize }) => ({
+    minSize: Math.round(minFontSize || base * FIT_MIN_RATIO),
+    maxSize: Math.round(maxFontSize || base * FIT_MAX_RATIO)
+});
+
+/**
+ * Default scrim opacity per scrim type
+ */
+export const SCRIM_DEFAULT_OPACITY = { gradient: 0.6, panel: 0.5, darken: 0.35 };
+
+/**
+ * Builds the SVG markup for a scrim (contrast background) behind the title block
+ * 
+ * @param {Object} scrim - Scrim settings ({type, color, opacity, radius})
+ * @param {Object} geometry - Canvas size and title block extents in pixels
+ * @returns {string} SVG markup (empty string when no scrim is requested)
+ */
+const buildScrimSvg = (scrim, { w, h, blockTop, blockBottom, blockLeft, blockRight, fontSize, valign, hasTitle }) => {
+    if (!scrim || scrim.type === 'none') return '';
+
+    const color = scrim.color || '#000000';
+    const opacity = scrim.opacity ?? SCRIM_DEFAULT_OPACITY[scrim.type];
+
+    // Full-image darken does not depend on the title block
+    if (scrim.type === 'darken') {
+        return `
+  <!-- Scrim: full-image darken -->
+  <rect x="0" y="0" width="${w}" height="${h}" fill="${color}" fill-opacity="${opacity}"/>`;
+    }
+
+    if (!hasTitle) return '';
+
+    if (scrim.type === 'panel') {
+        // Rounded panel around the wrapped lines with padding relative to the font size
+        const pad = Math.round(fontSize * 0.5);
+        const radius = scrim.radius ?? Math.round(fontSize * 0.3);
+        const x = Math.max(0, Math.round(blockLeft - pad));
+        const y = Math.max(0, Math.round(blockTop - pad));
+        const width = Math.min(w, Math.round(blockRight + pad)) - x;
+        const height = Math.min(h, Math.round(blockBottom + pad)) - y;
+        return `
+  <!-- Scrim: panel behind title block -->
+  <rect x="${x}" y="${y}" width="${width}" height="${height}" rx="${radius}" ry="${radius}" fill="${color}" fill-opacity="${opacity}"/>`;
+    }
+
+    // Gradient band: solid behind the block, fading out over 1.5x the font size,
+    // anchored to the top or bottom edge (or fading both ways for middle titles)
+    const fade = Math.round(fontSize * 1.5);
+    let y0;
+    let y1;
+    let stops;
+    if (valign === 'bottom') {
+        y0 = Math.max(0, Math.round(blockTop - fade));
+        y1 = h;
+        const solid = ((blockTop - y0) / (y1 - y0)).toFixed(3);
+        stops = [[0, 0], [solid, opacity], [1, opacity]];
+    } else if (valign === 'middle') {
+        y0 = Math.max(0, Math.round(blockTop - fade));
+        y1 = Math.min(h, Math.round(blockBottom + fade));
+        const solidStart = ((blockTop - y0) / (y1 - y0)).toFixed(3);
+        const solidEnd = ((blockBottom - y0) / (y1 - y0)).toFixed(3);
+        stops = [[0, 0], [solidStart, opacity], [solidEnd, opacity], [1, 0]];
+    } else {
+        y0 = 0;
+        y1 = Math.min(h, Math.round(blockBottom + fade));
+        const solid = (blockBottom / y1).toFixed(3);
+        stops = [[0, opacity], [solid, opacity], [1, 0]];
+    }
+
+    return `
+  <!-- Scrim: gradient band behind title block -->
+  <defs>
+    <linearGradient id="scrimGradient" x1="0" y1="0" x2="0" y2="1">
+      ${stops.map(([offset, op]) => `<stop offset="${offset}" stop-color="${color}" stop-opacity="${op}"/>`).join('\n      ')}
+    </linearGradient>
+  </defs>
+  <rect x="0" y="${y0}" width="${w}" height="${y1 - y0}" fill="url(#scrimGradient)"/>`;
+};
+
+/**
+ * Default text styles; these reproduce the classic white text with black outline
+ */
+const DEFAULT_TITLE_STYLE = { fill: '#fff', stroke: '#000', strokeWidth: null, fontWeight: 800, letterSpacing: 0, lineHeight: 1.12, shadow: null, highlight: null };
+const DEFAULT_SOURCE_STYLE = { fill: '#fff', stroke: '#000', strokeWidth: null, fontWeight: 600, letterSpacing: 0, shadow: null };
+
+/**
+ * Builds an SVG drop shadow filter definition
+ * 
+ * @param {string} id - Filter element ID
+ * @param {Object} shadow - Shadow settings ({dx, dy, blur, color, opacity})
+ * @param {number} fontSize - Font size used to derive default offsets
+ * @returns {string} SVG filter markup
+ */
+const buildShadowFilter = (id, shadow, fontSize) => {
+    const dx = shadow.dx ?? 0;
+    const dy = shadow.dy ?? Math.max(1, Math.round(fontSize * 0.05));
+    const blur = shadow.blur ?? Math.max(1, Math.round(fontSize * 0.08));
+    return `<filter id="${id}" x="-20%" y="-20%" width="140%" height="140%">
+      <feDropShadow dx="${dx}" dy="${dy}" stdDeviation="${blur}" flood-color="${shadow.color || '#000000'}" flood-opacity="${shadow.opacity ?? 0.6}"/>
+    </filter>`;
+};
+
+/**
+ * Wraps title text into lines that fit the available width
+ * 
+ * Lines break at Unicode line break opportunities (UAX #14): between words for
+ * space-separated scripts, between characters for CJK (respecting kinsoku rules)
+ * and at explicit newlines. Words wider than the line are hyphenated or hard-broken
+ * (see breakLongWord) unless word breaking is disabled.
+ * 
+ * @param {string} title - Cleaned title text
+ * @param {Function} measure - (text) => width in pixels for the title font
+ * @param {number} availW - Available line width in pixels
+ * @param {number} maxLines - Maximum number of lines
+ * @param {boolean} verbose - Whether to log every wrapping step (default: true)
+ * @param {Object|null} wordBreak - breakLongWord settings ({languages, hyphenate}), null keeps long words intact (default: null)
+ * @returns {{lines: Array<string>, usedAllWords: boolean}} Wrapped lines and whether all text fit
+ */
+const wrapTitleLines = (title, measure, availW, maxLines, verbose = true, wordBreak = null) => {
+    const log = verbose ? console.log : () => { };
+
+    // Collapse runs of spaces/tabs (newlines are kept as mandatory breaks) and split at break opportunities
+    const segments = splitBreakSegments(title.replace(/[^\S\n]+/g, ' ').replace(/ *\n */g, '\n'));
+    const lines = [];
+    let line = '';
+    let consumed = 0;
+
+    log(`🔍 [makeSvg] Break opportunities: ${segments.length} segments: [${segments.map(s => `"${s.text.trim()}"`).join(', ')}]`);
+
+    // Segment-by-segment wrapping algorithm (segments carry their trailing space)
+    for (let i = 0; i < segments.length; i++) {
+        let segment = segments[i].text.replace(/\n$/, '');
+
+        // A word wider than the whole line is split into chunks that each fit
+        const word = segment.trimEnd();
+        if (wordBreak && measure(word) > availW) {
+            const chunks = breakLongWord(word, measure, availW, wordBreak);
+            log(`   • ✂️  Splitting long word "${word}" into: [${chunks.map(c => `"${c}"`).join(', ')}]`);
+            segments.splice(i, 1, ...chunks.map((chunk, j) => j < chunks.length - 1
+                ? { text: chunk, required: false }
+                : { text: chunk + segment.slice(word.length), required: segments[i].required }));
+            segment = segments[i].text;
+        }
+        // Test if adding this segment would exceed the available width (trailing space doesn't count)
+        const test = (line + segment).trimEnd();
+        const testW = measure(test);
+
+        log(`🔍 [makeSvg] Processing segment ${i + 1}/${segments.length}: "${segment.trim()}"`);
+        log(`   • Current line: "${line.trimEnd()}" (${line.trimEnd().length} chars)`);
+        log(`   • Test line: "${test}" (${Math.round(testW)}px, limit: ${availW}px)`);
+
+        if (testW > availW && line.trim()) {
+            // Current line is full, save it and start a new line
+            lines.push(line.trimEnd());
+            log(`   • ✅ Line ${lines.length} completed: "${line.trimEnd()}"`);
+
+            // Stop if we've reached the maximum number of lines
+            if (lines.length >= maxLines) {
+                line = '';
+                log(`   • ⚠️  Reached max lines (${maxLines}), stopping segment processing`);
+                break;
+            }
+            line = segment;
+            log(`   • 🔄 Starting new line with: "${segment.trim()}"`);
+        } else {
+            // Segment fits on current line, add it
+            line += segment;
+            log(`   • ✅ Segment added to current line: "${line.trimEnd()}"`);
+        }
+        consumed = i + 1;
+
+        // Explicit newline: finish the line even if there is room left
+        if (segments[i].required && i < segments.length - 1) {
+            lines.push(line.trimEnd());
+            line = '';
+            log(`   • ↩️  Line ${lines.length} ended by line break`);
+            if (lines.length >= maxLines) break;
+        }
+    }
+
+    // Add the last line if there's content and we haven't exceeded max lines
+    if (lines.length < maxLines && line.trim()) {
+        lines.push(line.trimEnd());
+        log(`🔍 [makeSvg] Final line added: "${line.trimEnd()}"`);
+    }
+
+    // Check if every segment of the original title was placed
+    const usedAllWords = consumed >= segments.length;
+
+    return { lines, usedAllWords };
+};
+
+/**
+ * Shortens the last visible line of truncated text and appends an ellipsis
+ * 
+ * @param {string} line - Last line that will be displayed
+ * @param {Function} measure - (text) => width in pixels for the line's font
+ * @param {number} availW - Available line width in pixels
+ * @returns {string} Line ending in "…" that fits the available width
+ */
+const ellipsizeLine = (line, measure, availW) => {
+    // Remove any trailing periods or hyphens, then shorten until the line plus ellipsis fits
+    let truncated = line.replace(/[.-]*$/, '');
+    while (truncated && measure(truncated + '…') > availW) {
+        // Drop whole grapheme clusters so emoji sequences and combining marks are never split
+        truncated = dropLastGrapheme(truncated).trimEnd();
+    }
+    return truncated + '…';
+};
+
+/**
+ * Wraps text into at most maxLines lines, ending with an ellipsis if it doesn't fit
+ * 
+ * Uses the same line breaking and truncation as the overlay title; SVG
+ * templates use it to fill their named text boxes.
+ * 
+ * @param {string} text - Text to wrap
+ * @param {Function} measure - (text) => width in pixels for the box font
+ * @param {number} availW - Available line width in pixels
+ * @param {number} maxLines - Maximum number of lines
+ * @param {Object|null} wordBreak - breakLongWord settings ({languages, hyphenate}), null keeps long words intact (default: null)
+ * @returns {{lines: Array<string>, truncated: boolean}} Wrapped lines and whether an ellipsis was applied
+ */
+export const wrapTextLines = (text, measure, availW, maxLines, wordBreak = null) => {
+    const { lines, usedAllWords } = wrapTitleLines(String(text || '').trim(), measure, availW, maxLines, false, wordBreak);
+    if (!usedAllWords && lines.length) {
+        lines[lines.length - 1] = ellipsizeLine(lines[lines.length - 1], measure, availW);
+    }
+    return { lines, truncated: !usedAllWords };
+};
+
+/**
+ * Generates SVG overlay with title text and source attribution,
+ * returning the computed title layout alongside the markup
  * 
  * This function creates a professional-looking text overlay that can be composited
  * onto images. It handles text wrapping, sizing, and positioning automatically.
@@ -26,11 +276,30 @@ const execFileAsync = promisify(execFile);
  * @param {number} h - Height of the target image  
  * @param {string} rawTitle - The title text to overlay (no character limit)
  * @param {string} rawSource - The source attribution text (no character limit)
- * @param {number} maxLines - Maximum number of lines for title text (default: 5)
- * @returns {string} SVG markup as a string
+ * @param {number} maxLines - Maximum number of lines for title text (default: 5), further capped by the text box height
+ * @param {Object} options - Optional rendering settings
+ * @param {boolean} options.fit - Search the largest title font size that fits without ellipsis (default: false)
+ * @param {number} options.minFontSize - Smallest title font size in fit mode (default: 3.5% of base dimension)
+ * @param {number} options.maxFontSize - Largest title font size in fit mode (default: 9% of base dimension)
+ * @param {string} options.valign - Vertical title position inside the text box: top, middle or bottom (default: top)
+ * @param {boolean} options.containTop - Keep the first line's ascent inside the text box for valign=top
+ *   (default: false, the classic placement starts slightly above the box)
+ * @param {string} options.align - Horizontal title alignment: left, center or right (default: center)
+ * @param {Object} options.box - Title text box in percent of the image ({x, y, width, height}, default: 8% margins above the source band)
+ * @param {string} options.sourcePosition - Source corner: bottom-right, bottom-left, top-right or top-left (default: bottom-right)
+ * @param {Object} options.scrim - Contrast background behind the title ({type: gradient|panel|darken|none, color, opacity, radius})
+ * @param {string} options.lang - Hyphenation language for words wider than the line (default: de, then en)
+ * @param {boolean} options.hyphenate - Hyphenate long words before hard-breaking them (default: true)
+ * @param {Object} options.style - Text styles ({title, source}) with fill, stroke, strokeWidth, fontWeight,
+ *   letterSpacing, lineHeight (title only), shadow ({dx, dy, blur, color, opacity}) and highlight (title only, {color, opacity, padding, radius})
+ * @param {string} options.titleFont - Registered font name for the title, rendered as glyph outlines (requires options.fontsDir)
+ * @param {string} options.sourceFont - Registered font name for the source attribution (requires options.fontsDir)
+ * @param {string} options.fontsDir - Directory of the font registry
+ * @returns {{svg: string, titleFontSize: number, lines: Array<string>, truncated: boolean, titleBlock: Object|null}} SVG markup and title layout
+ *   (titleBlock: {left, top, width, height} of the wrapped lines in pixels, null without title)
  */
-export const makeSvg = (w, h, rawTitle, rawSource, maxLines = 5) => {
-    console.log(`🔍 [makeSvg] Starting with parameters: w=${w}, h=${h}, maxLines=${maxLines}`);
+export const buildOverlaySvg = (w, h, rawTitle, rawSource, maxLines = 5, options = {}) => {
+    console.log(`🔍 [makeSvg] Starting with parameters: w=${w}, h=${h}, maxLines=${maxLines}, fit=${!!options.fit}`);
     console.log(`🔍 [makeSvg] Raw title: "${rawTitle}"`);
     console.log(`🔍 [makeSvg] Raw source: "${rawSource}"`);
 
@@ -57,125 +326,159 @@ export const makeSvg = (w, h, rawTitle, rawSource, maxLines = 5) => {
 
     // Calculate font sizes as percentages of the base dimension
     // These ratios have been tuned for optimal readability across different image sizes
-    const fsTitle = Math.round(base * 0.055);      // Title font size (5.5% of base dimension)
+    let fsTitle = Math.round(base * 0.055);      // Title font size (5.5% of base dimension)
     const fsSrc = Math.round(base * 0.028);     // Source font size (2.8% of base dimension)
 
-    // Calculate line height for proper text spacing
-    // 1.12 ratio provides good readability without excessive spacing
-    const lineH = Math.round(fsTitle * 1.12);
+    // Resolve text styles (defaults reproduce the classic white text with black outline)
+    const titleStyle = { ...DEFAULT_TITLE_STYLE, ...(options.style && options.style.title) };
+    const sourceStyle = { ...DEFAULT_SOURCE_STYLE, ...(options.style && options.style.source) };
+
+    // Registered custom fonts (null = system font stack rendered as SVG text)
+    const titleFont = options.titleFont ? loadRegisteredFont(options.fontsDir, options.titleFont, titleStyle.fontWeight) : null;
+    const sourceFont = options.sourceFont ? loadRegisteredFont(options.fontsDir, options.sourceFont, sourceStyle.fontWeight) : null;
+
+    // Paragraph direction from the first strong character, so Arabic/Hebrew text runs right-to-left
+    const titleDir = getTextDirection(title);
+    const sourceDir = getTextDirection(source);
+
+    // Line height ratio for proper text spacing
+    // 1.12 ratio (default) provides good readability without excessive spacing
+    const lineRatio = titleStyle.lineHeight;
 
     // Calculate padding values for proper text positioning
     const topPad = Math.round(h * 0.08);         // Top padding (8% of image height)
     const sidePad = Math.round(w * 0.08);         // Side padding (8% of image width)
 
-    console.log(`🔍 [makeSvg] Typography calculations:`);
-    console.log(`   • Base dimension: ${base} (min of ${w}x${h})`);
-    console.log(`   • Title font size: ${fsTitle}px (5.5% of ${base})`);
-    console.log(`   • Source font size: ${fsSrc}px (2.8% of ${base})`);
-    console.log(`   • Line height: ${lineH}px (1.12x font size)`);
-    console.log(`   • Top padding: ${topPad}px (8% of ${h})`);
-    console.log(`   • Side padding: ${sidePad}px (8% of ${w})`);
+    // Calculate bottom band height for source attribution positioning
+    const bottomBandH = Math.round(h * 0.22);
+
+    // Title text box: defaults to the area between the side/top paddings and the source band,
+    // or the explicit box given in percent of the image dimensions
+    const box = options.box
+        ? {
+            left: Math.round(w * options.box.x / 100),
+            top: Math.round(h * options.box.y / 100),
+            width: Math.round(w * options.box.width / 100),
+            height: Math.round(h * options.box.height / 100)
+        }
+        : { left: sidePad, top: topPad, width: w - 2 * sidePad, height: h - topPad - bottomBandH };
+    const valign = options.valign || 'top';
+    const align = options.align || 'center';
+    const sourcePosition = options.sourcePosition || 'bottom-right';
+
+    console.log(`🔍 [makeSvg] Layout: box ${box.left},${box.top} ${box.width}x${box.height}px, valign=${valign}, align=${align}, source=${sourcePosition}`);
 
     // Use the provided maxLines parameter (prevents overflow)
     // Default is 5, but can be customized via API parameter
 
     // === TEXT WRAPPING ALGORITHM ===
 
-    // Estimate characters per line based on font size and available width
-    // 0.60 is an empirical ratio for character width to font size
-    // Math.max(10, ...) ensures minimum 10 characters per line for readability
-    const estCharsPerLine = Math.max(10, Math.floor((w - 2 * sidePad) / (fsTitle * 0.60)));
+    // Measure lines with real glyph advance widths (including kerning) from the
+    // font that librsvg renders the title with, instead of guessing a character count
+    const availW = box.width;
+    // Letter spacing adds a fixed amount after every character
+    const measureAt = (size) => {
+        const measure = createTextMeasurer({ fontFamily: FONT_STACK, fontWeight: titleStyle.fontWeight, fontSize: size, font: titleFont, direction: titleDir });
+        return titleStyle.letterSpacing
+            ? (text) => measure(text) + titleStyle.letterSpacing * Array.from(text).length
+            : measure;
+    };
+
+    // Words wider than the line are hyphenated (pattern-based) or hard-broken, so no line overflows
+    const wordBreak = {
+        languages: options.lang ? [options.lang] : DEFAULT_HYPHENATION_LANGUAGES,
+        hyphenate: options.hyphenate !== false
+    };
+
+    // === FIT MODE: LARGEST FONT SIZE THAT FITS ===
+
+    if (options.fit && title) {
+        const { minSize, maxSize } = getFitFontSizeRange(base, options);
+
+        // The title block must stay inside the text box
+        const availH = box.height;
+        const fitsAt = (size, breakWords) => {
+            const measure = measureAt(size);
+            const { lines, usedAllWords } = wrapTitleLines(title, measure, availW, maxLines, false, breakWords ? wordBreak : null);
+            return usedAllWords
+                && lines.every(ln => measure(ln) <= availW)
+                && lines.length * Math.round(size * lineRatio) + Math.round(size * 0.2) <= availH;
+        };
 
-    console.log(`🔍 [makeSvg] Text wrapping calculations:`);
-    console.log(`   • Available width: ${w - 2 * sidePad}px (${w} - 2*${sidePad})`);
-    console.log(`   • Character width ratio: 0.60`);
-    console.log(`   • Estimated chars per line: ${estCharsPerLine}`);
+        // Binary search over integer sizes
+        const search = (breakWords) => {
+            let lo = minSize;
+            let hi = maxSize;
+            let best = null;
+            while (lo <= hi) {
+                const mid = Math.floor((lo + hi) / 2);
+                if (fitsAt(mid, breakWords)) {
+                    best = mid;
+                    lo = mid + 1;
+                } else {
+                    hi = mid - 1;
+                }
+            }
+            return best;
+        };
 
-    // Split title into words for intelligent wrapping
-    const words = title.split(/\s+/);
-    const lines = [];
-    let line = '';
+        // Prefer sizes that keep every word whole; only break long words if no such size exists,
+        // and fall back to minSize (with ellipsis) if nothing fits at all
+        const best = search(false) ?? search(true);
+        fsTitle = best ?? minSize;
 
-    console.log(`🔍 [makeSvg] Word splitting: ${words.length} words: [${words.map(w => `"${w}"`).join(', ')}]`);
+        console.log(`🔍 [makeSvg] Fit mode: searched ${minSize}-${maxSize}px (available ${availW}x${availH}px)`);
+        console.log(`   • ${best !== null ? `✅ Largest fitting size: ${fsTitle}px` : `⚠️  Nothing fits, using minimum ${fsTitle}px with ellipsis`}`);
+    }
 
-    // Word-by-word wrapping algorithm
-    for (let i = 0; i < words.length; i++) {
-        const word = words[i];
-        // Test if adding this word would exceed the line length
-        const test = line ? line + ' ' + word : word;
+    const lineH = Math.round(fsTitle * lineRatio);
+    const measureTitle = measureAt(fsTitle);
 
-        console.log(`🔍 [makeSvg] Processing word ${i + 1}/${words.length}: "${word}"`);
-        console.log(`   • Current line: "${line}" (${line.length} chars)`);
-        console.log(`   • Test line: "${test}" (${test.length} chars, limit: ${estCharsPerLine})`);
+    // Never more lines than the text box can hold, so the title block stays inside it
+    const lineLimit = Math.min(maxLines, Math.max(1, Math.floor(box.height / lineH)));
 
-        if (test.length > estCharsPerLine) {
-            // Current line is full, save it and start a new line
-            if (line) {
-                lines.push(line);
-                console.log(`   • ✅ Line ${lines.length} completed: "${line}"`);
-            }
-            line = word;
-            console.log(`   • 🔄 Starting new line with: "${word}"`);
+    console.log(`🔍 [makeSvg] Typography calculations:`);
+    console.log(`   • Base dimension: ${base} (min of ${w}x${h})`);
+    console.log(`   • Title font size: ${fsTitle}px (${(fsTitle / base * 100).toFixed(1)}% of ${base})`);
+    console.log(`   • Source font size: ${fsSrc}px (2.8% of ${base})`);
+    console.log(`   • Line height: ${lineH}px (${lineRatio}x font size)`);
+    console.log(`   • Top padding: ${topPad}px (8% of ${h})`);
+    console.log(`   • Side padding: ${sidePad}px (8% of ${w})`);
+    console.log(`   • Line limit: ${lineLimit} (maxLines ${maxLines}, box height ${box.height}px)`);
 
-            // Stop if we've reached the maximum number of lines
-            if (lines.length >= maxLines) {
-                console.log(`   • ⚠️  Reached max lines (${maxLines}), stopping word processing`);
-                break;
-            }
-        } else {
-            // Word fits on current line, add it
-            line = test;
-            console.log(`   • ✅ Word added to current line: "${line}"`);
-        }
-    }
+    console.log(`🔍 [makeSvg] Text wrapping calculations:`);
+    console.log(`   • Available width: ${availW}px (text box width)`);
+    console.log(`   • Measuring with font metrics: ${titleFont ? `registered font "${options.titleFont}"` : FONT_STACK} @ ${titleStyle.fontWeight}, ${fsTitle}px`);
 
-    // Add the last line if there's content and we haven't exceeded max lines
-    if (lines.length < maxLines && line) {
-        lines.push(line);
-        console.log(`🔍 [makeSvg] Final line added: "${line}"`);
-    }
+    const { lines, usedAllWords } = wrapTitleLines(title, measureTitle, availW, lineLimit, true, wordBreak);
 
     console.log(`🔍 [makeSvg] Wrapping complete: ${lines.length} lines`);
     lines.forEach((line, i) => {
-        console.log(`   • Line ${i + 1}: "${line}" (${line.length} chars)`);
+        console.log(`   • Line ${i + 1}: "${line}" (${Math.round(measureTitle(line))}px)`);
     });
 
     // === ELLIPSIS HANDLING FOR TRUNCATED TEXT ===
 
-    // Check if all words from the original title were used
-    const usedAllWords = (lines.join(' ').trim().length >= title.trim().length);
-
     console.log(`🔍 [makeSvg] Ellipsis analysis:`);
     console.log(`   • Used all words: ${usedAllWords}`);
     console.log(`   • Lines used: ${lines.join(' ').trim().length} chars`);
     console.log(`   • Original title: ${title.trim().length} chars`);
-    console.log(`   • Lines count: ${lines.length}, maxLines: ${maxLines}`);
+    console.log(`   • Lines count: ${lines.length}, line limit: ${lineLimit}`);
 
     // Add ellipsis if text was truncated or we exceeded max lines
-    if (!usedAllWords || lines.length > maxLines) {
+    if (!usedAllWords || lines.length > lineLimit) {
         console.log(`🔍 [makeSvg] ⚠️  Ellipsis needed! Reason: ${!usedAllWords ? 'not all words used' : 'exceeded max lines'}`);
 
         // Get the last line that will be displayed
-        let last = lines[Math.min(lines.length, maxLines) - 1] || '';
-        const maxForLast = estCharsPerLine - 1; // Reserve space for ellipsis
-
-        console.log(`   • Last line before ellipsis: "${last}" (${last.length} chars)`);
-        console.log(`   • Max chars for last line: ${maxForLast}`);
-
-        if (last.length > maxForLast) {
-            // Truncate the last line and add ellipsis
-            const truncated = last.slice(0, Math.max(0, maxForLast));
-            last = truncated + '…';
-            console.log(`   • 🔄 Truncated last line: "${truncated}" → "${last}"`);
-        } else if (!usedAllWords) {
-            // Remove any trailing periods and add ellipsis
-            const cleaned = last.replace(/\.*$/, '');
-            last = cleaned + '…';
-            console.log(`   • 🔄 Cleaned and added ellipsis: "${last.replace(/\.*$/, '')}" → "${last}"`);
-        }
+        let last = lines[Math.min(lines.length, lineLimit) - 1] || '';
+
+        console.log(`   • Last line before ellipsis: "${last}" (${Math.round(measureTitle(last))}px)`);
+
+        last = ellipsizeLine(last, measureTitle, availW);
+        console.log(`   • 🔄 Truncated last line to fit: "${last}" (${Math.round(measureTitle(last))}px)`);
 
         // Ensure we don't exceed max lines and update the last line
-        lines.length = Math.min(lines.length, maxLines);
+        lines.length = Math.min(lines.length, lineLimit);
         lines[lines.length - 1] = last;
 
         console.log(`   • ✅ Final last line: "${last}"`);
@@ -188,21 +491,107 @@ export const makeSvg = (w, h, rawTitle, rawSource, maxLines = 5) => {
     // Calculate the total height needed for all text lines
     const blockH = lines.length * lineH;
 
-    // Calculate starting Y position for text, with slight offset for better visual balance
-    const startY = Math.max(topPad, Math.round(topPad + fsTitle * 0.2));
+    // Calculate starting Y (first baseline) position for text inside the box
+    // Top keeps the classic slight offset for better visual balance; middle and bottom
+    // position the visual block (ascent of first line to descent of last line)
+    const visualH = (lines.length - 1) * lineH + fsTitle;
+    let startY;
+    if (valign === 'middle') {
+        startY = Math.round(box.top + (box.height - visualH) / 2 + fsTitle * 0.8);
+    } else if (valign === 'bottom') {
+        startY = Math.round(box.top + box.height - visualH + fsTitle * 0.8);
+    } else if (options.containTop) {
+        startY = Math.round(box.top + fsTitle * 0.8);
+    } else {
+        startY = Math.max(box.top, Math.round(box.top + fsTitle * 0.2));
+    }
 
-    // Calculate bottom band height for source attribution positioning
-    const bottomBandH = Math.round(h * 0.22);
+    // Horizontal anchor for the title lines
+    const anchors = {
+        left: { x: box.left, anchor: 'start' },
+        center: { x: Math.round(box.left + box.width / 2), anchor: 'middle' },
+        right: { x: box.left + box.width, anchor: 'end' }
+    };
+    const titleX = anchors[align].x;
+    const titleAnchor = anchors[align].anchor;
+
+    // Source attribution corner (baseline mirrored for top placement)
+    const [srcV, srcH] = sourcePosition.split('-');
+    const srcX = srcH === 'left' ? sidePad : w - sidePad;
+    const srcY = srcV === 'top'
+        ? Math.round(bottomBandH * 0.35) + Math.round(fsSrc * 0.8)
+        : h - Math.round(bottomBandH * 0.35);
+    const srcAnchor = srcH === 'left' ? 'start' : 'end';
 
     // === STROKE WIDTH CALCULATIONS ===
 
     // Calculate stroke widths for text outlines (for better readability)
-    // Stroke width is proportional to font size for consistent appearance
-    const strokeTitle = Math.max(1, Math.round(fsTitle * 0.08));  // 8% of title font size
-    const strokeSrc = Math.max(1, Math.round(fsSrc * 0.08));    // 8% of source font size
+    // Stroke width is proportional to font size for consistent appearance unless set explicitly
+    const strokeTitle = titleStyle.strokeWidth ?? Math.max(1, Math.round(fsTitle * 0.08));  // 8% of title font size
+    const strokeSrc = sourceStyle.strokeWidth ?? Math.max(1, Math.round(fsSrc * 0.08));    // 8% of source font size
+
+    // === TEXT EFFECTS (SHADOW FILTERS AND HIGHLIGHT BOXES) ===
+
+    const filters = [];
+    if (titleStyle.shadow) filters.push(buildShadowFilter('titleShadow', titleStyle.shadow, fsTitle));
+    if (sourceStyle.shadow) filters.push(buildShadowFilter('sourceShadow', sourceStyle.shadow, fsSrc));
+    const filterSvg = filters.length ? `
+  <!-- Drop shadow filters -->
+  <defs>
+    ${filters.join('\n    ')}
+  </defs>` : '';
+
+    // Instagram-style highlight: every wrapped line gets its own box behind it
+    let highlightSvg = '';
+    if (titleStyle.highlight && lines.length) {
+        const hl = titleStyle.highlight;
+        const pad = hl.padding ?? Math.round(fsTitle * 0.25);
+        const radius = hl.radius ?? Math.round(fsTitle * 0.15);
+        const boxes = lines.map((ln, i) => {
+            const lineW = measureTitle(ln);
+            const left = titleAnchor === 'start' ? titleX : titleAnchor === 'end' ? titleX - lineW : titleX - lineW / 2;
+            const baseline = startY + i * lineH;
+            return `<rect x="${Math.round(left - pad)}" y="${Math.round(baseline - fsTitle * 0.8 - pad / 2)}" width="${Math.round(lineW + 2 * pad)}" height="${Math.round(fsTitle + pad)}" rx="${radius}" ry="${radius}"/>`;
+        });
+        highlightSvg = `
+  <!-- Per-line highlight boxes -->
+  <g fill="${hl.color || '#000000'}" fill-opacity="${hl.opacity ?? 1}">
+    ${boxes.join('\n    ')}
+  </g>`;
+    }
+
+    // Optional presentation attributes, only emitted when they differ from the defaults
+    const textAttrs = (style, filterId, indent, direction = 'ltr') => [
+        direction === 'rtl' ? 'direction="rtl"' : '',
+        style.letterSpacing ? `letter-spacing="${style.letterSpacing}"` : '',
+        style.shadow ? `filter="url(#${filterId})"` : ''
+    ].filter(Boolean).map(attr => `\n${indent}${attr}`).join('');
+
+    // Anchors above are visual (start = left); SVG mirrors start/end for right-to-left text
+    const svgAnchor = (anchor, direction) => direction === 'rtl' && anchor !== 'middle'
+        ? (anchor === 'start' ? 'end' : 'start')
+        : anchor;
+
+    // === SCRIM (CONTRAST BACKGROUND) ===
+
+    // Visual extents of the wrapped title block, measured from the actual lines
+    const maxLineW = lines.reduce((max, ln) => Math.max(max, measureTitle(ln)), 0);
+    const blockLeft = align === 'left' ? titleX : align === 'right' ? titleX - maxLineW : titleX - maxLineW / 2;
+    const scrimSvg = buildScrimSvg(options.scrim, {
+        w,
+        h,
+        blockTop: startY - fsTitle * 0.8,
+        blockBottom: startY + (lines.length - 1) * lineH + fsTitle * 0.2,
+        blockLeft,
+        blockRight: blockLeft + maxLineW,
+        fontSize: fsTitle,
+        valign,
+        hasTitle: lines.length > 0
+    });
 
     console.log(`🔍 [makeSvg] Final positioning:`);
     console.log(`   • Block height: ${blockH}px (${lines.length} lines × ${lineH}px)`);
+    console.log(`   • Scrim: ${options.scrim ? options.scrim.type : 'none'}`);
     console.log(`   • Start Y: ${startY}px`);
     console.log(`   • Bottom band height: ${bottomBandH}px`);
     console.log(`   • Title stroke width: ${strokeTitle}px`);
@@ -210,55 +599,382 @@ export const makeSvg = (w, h, rawTitle, rawSource, maxLines = 5) => {
 
     // === SVG GENERATION ===
 
+    // Registered fonts are drawn as glyph outlines (librsvg only sees fontconfig fonts);
+    // the inherited fill/stroke/paint-order styles apply to paths just like to text
+    const titleLineSvg = (ln, i) => titleFont
+        ? textToSvg(ln, titleFont, { fontSize: fsTitle, fontWeight: titleStyle.fontWeight, x: titleX, y: startY + i * lineH, anchor: titleAnchor, letterSpacing: titleStyle.letterSpacing, direction: titleDir })
+        : `<text x="${titleX}" y="${startY + i * lineH}">${esc(ln)}</text>`;
+    const sourceStyleAttr = `style="fill:${sourceStyle.fill}; stroke:${sourceStyle.stroke}; stroke-width:${strokeSrc}px; paint-order:stroke fill;"`;
+    const sourceSvg = sourceFont
+        ? `<g${sourceStyle.shadow ? ' filter="url(#sourceShadow)"' : ''} ${sourceStyleAttr}>
+    ${textToSvg(source, sourceFont, { fontSize: fsSrc, fontWeight: sourceStyle.fontWeight, x: srcX, y: srcY, anchor: srcAnchor, letterSpacing: sourceStyle.letterSpacing, direction: sourceDir })}
+  </g>`
+        : `<text x="${srcX}" y="${srcY}"
+        font-family="${FONT_STACK}"
+        font-weight="${sourceStyle.fontWeight}" font-size="${fsSrc}"
+        text-anchor="${svgAnchor(srcAnchor, sourceDir)}"${textAttrs(sourceStyle, 'sourceShadow', '        ', sourceDir)}
+        ${sourceStyleAttr}>
+    ${esc(source)}
+  </text>`;
+
     console.log(`🔍 [makeSvg] Generating SVG with ${lines.length} text lines`);
     lines.forEach((line, i) => {
         console.log(`   • Text line ${i + 1}: "${line}" at y=${startY + i * lineH}`);
     });
 
-    // Return the complete SVG markup with all calculated values
-    return `
-<svg width="${w}" height="${h}" xmlns="http://www.w3.org/2000/svg">
-  <!-- Title text group (centered, with stroke outline) -->
-  <g font-family="Inter, -apple-system, Segoe UI, Roboto, Arial"
-     font-weight="800"
+    // Build the complete SVG markup with all calculated values
+    const svg = `
+<svg width="${w}" height="${h}" xmlns="http://www.w3.org/2000/svg">${filterSvg}${scrimSvg}${highlightSvg}
+  <!-- Title text group (aligned inside the text box, with stroke outline) -->
+  <g font-family="${FONT_STACK}"
+     font-weight="${titleStyle.fontWeight}"
      font-size="${fsTitle}"
-     text-anchor="middle"
-     style="fill:#fff; stroke:#000; stroke-width:${strokeTitle}px; paint-order:stroke fill;">
-    ${lines.map((ln, i) =>
-        `<text x="${Math.round(w / 2)}" y="${startY + i * lineH}">${esc(ln)}</text>`
-    ).join('\n    ')}
+     text-anchor="${svgAnchor(titleAnchor, titleDir)}"${textAttrs(titleStyle, 'titleShadow', '     ', titleDir)}
+     style="fill:${titleStyle.fill}; stroke:${titleStyle.stroke}; stroke-width:${strokeTitle}px; paint-order:stroke fill;">
+    ${lines.map(titleLineSvg).join('\n    ')}
   </g>
 
-  <!-- Source attribution (bottom right corner) -->
-  <text x="${w - sidePad}" y="${h - Math.round(bottomBandH * 0.35)}"
-        font-family="Inter, -apple-system, Segoe UI, Roboto, Arial"
-        font-weight="600" font-size="${fsSrc}"
-        text-anchor="end"
-        style="fill:#fff; stroke:#000; stroke-width:${strokeSrc}px; paint-order:stroke fill;">
-    ${esc(source)}
-  </text>
+  <!-- Source attribution (configurable corner) -->
+  ${sourceSvg}
 </svg>`;
+
+    // Title block extents (ascent of the first to descent of the last line), e.g. for contrast measurement
+    const titleBlock = lines.length ? {
+        left: Math.round(blockLeft),
+        top: Math.round(startY - fsTitle * 0.8),
+        width: Math.round(maxLineW),
+        height: Math.round((lines.length - 1) * lineH + fsTitle)
+    } : null;
+
+    return { svg, titleFontSize: fsTitle, lines, truncated: !usedAllWords, titleBlock };
+};
+
+/**
+ * Generates SVG overlay with centered title text and source attribution
+ * 
+ * Convenience wrapper around buildOverlaySvg for callers that only need the markup.
+ * 
+ * @param {number} w - Width of the target image
+ * @param {number} h - Height of the target image  
+ * @param {string} rawTitle - The title text to overlay (no character limit)
+ * @param {string} rawSource - The source attribution text (no character limit)
+ * @param {number} maxLines - Maximum number of lines for title text (default: 5)
+ * @param {Object} options - Optional rendering settings (see buildOverlaySvg)
+ * @returns {string} SVG markup as a string
+ */
+export const makeSvg = (w, h, rawTitle, rawSource, maxLines = 5, options = {}) =>
+    buildOverlaySvg(w, h, rawTitle, rawSource, maxLines, options).svg;
+
+/**
+ * Parses and validates the title fit-mode query parameters shared by the
+ * overlay and reel endpoints
+ * 
+ * @param {Object} query - Express request query object
+ * @param {number} base - Smaller dimension of the image the title is laid out on, for the
+ *   default font size range (default: from the w and h parameters, 1080x1350 if not given)
+ * @returns {{options: Object, error: string|null}} Fit options for makeSvg or a validation error
+ */
+export const parseFitOptions = (query, base = Math.min(Number(query.w || 1080), Number(query.h || 1350))) => {
+    const fit = query.fit === 'true' || query.fit === '1';
+    const minFontSize = query.minFontSize !== undefined ? Number(query.minFontSize) : undefined;
+    const maxFontSize = query.maxFontSize !== undefined ? Number(query.maxFontSize) : undefined;
+
+    const invalid = (v) => v !== undefined && (!Number.isFinite(v) || v < 8 || v > 400);
+    if (invalid(minFontSize) || invalid(maxFontSize)) {
+        return { options: null, error: 'Invalid font size. minFontSize and maxFontSize must be between 8 and 400 pixels.' };
+    }
+    if (minFontSize !== undefined && maxFontSize !== undefined && minFontSize > maxFontSize) {
+        return { options: null, error: 'Invalid font size. minFontSize must not be larger than maxFontSize.' };
+    }
+
+    // A single bound must not cross the default of the other one
+    const { minSize, maxSize } = getFitFontSizeRange(base, { minFontSize, maxFontSize });
+    if (minSize > maxSize) {
+        return { options: null, error: `Invalid font size. minFontSize (${minSize}px) must not be larger than maxFontSize (${maxSize}px; defaults: 3.5% and 9% of the smaller image side).` };
+    }
+
+    return { options: { fit, minFontSize, maxFontSize }, error: null };
+};
+
+/**
+ * Parses and validates the hyphenation query parameters shared by the overlay
+ * and reel endpoints
+ * 
+ * @param {Object} query - Express request query object
+ * @returns {{options: Object, error: string|null}} Hyphenation options for makeSvg or a validation error
+ */
+export const parseHyphenationOptions = (query) => {
+    const lang = query.lang !== undefined ? String(query.lang).toLowerCase() : undefined;
+    if (lang !== undefined && !HYPHENATION_LANGUAGES.includes(lang)) {
+        return { options: null, error: 'Invalid lang. Must be one of: ' + HYPHENATION_LANGUAGES.join(', ') };
+    }
+    if (query.hyphenate !== undefined && !['true', 'false', '1', '0'].includes(query.hyphenate)) {
+        return { options: null, error: 'Invalid hyphenate. Must be true or false' };
+    }
+
+    return { options: { lang, hyphenate: query.hyphenate !== 'false' && query.hyphenate !== '0' }, error: null };
+};
+
+/**
+ * Parses and validates the title layout query parameters of the overlay endpoint
+ * 
+ * @param {Object} query - Express request query object
+ * @returns {{options: Object, error: string|null}} Layout options for makeSvg or a validation error
+ */
+export const parseLayoutOptions = (query) => {
+    const valign = query.valign || 'top';
+    const align = query.align || 'center';
+    const sourcePosition = query.sourcePos || 'bottom-right';
+
+    if (!['top', 'middle', 'bottom'].includes(valign)) {
+        return { options: null, error: 'Invalid valign. Must be one of: top, middle, bottom' };
+    }
+    if (!['left', 'center', 'right'].includes(align)) {
+        return { options: null, error: 'Invalid align. Must be one of: left, center, right' };
+    }
+    if (!['bottom-right', 'bottom-left', 'top-right', 'top-left'].includes(sourcePosition)) {
+        return { options: null, error: 'Invalid sourcePos. Must be one of: bottom-right, bottom-left, top-right, top-left' };
+    }
+
+    // Text box is only overridden when at least one box parameter is given
+    let box = null;
+    const boxParams = ['boxX', 'boxY', 'boxW', 'boxH'];
+    if (boxParams.some(p => query[p] !== undefined)) {
+        box = {
+            x: Number(query.boxX ?? 8),
+            y: Number(query.boxY ?? 8),
+            width: Number(query.boxW ?? 84),
+            height: Number(query.boxH ?? 70)
+        };
+        const values = Object.values(box);
+        if (values.some(v => !Number.isFinite(v) || v < 0 || v > 100) || box.width < 5 || box.height < 5) {
+            return { options: null, error: 'Invalid text box. boxX, boxY, boxW and boxH are percentages between 0 and 100 (width/height at least 5).' };
+        }
+        if (box.x + box.width > 100 || box.y + box.height > 100) {
+            return { options: null, error: 'Invalid text box. The box must lie within the image (boxX + boxW <= 100, boxY + boxH <= 100).' };
+        }
+    }
+
+    return { options: { valign, align, box, sourcePosition }, error: null };
+};
+
+/**
+ * Normalizes a color parameter to #rrggbb notation
+ * Accepts 3 or 6 digit hex values with or without leading '#'
+ * 
+ * @param {string} value - Raw color value
+ * @returns {string|null} Normalized color or null if invalid
+ */
+export const parseColor = (value) => {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value || '').trim());
+    if (!match) return null;
+    const hex = match[1].length === 3 ? match[1].split('').map(c => c + c).join('') : match[1];
+    return `#${hex.toLowerCase()}`;
+};
+
+/**
+ * Parses and validates the scrim query parameters of the overlay endpoint
+ * 
+ * @param {Object} query - Express request query object
+ * @returns {{options: Object, error: string|null}} Scrim options for makeSvg or a validation error
+ */
+export const parseScrimOptions = (query) => {
+    const type = query.scrim || 'none';
+    if (!['none', 'gradient', 'panel', 'darken'].includes(type)) {
+        return { options: null, error: 'Invalid scrim. Must be one of: none, gradient, panel, darken' };
+    }
+
+    let color;
+    if (query.scrimColor !== undefined) {
+        color = parseColor(query.scrimColor);
+        if (!color) {
+            return { options: null, error: 'Invalid scrimColor. Use a hex color like 000000 or #1a1a1a.' };
+        }
+    }
+
+    let opacity;
+    if (query.scrimOpacity !== undefined) {
+        opacity = Number(query.scrimOpacity);
+        if (!Number.isFinite(opacity) || opacity < 0 || opacity > 1) {
+            return { options: null, error: 'Invalid scrimOpacity. Must be between 0 and 1.' };
+        }
+    }
+
+    let radius;
+    if (query.scrimRadius !== undefined) {
+        radius = Number(query.scrimRadius);
+        if (!Number.isFinite(radius) || radius < 0 || radius > 500) {
+            return { options: null, error: 'Invalid scrimRadius. Must be between 0 and 500 pixels.' };
+        }
+    }
+
+    return { options: { scrim: type === 'none' ? null : { type, color, opacity, radius } }, error: null };
+};
+
+/**
+ * Validates and normalizes one text style section (title or source)
+ * 
+ * @param {Object} raw - Raw style values from JSON or query parameters
+ * @param {string} label - Section name used in error messages
+ * @param {boolean} isTitle - Whether title-only settings (lineHeight, highlight) are allowed
+ * @returns {{style: Object, error: string|null}} Normalized style or a validation error
+ */
+const normalizeTextStyle = (raw, label, isTitle) => {
+    const style = {};
+    const fail = (msg) => ({ style: null, error: `Invalid ${label} style: ${msg}` });
+    const num = (value, min, max) => {
+        const n = Number(value);
+        return Number.isFinite(n) && n >= min && n <= max ? n : null;
+    };
+
+    if (raw.fill !== undefined) {
+        style.fill = parseColor(raw.fill);
+        if (!style.fill) return fail('fill must be a hex color');
+    }
+    if (raw.stroke !== undefined) {
+        style.stroke = raw.stroke === 'none' ? 'none' : parseColor(raw.stroke);
+        if (!style.stroke) return fail('stroke must be a hex color or "none"');
+    }
+    if (raw.strokeWidth !== undefined) {
+        style.strokeWidth = num(raw.strokeWidth, 0, 50);
+        if (style.strokeWidth === null) return fail('strokeWidth must be between 0 and 50 pixels');
+    }
+    if (raw.fontWeight !== undefined) {
+        style.fontWeight = num(raw.fontWeight, 100, 900);
+        if (style.fontWeight === null || style.fontWeight % 100 !== 0) return fail('fontWeight must be 100, 200, ... 900');
+    }
+    if (raw.letterSpacing !== undefined) {
+        style.letterSpacing = num(raw.letterSpacing, -20, 100);
+        if (style.letterSpacing === null) return fail('letterSpacing must be between -20 and 100 pixels');
+    }
+    if (isTitle && raw.lineHeight !== undefined) {
+        style.lineHeight = num(raw.lineHeight, 0.8, 3);
+        if (style.lineHeight === null) return fail('lineHeight must be between 0.8 and 3');
+    }
+
+    // Shadow and highlight accept `true` for defaults or an object with overrides
+    if (raw.shadow !== undefined && raw.shadow !== false) {
+        const sh = raw.shadow === true ? {} : raw.shadow;
+        if (typeof sh !== 'object' || sh === null) return fail('shadow must be true or an object');
+        style.shadow = {};
+        for (const key of ['dx', 'dy']) {
+            if (sh[key] !== undefined && (style.shadow[key] = num(sh[key], -100, 100)) === null) return fail(`shadow.${key} must be between -100 and 100`);
+        }
+        if (sh.blur !== undefined && (style.shadow.blur = num(sh.blur, 0, 100)) === null) return fail('shadow.blur must be between 0 and 100');
+        if (sh.opacity !== undefined && (style.shadow.opacity = num(sh.opacity, 0, 1)) === null) return fail('shadow.opacity must be between 0 and 1');
+        if (sh.color !== undefined && !(style.shadow.color = parseColor(sh.color))) return fail('shadow.color must be a hex color');
+    }
+    if (isTitle && raw.highlight !== undefined && raw.highlight !== false) {
+        const hl = raw.highlight === true ? {} : raw.highlight;
+        if (typeof hl !== 'object' || hl === null) return fail('highlight must be true or an object');
+        style.highlight = {};
+        if (hl.color !== undefined && !(style.highlight.color = parseColor(hl.color))) return fail('highlight.color must be a hex color');
+        if (hl.opacity !== undefined && (style.highlight.opacity = num(hl.opacity, 0, 1)) === null) return fail('highlight.opacity must be between 0 and 1');
+        if (hl.padding !== undefined && (style.highlight.padding = num(hl.padding, 0, 200)) === null) return fail('highlight.padding must be between 0 and 200');
+        if (hl.radius !== undefined && (style.highlight.radius = num(hl.radius, 0, 200)) === null) return fail('highlight.radius must be between 0 and 200');
+    }
+
+    return { style, error: null };
 };
 
+/**
+ * Parses and validates the text style parameters of the overlay endpoint
+ * 
+ * Styles can be given as a JSON `style` parameter ({"title": {...}, "source": {...}})
+ * and/or as flat query parameters, which take precedence over the JSON values.
+ * 
+ * @param {Object} query - Express request query object
+ * @returns {{options: Object, error: string|null}} Style options for makeSvg or a validation error
+ */
+export const parseStyleOptions = (query) => {
+    let raw = {};
+    if (query.style !== undefined) {
+        try {
+            raw = typeof query.style === 'string' ? JSON.parse(query.style) : query.style;
+        } catch (error) {
+            return { options: null, error: `Invalid style. Must be valid JSON: ${error.message}` };
+        }
+        if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+            return { options: null, error: 'Invalid style. Must be a JSON object with "title" and/or "source" keys.' };
+        }
+    }
+
+    const flag = (v) => v === 'true' || v === '1' || v === true;
+    const defined = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+
+    // Flat query parameters override JSON values
+    const titleRaw = { ...(raw.title || {}), ...defined({
+        fill: query.titleColor,
+        stroke: query.titleStroke,
+        strokeWidth: query.titleStrokeWidth,
+        fontWeight: query.titleWeight,
+        letterSpacing: query.letterSpacing,
+        lineHeight: query.lineHeight
+    }) };
+    if (query.shadow !== undefined) {
+        titleRaw.shadow = flag(query.shadow) ? defined({ color: query.shadowColor, opacity: query.shadowOpacity, blur: query.shadowBlur }) : false;
+    }
+    if (query.highlight !== undefined) {
+        titleRaw.highlight = flag(query.highlight) ? defined({ color: query.highlightColor, opacity: query.highlightOpacity }) : false;
+    }
+
+    const sourceRaw = { ...(raw.source || {}), ...defined({
+        fill: query.sourceColor,
+        stroke: query.sourceStroke,
+        strokeWidth: query.sourceStrokeWidth,
+        fontWeight: query.sourceWeight
+    }) };
+    if (query.sourceShadow !== undefined) {
+        sourceRaw.shadow = flag(query.sourceShadow);
+    }
+
+    const title = normalizeTextStyle(titleRaw, 'title', true);
+    if (title.error) return { options: null, error: title.error };
+    const source = normalizeTextStyle(sourceRaw, 'source', false);
+    if (source.error) return { options: null, error: source.error };
+
+    return { options: { style: { title: title.style, source: source.style } }, error: null };
+};
+
+/**
+ * Normalizes JSON body values to query strings, so the query parsers apply unchanged
+ *
+ * @param {Object} body - Parsed JSON body
+ * @returns {Object} Parameters as strings (a `style` object is kept as is, null values are dropped)
+ */
+export const normalizeBodyParams = (body) => Object.fromEntries(Object.entries(body)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => [key, key === 'style' && typeof value === 'object' ? value : String(value)]));
+
 /**
  * Downloads an image from URL to local path
+ *
+ * `store:<uuid>` references are copied from the storage directory instead.
  * 
- * @param {string} imageUrl - URL of the image to download
+ * @param {string} imageUrl - URL of the image to download or stored file reference
  * @param {string} outputPath - Local path to save the image
  * @param {string} requestId - Request ID for logging
+ * @param {string} mediaDir - Media directory holding the storage directory (for store: references)
+ * @param {Object} fetchOptions - Remote fetch policy and source cache (see helpers/remoteFetch.js and helpers/sourceCache.js)
+ * @throws {RemoteFetchError} When the URL is refused or the image can't be fetched
  */
-export async function downloadImage(imageUrl, outputPath, requestId) {
-    console.log(`📥 [${requestId}] Downloading: ${imageUrl}`);
-
-    const response = await fetch(imageUrl);
-    if (!response.ok) {
-        throw new Error(`Failed to download image: ${response.status} ${response.statusText}`);
+export async function downloadImage(imageUrl, outputPath, requestId, mediaDir, fetchOptions) {
+    if (isStoreRef(imageUrl)) {
+        const { path: storedPath, error } = await resolveStoreRef(imageUrl, mediaDir);
+        if (error) {
+            throw new Error(error);
+        }
+        await fsp.copyFile(storedPath, outputPath);
+        console.log(`✅ [${requestId}] Copied stored file: ${path.basename(storedPath)} -> ${outputPath}`);
+        return;
     }
 
-    const buffer = Buffer.from(await response.arrayBuffer());
+    console.log(`📥 [${requestId}] Downloading: ${imageUrl}`);
+
+    const { buffer, format, cache } = await fetchSourceImage(imageUrl, fetchOptions);
     await fsp.writeFile(outputPath, buffer);
 
-    console.log(`✅ [${requestId}] Downloaded: ${outputPath} (${buffer.length} bytes)`);
+    console.log(`✅ [${requestId}] Downloaded: ${outputPath} (${buffer.length} bytes, ${format}, cache ${cache})`);
 }
 
 /**
@@ -268,13 +984,15 @@ export async function downloadImage(imageUrl, outputPath, requestId) {
  * @param {string} text - Text to overlay
  * @param {string} outputPath - Path to save the PNG file
  * @param {string} requestId - Request ID for logging
+ * @param {Object} options - Optional makeSvg rendering settings (e.g. fit mode)
+ * @returns {Promise<number>} Title font size used for the overlay
  */
-export async function generateTextOverlay(text, outputPath, requestId) {
+export async function generateTextOverlay(text, outputPath, requestId, options = {}) {
     console.log(`🎨 [${requestId}] Generating text overlay: "${text}"`);
 
-    // Use the same makeSvg function but with video-optimized dimensions for safe zone
+    // Use the same makeSvg layout but with video-optimized dimensions for safe zone
     // 1080x300 for center safe zone of 1080x1920 video (positioned in center 1080x1080 area)
-    const svg = makeSvg(1080, 1080, text, '', 9); // 9 lines max for video
+    const { svg, titleFontSize } = buildOverlaySvg(1080, 1080, text, '', 9, options); // 9 lines max for video
 
     // Convert SVG to PNG using Sharp
     const pngBuffer = await sharp(Buffer.from(svg))
@@ -282,7 +1000,27 @@ export async function generateTextOverlay(text, outputPath, requestId) {
         .toBuffer();
 
     await fsp.writeFile(outputPath, pngBuffer);
-    console.log(`✅ [${requestId}] Text overlay generated: ${outputPath}`);
+    console.log(`✅ [${requestId}] Text overlay generated: ${outputPath} (font size ${titleFontSize}px)`);
+    return titleFontSize;
+}
+
+/**
+ * Renders the QR code PNG for video reels
+ *
+ * @param {Object|null} qr - QR code options from parseQrOptions
+ * @param {string} outputPath - Path to save the PNG file
+ * @param {number} W - Video width in pixels
+ * @param {number} H - Video height in pixels
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<{path: string, left: number, top: number}|null>} PNG path and position in the frame, or null without QR code
+ */
+export async function generateQrOverlay(qr, outputPath, W, H, requestId) {
+    if (!qr) return null;
+
+    const { input, left, top, width } = await renderQrCode(qr, W, H);
+    await fsp.writeFile(outputPath, input);
+    console.log(`🔳 [${requestId}] QR code version ${qr.code.version}-${qr.level} generated: ${outputPath} (${width}x${width} at ${left},${top})`);
+    return { path: outputPath, left, top };
 }
 
 /**
@@ -291,7 +1029,7 @@ export async function generateTextOverlay(text, outputPath, requestId) {
  * @param {Object} params - Command parameters
  * @returns {Array} FFmpeg command arguments
  */
-export function build3SlidesFFmpegCommand({ slide1Path, slide2Path, slide3Path, title1Path, title2Path, title3Path, duration1, duration2, duration3, transition, outputPath, requestId, kenBurns }) {
+export function build3SlidesFFmpegCommand({ slide1Path, slide2Path, slide3Path, title1Path, title2Path, title3Path, qrOverlay = null, duration1, duration2, duration3, transition, outputPath, requestId, kenBurns }) {
     const command = [
         '-y', // Overwrite output file
         '-loop', '1', '-framerate', '30', '-i', slide1Path,
@@ -309,12 +1047,16 @@ export function build3SlidesFFmpegCommand({ slide1Path, slide2Path, slide3Path,
     if (title3Path) {
         command.push('-loop', '1', '-framerate', '30', '-i', title3Path);
     }
+    if (qrOverlay) {
+        command.push('-loop', '1', '-framerate', '30', '-i', qrOverlay.path);
+    }
 
     // Build filter complex
     const filterComplex = build3SlidesFilterComplex({
         hasTitle1: !!title1Path,
         hasTitle2: !!title2Path,
         hasTitle3: !!title3Path,
+        qrOverlay,
         duration1,
         duration2,
         duration3,
@@ -340,7 +1082,7 @@ export function build3SlidesFFmpegCommand({ slide1Path, slide2Path, slide3Path,
  * @param {Object} params - Command parameters
  * @returns {Array} FFmpeg command arguments
  */
-export function buildFFmpegCommand({ slide1Path, slide2Path, title1Path, title2Path, duration1, duration2, transition, outputPath, requestId, kenBurns }) {
+export function buildFFmpegCommand({ slide1Path, slide2Path, title1Path, title2Path, qrOverlay = null, duration1, duration2, transition, outputPath, requestId, kenBurns }) {
     const command = [
         '-y', // Overwrite output file
         '-loop', '1', '-framerate', '30', '-i', slide1Path,
@@ -354,11 +1096,15 @@ export function buildFFmpegCommand({ slide1Path, slide2Path, title1Path, title2P
     if (title2Path) {
         command.push('-loop', '1', '-framerate', '30', '-i', title2Path);
     }
+    if (qrOverlay) {
+        command.push('-loop', '1', '-framerate', '30', '-i', qrOverlay.path);
+    }
 
     // Build filter complex
     const filterComplex = buildFilterComplex({
         hasTitle1: !!title1Path,
         hasTitle2: !!title2Path,
+        qrOverlay,
         duration1,
         duration2,
         transition,
@@ -383,15 +1129,16 @@ export function buildFFmpegCommand({ slide1Path, slide2Path, title1Path, title2P
  * @param {Object} params - Filter parameters
  * @returns {string} Filter complex string
  */
-export function buildFilterComplex({ hasTitle1, hasTitle2, duration1, duration2, transition, requestId, kenBurns }) {
+export function buildFilterComplex({ hasTitle1, hasTitle2, qrOverlay = null, duration1, duration2, transition, requestId, kenBurns }) {
     console.log(`🎬 [${requestId}] Building filter complex with Ken Burns effect...`);
 
-    // Eingänge: 0=slide1, 1=slide2, 2=title1?, 3=title2?
+    // Eingänge: 0=slide1, 1=slide2, 2=title1?, 3=title2?, 4=qr?
     let idx = 0;
     const s1 = idx++;
     const s2 = idx++;
     const t1 = hasTitle1 ? idx++ : -1;
     const t2 = hasTitle2 ? idx++ : -1;
+    const qr = qrOverlay ? idx++ : -1;
 
     // Use computed Ken Burns parameters
     const fps = kenBurns?.fps ?? 30;
@@ -434,7 +1181,13 @@ export function buildFilterComplex({ hasTitle1, hasTitle2, duration1, duration2,
     }
 
     // Crossfade using computed timing
-    filters += `;[${v1Final}][${v2Final}]xfade=transition=fade:duration=${xfadeDurationSec}:offset=${xfadeOffsetSec},format=yuv420p[vfinal]`;
+    const xfadeOut = qrOverlay ? 'v12' : 'vfinal';
+    filters += `;[${v1Final}][${v2Final}]xfade=transition=fade:duration=${xfadeDurationSec}:offset=${xfadeOffsetSec},format=yuv420p[${xfadeOut}]`;
+
+    // QR code on top of both slides and the transition
+    if (qrOverlay) {
+        filters += `;[v12][${qr}:v]overlay=x=${qrOverlay.left}:y=${qrOverlay.top}:eval=init,format=yuv420p[vfinal]`;
+    }
 
     console.log(`✅ [${requestId}] Ken Burns filter complex built successfully`);
     return filters;
@@ -446,10 +1199,10 @@ export function buildFilterComplex({ hasTitle1, hasTitle2, duration1, duration2,
  * @param {Object} params - Filter parameters
  * @returns {string} Filter complex string
  */
-export function build3SlidesFilterComplex({ hasTitle1, hasTitle2, hasTitle3, duration1, duration2, duration3, transition, requestId, kenBurns }) {
+export function build3SlidesFilterComplex({ hasTitle1, hasTitle2, hasTitle3, qrOverlay = null, duration1, duration2, duration3, transition, requestId, kenBurns }) {
     console.log(`🎬 [${requestId}] Building 3-slide filter complex with Ken Burns effect...`);
 
-    // Eingänge: 0=slide1, 1=slide2, 2=slide3, 3=title1?, 4=title2?, 5=title3?
+    // Eingänge: 0=slide1, 1=slide2, 2=slide3, 3=title1?, 4=title2?, 5=title3?, 6=qr?
     let idx = 0;
     const s1 = idx++;
     const s2 = idx++;
@@ -457,6 +1210,7 @@ export function build3SlidesFilterComplex({ hasTitle1, hasTitle2, hasTitle3, dur
     const t1 = hasTitle1 ? idx++ : -1;
     const t2 = hasTitle2 ? idx++ : -1;
     const t3 = hasTitle3 ? idx++ : -1;
+    const qr = qrOverlay ? idx++ : -1;
 
     // Use computed Ken Burns parameters
     const fps = kenBurns?.fps ?? 30;
@@ -508,7 +1262,13 @@ export function build3SlidesFilterComplex({ hasTitle1, hasTitle2, hasTitle3, dur
     filters += `;[${v1Final}][${v2Final}]xfade=transition=fade:duration=${xfadeDurationSec}:offset=${xfadeOffset1Sec},format=yuv420p[v12]`;
 
     // Second crossfade (slide12 to slide3)
-    filters += `;[v12][${v3Final}]xfade=transition=fade:duration=${xfadeDurationSec}:offset=${xfadeOffset2Sec},format=yuv420p[vfinal]`;
+    const xfadeOut = qrOverlay ? 'v123' : 'vfinal';
+    filters += `;[v12][${v3Final}]xfade=transition=fade:duration=${xfadeDurationSec}:offset=${xfadeOffset2Sec},format=yuv420p[${xfadeOut}]`;
+
+    // QR code on top of all slides and transitions
+    if (qrOverlay) {
+        filters += `;[v123][${qr}:v]overlay=x=${qrOverlay.left}:y=${qrOverlay.top}:eval=init,format=yuv420p[vfinal]`;
+    }
 
     console.log(`✅ [${requestId}] 3-slide Ken Burns filter complex built successfully`);
     return filters;
@@ -556,9 +1316,12 @@ export async function execFFmpeg(command, requestId) {
  * @param {string} params.MEDIA_DIR - Media directory path
  * @param {string} params.REELS_SUBDIR - Reels subdirectory
  * @param {string} params.TMP_DIR - Temporary directory
- * @returns {Promise<string>} URL of the generated video
+ * @param {Object} params.FETCH_OPTIONS - Remote fetch policy and source cache for the slide images (see helpers/remoteFetch.js and helpers/sourceCache.js)
+ * @param {Object} params.titleOptions - Optional makeSvg settings for the title overlays (e.g. fit mode)
+ * @param {Object|null} params.qr - Optional QR code options from parseQrOptions, shown for the whole reel
+ * @returns {Promise<{videoUrl: string, titleFontSizes: Object}>} URL of the generated video and the title font size per slide
  */
-export async function generate2SlidesReel({ slide1, slide2, title1, title2, duration1, duration2, transition, outputPath, requestId, DOMAIN, MEDIA_DIR, REELS_SUBDIR, TMP_DIR }) {
+export async function generate2SlidesReel({ slide1, slide2, title1, title2, duration1, duration2, transition, outputPath, requestId, DOMAIN, MEDIA_DIR, REELS_SUBDIR, TMP_DIR, FETCH_OPTIONS, titleOptions = {}, qr = null }) {
     console.log(`🎬 [${requestId}] Starting 2slidesReel generation...`);
 
     // Create temporary files for processing
@@ -573,8 +1336,8 @@ export async function generate2SlidesReel({ slide1, slide2, title1, title2, dura
         const slide1Path = path.join(tempDir, 'slide1.jpg');
         const slide2Path = path.join(tempDir, 'slide2.jpg');
 
-        await downloadImage(slide1, slide1Path, requestId);
-        await downloadImage(slide2, slide2Path, requestId);
+        await downloadImage(slide1, slide1Path, requestId, MEDIA_DIR, FETCH_OPTIONS);
+        await downloadImage(slide2, slide2Path, requestId, MEDIA_DIR, FETCH_OPTIONS);
 
         // Read image metadata to compute aspect ratios and log Ken Burns params
         const [meta1, meta2] = await Promise.all([
@@ -648,19 +1411,23 @@ export async function generate2SlidesReel({ slide1, slide2, title1, title2, dura
         };
 
         // Generate text overlays if provided
+        const titleFontSizes = {};
         let title1Path = null;
         let title2Path = null;
 
         if (title1) {
             title1Path = path.join(tempDir, 'title1.png');
-            await generateTextOverlay(title1, title1Path, requestId);
+            titleFontSizes.title1 = await generateTextOverlay(title1, title1Path, requestId, titleOptions);
         }
 
         if (title2) {
             title2Path = path.join(tempDir, 'title2.png');
-            await generateTextOverlay(title2, title2Path, requestId);
+            titleFontSizes.title2 = await generateTextOverlay(title2, title2Path, requestId, titleOptions);
         }
 
+        // Render the QR code at its place in the output frame
+        const qrOverlay = await generateQrOverlay(qr, path.join(tempDir, 'qr.png'), outW, outH, requestId);
+
         // Generate FFmpeg command
         console.log(`🔧 [${requestId}] Building FFmpeg command...`);
         const ffmpegCommand = buildFFmpegCommand({
@@ -668,6 +1435,7 @@ export async function generate2SlidesReel({ slide1, slide2, title1, title2, dura
             slide2Path,
             title1Path,
             title2Path,
+            qrOverlay,
             duration1,
             duration2,
             transition,
@@ -684,7 +1452,7 @@ export async function generate2SlidesReel({ slide1, slide2, title1, title2, dura
         const videoUrl = `https://${DOMAIN}/media/${REELS_SUBDIR}/${path.basename(outputPath)}`;
 
         console.log(`✅ [${requestId}] Video generated successfully: ${videoUrl}`);
-        return videoUrl;
+        return { videoUrl, titleFontSizes };
 
     } finally {
         // Clean up temporary files
@@ -717,9 +1485,12 @@ export async function generate2SlidesReel({ slide1, slide2, title1, title2, dura
  * @param {string} params.MEDIA_DIR - Media directory path
  * @param {string} params.REELS_SUBDIR - Reels subdirectory
  * @param {string} params.TMP_DIR - Temporary directory
- * @returns {Promise<string>} URL of the generated video
+ * @param {Object} params.FETCH_OPTIONS - Remote fetch policy and source cache for the slide images (see helpers/remoteFetch.js and helpers/sourceCache.js)
+ * @param {Object} params.titleOptions - Optional makeSvg settings for the title overlays (e.g. fit mode)
+ * @param {Object|null} params.qr - Optional QR code options from parseQrOptions, shown for the whole reel
+ * @returns {Promise<{videoUrl: string, titleFontSizes: Object}>} URL of the generated video and the title font size per slide
  */
-export async function generate3SlidesReel({ slide1, slide2, slide3, title1, title2, title3, duration1, duration2, duration3, transition, outputPath, requestId, DOMAIN, MEDIA_DIR, REELS_SUBDIR, TMP_DIR }) {
+export async function generate3SlidesReel({ slide1, slide2, slide3, title1, title2, title3, duration1, duration2, duration3, transition, outputPath, requestId, DOMAIN, MEDIA_DIR, REELS_SUBDIR, TMP_DIR, FETCH_OPTIONS, titleOptions = {}, qr = null }) {
     console.log(`🎬 [${requestId}] Starting 3slidesReel generation...`);
 
     // Create temporary files for processing
@@ -735,9 +1506,9 @@ export async function generate3SlidesReel({ slide1, slide2, slide3, title1, titl
         const slide2Path = path.join(tempDir, 'slide2.jpg');
         const slide3Path = path.join(tempDir, 'slide3.jpg');
 
-        await downloadImage(slide1, slide1Path, requestId);
-        await downloadImage(slide2, slide2Path, requestId);
-        await downloadImage(slide3, slide3Path, requestId);
+        await downloadImage(slide1, slide1Path, requestId, MEDIA_DIR, FETCH_OPTIONS);
+        await downloadImage(slide2, slide2Path, requestId, MEDIA_DIR, FETCH_OPTIONS);
+        await downloadImage(slide3, slide3Path, requestId, MEDIA_DIR, FETCH_OPTIONS);
 
         // Read image metadata to compute aspect ratios and log Ken Burns params
         const [meta1, meta2, meta3] = await Promise.all([
@@ -827,25 +1598,29 @@ export async function generate3SlidesReel({ slide1, slide2, slide3, title1, titl
         };
 
         // Generate text overlays if provided
+        const titleFontSizes = {};
         let title1Path = null;
         let title2Path = null;
         let title3Path = null;
 
         if (title1) {
             title1Path = path.join(tempDir, 'title1.png');
-            await generateTextOverlay(title1, title1Path, requestId);
+            titleFontSizes.title1 = await generateTextOverlay(title1, title1Path, requestId, titleOptions);
         }
 
         if (title2) {
             title2Path = path.join(tempDir, 'title2.png');
-            await generateTextOverlay(title2, title2Path, requestId);
+            titleFontSizes.title2 = await generateTextOverlay(title2, title2Path, requestId, titleOptions);
         }
 
         if (title3) {
             title3Path = path.join(tempDir, 'title3.png');
-            await generateTextOverlay(title3, title3Path, requestId);
+            titleFontSizes.title3 = await generateTextOverlay(title3, title3Path, requestId, titleOptions);
         }
 
+        // Render the QR code at its place in the output frame
+        const qrOverlay = await generateQrOverlay(qr, path.join(tempDir, 'qr.png'), outW, outH, requestId);
+
         // Generate FFmpeg command
         console.log(`🔧 [${requestId}] Building FFmpeg command...`);
         const ffmpegCommand = build3SlidesFFmpegCommand({
@@ -855,6 +1630,7 @@ export async function generate3SlidesReel({ slide1, slide2, slide3, title1, titl
             title1Path,
             title2Path,
             title3Path,
+            qrOverlay,
             duration1,
             duration2,
             duration3,
@@ -872,7 +1648,7 @@ export async function generate3SlidesReel({ slide1, slide2, slide3, title1, titl
         const videoUrl = `https://${DOMAIN}/media/${REELS_SUBDIR}/${path.basename(outputPath)}`;
 
         console.log(`✅ [${requestId}] Video generated successfully: ${videoUrl}`);
-        return videoUrl;
+        return { videoUrl, titleFontSizes };
 
     } finally {
         // Clean up temporary files
@@ -0,0 +1,178 @@
+/**
+ * Automatic Text Color Helpers
+ *
+ * Contrast-aware title colors: the region under the title block is measured
+ * with sharp stats, and fill, stroke and (if needed) scrim opacity are chosen
+ * to reach a target WCAG contrast ratio between the title fill and the
+ * background behind it.
+ */
+
+import sharp from 'sharp';
+import { SCRIM_DEFAULT_OPACITY } from '../helpers.js';
+
+/**
+ * Default target contrast ratio (WCAG AA for normal text)
+ */
+const DEFAULT_MIN_CONTRAST = 4.5;
+
+/**
+ * Strongest scrim autoColor adds; beyond this the image would be mostly hidden
+ */
+const MAX_SCRIM_OPACITY = 0.85;
+
+/**
+ * Parses the autoColor query parameters of the overlay endpoint
+ *
+ * @param {Object} query - Express request query object
+ * @returns {{options: Object|null, error: string|null}} Auto color options ({enabled, minContrast}) or a validation error
+ */
+export const parseAutoColorOptions = (query) => {
+    const value = query.autoColor === undefined ? 'false' : String(query.autoColor).toLowerCase();
+    if (!['true', 'false', '1', '0'].includes(value)) {
+        return { options: null, error: 'Invalid autoColor. Must be true or false.' };
+    }
+
+    let minContrast = DEFAULT_MIN_CONTRAST;
+    if (query.minContrast !== undefined) {
+        minContrast = Number(query.minContrast);
+        if (query.minContrast === '' || !Number.isFinite(minContrast) || minContrast < 1 || minContrast > 21) {
+            return { options: null, error: 'Invalid minContrast. Must be a contrast ratio between 1 and 21.' };
+        }
+    }
+
+    return { options: { enabled: value === 'true' || value === '1', minContrast }, error: null };
+};
+
+/**
+ * Relative luminance of an sRGB color (WCAG 2.x)
+ *
+ * @param {{r: number, g: number, b: number}} color - Channel values 0-255
+ * @returns {number} Luminance between 0 (black) and 1 (white)
+ */
+export const relativeLuminance = ({ r, g, b }) => {
+    const linear = (c) => {
+        const v = Math.min(255, Math.max(0, c)) / 255;
+        return v <= 0.03928 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+    };
+    return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+};
+
+/**
+ * WCAG contrast ratio between two luminances
+ *
+ * @param {number} a - Relative luminance
+ * @param {number} b - Relative luminance
+ * @returns {number} Contrast ratio between 1 and 21
+ */
+export const contrastRatio = (a, b) => (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+
+/**
+ * Converts a hex color to channel values
+ *
+ * @param {string} hex - Color as #rrggbb
+ * @returns {{r: number, g: number, b: number}} Channel values 0-255
+ */
+const hexToRgb = (hex) => ({
+    r: parseInt(hex.slice(1, 3), 16),
+    g: parseInt(hex.slice(3, 5), 16),
+    b: parseInt(hex.slice(5, 7), 16)
+});
+
+/**
+ * Measures the background under the title block
+ *
+ * Besides the mean color, a bright and a dark variant (mean ± one standard
+ * deviation per channel) describe busy backgrounds: light text has to hold up
+ * against the bright parts, dark text against the dark parts.
+ *
+ * @param {Object} base - sharp instance of the W×H background
+ * @param {Object} block - Title block ({left, top, width, height}) in pixels
+ * @param {number} W - Image width in pixels
+ * @param {number} H - Image height in pixels
+ * @returns {Promise<{mean: Object, bright: Object, dark: Object, stdev: number}>} Background colors ({r, g, b}) and average channel deviation
+ */
+export const measureTitleBackground = async (base, block, W, H) => {
+    const left = Math.max(0, Math.min(W - 1, block.left));
+    const top = Math.max(0, Math.min(H - 1, block.top));
+    const region = {
+        left,
+        top,
+        width: Math.max(1, Math.min(W - left, block.width)),
+        height: Math.max(1, Math.min(H - top, block.height))
+    };
+
+    const { data, info } = await base.clone().extract(region).raw().toBuffer({ resolveWithObject: true });
+    const { channels } = await sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } }).stats();
+
+    const [r, g, b] = channels.length >= 3 ? channels : [channels[0], channels[0], channels[0]];
+    const shift = (sign) => ({ r: r.mean + sign * r.stdev, g: g.mean + sign * g.stdev, b: b.mean + sign * b.stdev });
+    return {
+        mean: { r: r.mean, g: g.mean, b: b.mean },
+        bright: shift(1),
+        dark: shift(-1),
+        stdev: (r.stdev + g.stdev + b.stdev) / 3
+    };
+};
+
+/**
+ * Chooses title fill, stroke and scrim to reach the target contrast
+ *
+ * The fill (white or black unless given) is the one with the better worst-case
+ * contrast; the stroke is its opposite. If the contrast is still below the
+ * target, a scrim in the stroke color is added (or the requested scrim made
+ * stronger) with the lowest opacity that reaches it. A scrim opacity given in
+ * the request is kept as is.
+ *
+ * @param {Object} background - Measurement from measureTitleBackground
+ * @param {Object} options - Target and request settings ({minContrast, fill, stroke, scrim}); fill, stroke and scrim are optional
+ * @returns {{fill: string, stroke: string, scrim: Object|null, contrast: number, backgroundContrast: number}} Chosen colors,
+ *   scrim settings and the contrast ratio with and without the scrim
+ */
+export const chooseTitleColors = (background, { minContrast, fill: requestFill, stroke: requestStroke, scrim }) => {
+    // Worst-case contrast of a fill against the background seen through a scrim
+    const worstContrast = (fill, scrimColor, opacity) => {
+        const fillLuminance = relativeLuminance(hexToRgb(fill));
+        const s = hexToRgb(scrimColor);
+        const blend = ({ r, g, b }) => ({
+            r: opacity * s.r + (1 - opacity) * r,
+            g: opacity * s.g + (1 - opacity) * g,
+            b: opacity * s.b + (1 - opacity) * b
+        });
+        return Math.min(
+            contrastRatio(fillLuminance, relativeLuminance(blend(background.bright))),
+            contrastRatio(fillLuminance, relativeLuminance(blend(background.dark)))
+        );
+    };
+
+    const fill = requestFill || (worstContrast('#ffffff', '#000000', 0) >= worstContrast('#000000', '#000000', 0) ? '#ffffff' : '#000000');
+    const light = relativeLuminance(hexToRgb(fill)) > 0.5;
+    const stroke = requestStroke || (light ? '#000000' : '#ffffff');
+    const backgroundContrast = worstContrast(fill, '#000000', 0);
+
+    // The scrim darkens behind light text and lightens behind dark text
+    const scrimColor = (scrim && scrim.color) || (light ? '#000000' : '#ffffff');
+    const startOpacity = scrim ? (scrim.opacity ?? SCRIM_DEFAULT_OPACITY[scrim.type]) : 0;
+    const startContrast = worstContrast(fill, scrimColor, startOpacity);
+    if (startContrast >= minContrast || (scrim && scrim.opacity !== undefined)) {
+        return { fill, stroke, scrim: scrim ? { ...scrim, color: scrimColor } : null, contrast: startContrast, backgroundContrast };
+    }
+
+    // Lowest opacity that reaches the target; MAX_SCRIM_OPACITY if none does
+    let lo = startOpacity;
+    let hi = Math.max(startOpacity, MAX_SCRIM_OPACITY);
+    if (worstContrast(fill, scrimColor, hi) >= minContrast) {
+        for (let i = 0; i < 12; i++) {
+            const mid = (lo + hi) / 2;
+            if (worstContrast(fill, scrimColor, mid) >= minContrast) hi = mid; else lo = mid;
+        }
+    }
+    const opacity = Math.ceil(hi * 100) / 100;
+
+    return {
+        fill,
+        stroke,
+        scrim: { ...(scrim || { type: 'panel' }), color: scrimColor, opacity },
+        contrast: worstContrast(fill, scrimColor, opacity),
+        backgroundContrast
+    };
+};
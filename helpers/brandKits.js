@@ -0,0 +1,207 @@
+/**
+ * Brand Kit Helpers
+ *
+ * Brand kits are named JSON profiles in the brands directory under DATA_DIR,
+ * which is not served under /media, so kits are only readable through the
+ * authenticated /brands endpoints.
+ * A kit stores default query parameters (font, colors, stroke, scrim, logo,
+ * layout, dimensions, ...) that are applied with `brand=<name>`; parameters
+ * given explicitly in the request always win over kit values.
+ */
+
+import fsp from 'fs/promises';
+import path from 'path';
+import { parseFitOptions, parseHyphenationOptions, parseLayoutOptions, parseScrimOptions, parseStyleOptions } from '../helpers.js';
+import { resolveFontOptions } from './fontRegistry.js';
+import { resolveLogoOptions } from './logoRegistry.js';
+import { parseCropOptions } from './imageCrop.js';
+import { parseOutputOptions } from './outputFormat.js';
+import { parseAutoColorOptions } from './autoColor.js';
+import { parseQrOptions } from './qrCode.js';
+
+/**
+ * Flat style shortcuts, dropped from a kit when the request brings its own `style` JSON
+ * (flat parameters take precedence over JSON, so kit shortcuts would otherwise win)
+ */
+const STYLE_SHORTCUTS = [
+    'titleColor', 'titleStroke', 'titleStrokeWidth', 'titleWeight', 'letterSpacing', 'lineHeight',
+    'shadow', 'shadowColor', 'shadowOpacity', 'shadowBlur', 'highlight', 'highlightColor', 'highlightOpacity',
+    'sourceColor', 'sourceStroke', 'sourceStrokeWidth', 'sourceWeight', 'sourceShadow'
+];
+
+/**
+ * Parameters a brand kit may set
+ */
+export const BRAND_KIT_PARAMETERS = [
+    'w', 'h', 'maxLines', 'source',
+    'font', 'titleFont', 'sourceFont',
+    'style', ...STYLE_SHORTCUTS,
+    'scrim', 'scrimColor', 'scrimOpacity', 'scrimRadius', 'autoColor', 'minContrast',
+    'valign', 'align', 'boxX', 'boxY', 'boxW', 'boxH', 'sourcePos',
+    'logo', 'logoPosition', 'logoX', 'logoY', 'logoScale', 'logoOpacity',
+    'qrPosition', 'qrSize', 'qrEcc', 'qrColor', 'qrBackground', 'qrMargin',
+    'fit', 'minFontSize', 'maxFontSize', 'lang', 'hyphenate',
+    'crop', 'fx', 'fy', 'contain', 'fillColor',
+    'format', 'quality', 'progressive', 'mozjpeg'
+];
+
+/**
+ * Kit parameters superseded by a related request parameter
+ */
+const OVERRIDDEN_BY = {
+    style: STYLE_SHORTCUTS,
+    logoPosition: ['logoX', 'logoY'],
+    crop: ['fx', 'fy']
+};
+
+/**
+ * Allowed kit names (used as file names, so keep them filesystem-safe)
+ */
+const BRAND_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+/**
+ * Checks whether a brand kit name is valid
+ *
+ * @param {string} name - Brand kit name
+ * @returns {boolean} True if the name can be used
+ */
+export const isValidBrandName = (name) => BRAND_NAME_PATTERN.test(String(name || ''));
+
+/**
+ * Returns the file path of a brand kit
+ *
+ * @param {string} brandsDir - Brands directory
+ * @param {string} name - Brand kit name (must be valid)
+ * @returns {string} Absolute JSON file path
+ */
+export const brandKitPath = (brandsDir, name) => path.join(brandsDir, `${name}.json`);
+
+/**
+ * Loads a brand kit
+ *
+ * @param {string} brandsDir - Brands directory
+ * @param {string} name - Brand kit name
+ * @returns {Promise<Object|null>} Kit ({name, description, params, createdAt, updatedAt}) or null if not found
+ */
+export const loadBrandKit = async (brandsDir, name) => {
+    if (!isValidBrandName(name)) return null;
+    try {
+        return JSON.parse(await fsp.readFile(brandKitPath(brandsDir, name), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+};
+
+/**
+ * Lists all brand kits
+ *
+ * @param {string} brandsDir - Brands directory
+ * @returns {Promise<Array<Object>>} Kits sorted by name
+ */
+export const listBrandKits = async (brandsDir) => {
+    let files;
+    try {
+        files = await fsp.readdir(brandsDir);
+    } catch (error) {
+        return [];
+    }
+
+    const kits = await Promise.all(files
+        .filter(file => path.extname(file) === '.json')
+        .map(async file => {
+            try {
+                return JSON.parse(await fsp.readFile(path.join(brandsDir, file), 'utf8'));
+            } catch (error) {
+                console.warn(`⚠️ [brandKits] Skipping unreadable brand kit ${file}: ${error.message}`);
+                return null;
+            }
+        }));
+
+    return kits.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Validates the parameters of a brand kit
+ *
+ * Values are normalized to query strings (a `style` object is kept as is) and
+ * checked with the same parsers the endpoints use, so a stored kit never
+ * produces a 400 at render time. Referenced fonts and logos must exist.
+ *
+ * @param {Object} params - Raw kit parameters
+ * @param {Object} config - Configuration object with FONTS_DIR, LOGOS_DIR and LOGO_PATH
+ * @returns {{params: Object|null, error: string|null}} Normalized parameters or a validation error
+ */
+export const validateBrandKitParams = (params, config) => {
+    if (typeof params !== 'object' || params === null || Array.isArray(params)) {
+        return { params: null, error: 'params must be an object of query parameters' };
+    }
+
+    const normalized = {};
+    for (const [key, value] of Object.entries(params)) {
+        if (!BRAND_KIT_PARAMETERS.includes(key)) {
+            return { params: null, error: `Unsupported brand kit parameter: ${key}` };
+        }
+        if (key === 'style' && typeof value === 'object' && value !== null && !Array.isArray(value)) {
+            normalized[key] = value;
+        } else if (['string', 'number', 'boolean'].includes(typeof value)) {
+            normalized[key] = String(value);
+        } else {
+            return { params: null, error: `Invalid value for ${key}. Must be a string, number or boolean.` };
+        }
+    }
+
+    const W = Number(normalized.w ?? 1080);
+    const H = Number(normalized.h ?? 1350);
+    if (!(W >= 100 && W <= 4000 && H >= 100 && H <= 4000)) {
+        return { params: null, error: 'Invalid dimensions. Width and height must be between 100 and 4000 pixels.' };
+    }
+    const maxLines = Number(normalized.maxLines ?? 5);
+    if (!(maxLines >= 1 && maxLines <= 20)) {
+        return { params: null, error: 'Invalid maxLines. Must be between 1 and 20.' };
+    }
+
+    for (const parse of [parseFitOptions, parseHyphenationOptions, parseLayoutOptions, parseScrimOptions, parseStyleOptions, parseAutoColorOptions, parseQrOptions, parseCropOptions, parseOutputOptions]) {
+        const { error } = parse(normalized);
+        if (error) return { params: null, error };
+    }
+    for (const { error } of [resolveFontOptions(normalized, config.FONTS_DIR), resolveLogoOptions(normalized, config)]) {
+        if (error) return { params: null, error };
+    }
+
+    return { params: normalized, error: null };
+};
+
+/**
+ * Applies the brand kit selected with `brand=<name>` to a request query
+ *
+ * Kit values are defaults: every parameter present in the query wins, and
+ * related kit values are dropped with it (a request `style` replaces the
+ * kit's style shortcuts, `logoPosition` the kit's logoX/logoY, `crop` fx/fy).
+ *
+ * @param {Object} query - Express request query object
+ * @param {string} brandsDir - Brands directory
+ * @returns {Promise<{query: Object|null, brand: string|null, error: string|null, status: number}>} Effective query or an error with HTTP status
+ */
+export const applyBrandKit = async (query, brandsDir) => {
+    if (query.brand === undefined || query.brand === '') {
+        return { query, brand: null, error: null, status: 200 };
+    }
+
+    const name = String(query.brand);
+    if (!isValidBrandName(name)) {
+        return { query: null, brand: null, error: `Invalid brand name: ${name}`, status: 400 };
+    }
+    const kit = await loadBrandKit(brandsDir, name);
+    if (!kit) {
+        return { query: null, brand: null, error: `Brand kit not found: ${name}`, status: 404 };
+    }
+
+    const defaults = { ...kit.params };
+    for (const [key, related] of Object.entries(OVERRIDDEN_BY)) {
+        if (query[key] !== undefined) related.forEach(k => delete defaults[k]);
+    }
+
+    const { brand, ...explicit } = query;
+    return { query: { ...defaults, ...explicit }, brand: name, error: null, status: 200 };
+};
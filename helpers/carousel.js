@@ -0,0 +1,134 @@
+/**
+ * Carousel Helpers
+ *
+ * Validation of carousel slide lists, the shared title size that lets every
+ * slide's title fit, and the slide number layer ("2/5") drawn in a corner.
+ */
+
+import { buildOverlaySvg } from '../helpers.js';
+import { FONT_STACK } from './textMetrics.js';
+
+/**
+ * Maximum number of slides in an Instagram carousel
+ */
+export const MAX_CAROUSEL_SLIDES = 10;
+
+/**
+ * Corners for the slide number
+ */
+export const SLIDE_NUMBER_POSITIONS = ['top-right', 'top-left', 'bottom-right', 'bottom-left'];
+
+/**
+ * Carousel result delivery: a ZIP download or stored images with public URLs
+ */
+export const CAROUSEL_OUTPUTS = ['zip', 'urls'];
+
+/**
+ * Validates the slide list of a carousel request
+ *
+ * @param {Array<Object>} slides - Slides ({img, title, source}) from the request body
+ * @param {boolean} imagesRequired - Whether every slide needs an image (false for transparent output)
+ * @returns {{slides: Array<Object>|null, error: string|null}} Normalized slides or a validation error
+ */
+export const parseCarouselSlides = (slides, imagesRequired = true) => {
+    if (!Array.isArray(slides) || slides.length === 0) {
+        return { slides: null, error: 'slides required. Provide an array of {img, title, source} objects.' };
+    }
+    if (slides.length > MAX_CAROUSEL_SLIDES) {
+        return { slides: null, error: `Too many slides. A carousel has at most ${MAX_CAROUSEL_SLIDES} slides.` };
+    }
+
+    const normalized = [];
+    for (const [i, slide] of slides.entries()) {
+        if (typeof slide !== 'object' || slide === null || Array.isArray(slide)) {
+            return { slides: null, error: `Invalid slide ${i + 1}. Each slide must be an object with img, title and source.` };
+        }
+        for (const key of ['img', 'title', 'source']) {
+            if (slide[key] !== undefined && slide[key] !== null && typeof slide[key] !== 'string') {
+                return { slides: null, error: `Invalid slide ${i + 1}. ${key} must be a string.` };
+            }
+        }
+        if (imagesRequired && !slide.img) {
+            return { slides: null, error: `img required for slide ${i + 1}` };
+        }
+        normalized.push({ img: slide.img || null, title: slide.title || '', source: slide.source ?? null });
+    }
+
+    return { slides: normalized, error: null };
+};
+
+/**
+ * Parses the slide number parameters
+ *
+ * @param {Object} query - Request parameters
+ * @returns {{options: Object|null, error: string|null}} Slide number options ({enabled, position}) or a validation error
+ */
+export const parseSlideNumberOptions = (query) => {
+    const value = query.slideNumbers === undefined ? 'false' : String(query.slideNumbers).toLowerCase();
+    if (!['true', 'false', '1', '0'].includes(value)) {
+        return { options: null, error: 'Invalid slideNumbers. Must be true or false.' };
+    }
+
+    const position = String(query.slideNumberPosition || 'top-right').toLowerCase();
+    if (!SLIDE_NUMBER_POSITIONS.includes(position)) {
+        return { options: null, error: 'Invalid slideNumberPosition. Must be one of: ' + SLIDE_NUMBER_POSITIONS.join(', ') };
+    }
+
+    return { options: { enabled: value === 'true' || value === '1', position }, error: null };
+};
+
+/**
+ * Finds the largest title font size at which the title of every slide fits
+ *
+ * Each title is laid out in fit mode; the smallest of the resulting sizes is
+ * shared by all slides. Slides without a title don't constrain the size.
+ *
+ * @param {Array<string>} titles - Slide titles
+ * @param {number} W - Output width in pixels
+ * @param {number} H - Output height in pixels
+ * @param {number} maxLines - Maximum number of title lines
+ * @param {Object} options - buildOverlaySvg options (fit range, layout, style, font, ...)
+ * @returns {number|null} Shared title font size or null if no slide has a title
+ */
+export const findUniformTitleSize = (titles, W, H, maxLines, options) => {
+    const sizes = titles
+        .filter(title => title.trim())
+        .map(title => buildOverlaySvg(W, H, title, '', maxLines, { ...options, fit: true }).titleFontSize);
+    return sizes.length ? Math.min(...sizes) : null;
+};
+
+/**
+ * Builds the SVG layer with the slide number ("2/5") in a corner
+ *
+ * The number uses the source text size and style and sits in the outer margin,
+ * clear of the title box and the source band.
+ *
+ * @param {number} w - Width of the target image
+ * @param {number} h - Height of the target image
+ * @param {string} label - Slide number text
+ * @param {string} position - Corner from SLIDE_NUMBER_POSITIONS
+ * @param {Object} style - Source text style ({fill, stroke, strokeWidth, fontWeight})
+ * @returns {string} SVG markup
+ */
+export const buildSlideNumberSvg = (w, h, label, position, style = {}) => {
+    const fontSize = Math.round(Math.min(w, h) * 0.028);
+    const strokeWidth = style.strokeWidth ?? Math.max(1, Math.round(fontSize * 0.08));
+    const [vertical, horizontal] = position.split('-');
+
+    const sidePad = Math.round(w * 0.08);
+    const x = horizontal === 'left' ? sidePad : w - sidePad;
+    const y = vertical === 'top'
+        ? Math.round(h * 0.04) + Math.round(fontSize * 0.8)
+        : h - Math.round(h * 0.04);
+
+    return `
+<svg width="${w}" height="${h}" xmlns="http://www.w3.org/2000/svg">
+  <text x="${x}" y="${y}"
+        font-family="${FONT_STACK}"
+        font-weight="${style.fontWeight ?? 600}" font-size="${fontSize}"
+        text-anchor="${horizontal === 'left' ? 'start' : 'end'}"
+        style="fill:${style.fill || '#fff'}; stroke:${style.stroke || '#000'}; stroke-width:${strokeWidth}px; paint-order:stroke fill;">
+    ${label}
+  </text>
+</svg>`;
+};
@@ -0,0 +1,143 @@
+/**
+ * Disk Cache Helpers
+ *
+ * Storage shared by the on-disk caches (rendered overlays, fetched source
+ * images): every entry is an image file `<key>.bin` with a metadata file
+ * `<key>.json` in the cache directory. Reads mark entries as recently used
+ * and writes evict the least recently used entries above the size cap.
+ */
+
+import fsp from 'fs/promises';
+import path from 'path';
+
+/**
+ * Reads a cache entry and marks it as recently used
+ *
+ * @param {string} cacheDir - Cache directory
+ * @param {string} key - Hex SHA-256 cache key
+ * @returns {Promise<{buffer: Buffer, meta: Object}|null>} Cached image and its metadata, or null on a miss
+ */
+export const readCacheEntry = async (cacheDir, key) => {
+    const metaPath = path.join(cacheDir, `${key}.json`);
+    const imagePath = path.join(cacheDir, `${key}.bin`);
+    try {
+        const meta = JSON.parse(await fsp.readFile(metaPath, 'utf8'));
+        const buffer = await fsp.readFile(imagePath);
+
+        // The modification time tracks the last use for LRU eviction
+        const now = new Date();
+        await Promise.all([fsp.utimes(metaPath, now, now), fsp.utimes(imagePath, now, now)]);
+        return { buffer, meta };
+    } catch {
+        // Missing, partially evicted or unreadable entries are misses
+        return null;
+    }
+};
+
+/**
+ * Stores an image and evicts least recently used entries above the size cap
+ *
+ * @param {string} cacheDir - Cache directory
+ * @param {string} key - Hex SHA-256 cache key
+ * @param {Buffer|null} buffer - Image bytes, or null to only replace the metadata of an existing entry
+ * @param {Object} meta - Metadata returned with cache hits
+ * @param {number} maxBytes - Size cap of the cache in bytes
+ * @returns {Promise<number>} Number of evicted entries
+ */
+export const writeCacheEntry = async (cacheDir, key, buffer, meta, maxBytes) => {
+    await fsp.mkdir(cacheDir, { recursive: true });
+
+    // Write under temporary names and rename, so readers never see partial files;
+    // the image goes first because readers start with the metadata
+    const suffix = `${process.pid}_${Math.random().toString(36).substr(2, 9)}.tmp`;
+    const files = [[`${key}.bin`, buffer], [`${key}.json`, JSON.stringify(meta)]].filter(([, data]) => data !== null);
+    for (const [file, data] of files) {
+        const tmpPath = path.join(cacheDir, `${file}.${suffix}`);
+        await fsp.writeFile(tmpPath, data);
+        await fsp.rename(tmpPath, path.join(cacheDir, file));
+    }
+
+    return evictEntries(cacheDir, maxBytes);
+};
+
+/**
+ * Removes a cache entry
+ *
+ * @param {string} cacheDir - Cache directory
+ * @param {string} key - Hex SHA-256 cache key
+ * @returns {Promise<void>}
+ */
+export const removeCacheEntry = async (cacheDir, key) => {
+    // Metadata first, so readers don't find an entry whose image is already gone
+    for (const file of [`${key}.json`, `${key}.bin`]) {
+        await fsp.rm(path.join(cacheDir, file), { force: true });
+    }
+};
+
+/**
+ * Lists the cache entries with their total size and last use
+ *
+ * @param {string} cacheDir - Cache directory
+ * @returns {Promise<Array<{key: string, files: Array<string>, size: number, lastUsed: number}>>} Cache entries
+ */
+const listEntries = async (cacheDir) => {
+    let files;
+    try {
+        files = await fsp.readdir(cacheDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const entries = new Map();
+    for (const file of files) {
+        const match = /^([0-9a-f]{64})\.(bin|json)$/.exec(file);
+        if (!match) continue;
+        try {
+            const { size, mtimeMs } = await fsp.stat(path.join(cacheDir, file));
+            const entry = entries.get(match[1]) || { key: match[1], files: [], size: 0, lastUsed: 0 };
+            entry.files.push(file);
+            entry.size += size;
+            entry.lastUsed = Math.max(entry.lastUsed, mtimeMs);
+            entries.set(match[1], entry);
+        } catch {
+            // Removed by a concurrent eviction or purge
+        }
+    }
+    return [...entries.values()];
+};
+
+/**
+ * Removes least recently used entries until the cache fits its size cap
+ *
+ * @param {string} cacheDir - Cache directory
+ * @param {number} maxBytes - Size cap in bytes
+ * @returns {Promise<number>} Number of evicted entries
+ */
+const evictEntries = async (cacheDir, maxBytes) => {
+    const entries = await listEntries(cacheDir);
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    let evicted = 0;
+
+    for (const entry of entries.sort((a, b) => a.lastUsed - b.lastUsed)) {
+        if (total <= maxBytes) break;
+        await Promise.all(entry.files.map(file => fsp.rm(path.join(cacheDir, file), { force: true })));
+        total -= entry.size;
+        evicted++;
+    }
+    return evicted;
+};
+
+/**
+ * Removes all cache entries
+ *
+ * @param {string} cacheDir - Cache directory
+ * @returns {Promise<{entries: number, bytes: number}>} Number and total size of the removed entries
+ */
+export const purgeCacheEntries = async (cacheDir) => {
+    const entries = await listEntries(cacheDir);
+    for (const entry of entries) {
+        await Promise.all(entry.files.map(file => fsp.rm(path.join(cacheDir, file), { force: true })));
+    }
+    return { entries: entries.length, bytes: entries.reduce((sum, entry) => sum + entry.size, 0) };
+};
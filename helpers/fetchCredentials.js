@@ -0,0 +1,188 @@
+/**
+ * Fetch Credentials Helpers
+ *
+ * Server-side credentials for protected source images. A JSON file maps host
+ * patterns to the headers sent when fetching from matching hosts (bearer
+ * tokens, basic auth, cookies, custom headers, user agent). The headers are
+ * chosen per request hop, so a redirect to another host never carries them
+ * along, and the values are never logged or returned by the API. They are only
+ * sent over https unless an entry sets `"allowHttp": true`.
+ *
+ * Example file:
+ *
+ *   {
+ *     "images.example.com": { "bearer": "<token>" },
+ *     "*.cdn.example.com": {
+ *       "basic": { "username": "reader", "password": "<password>" },
+ *       "cookies": { "CloudFront-Key-Pair-Id": "<id>", "CloudFront-Signature": "<signature>" },
+ *       "headers": { "X-Api-Key": "<key>" },
+ *       "userAgent": "n8n-overlay/1.0"
+ *     },
+ *     "images.internal": { "bearer": "<token>", "allowHttp": true }
+ *   }
+ */
+
+import fs from 'fs';
+
+/**
+ * Settings a host entry may contain
+ */
+const CREDENTIAL_KEYS = ['bearer', 'basic', 'cookies', 'headers', 'userAgent', 'allowHttp'];
+
+/**
+ * Host pattern: a host name, `*.` followed by a host suffix, or an IP address
+ */
+const HOST_PATTERN = /^(\*\.)?[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$|^[0-9a-f:.]+$/;
+
+/**
+ * HTTP header name (RFC 7230 token)
+ */
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9a-z-]+$/i;
+
+/**
+ * Validates a string setting; values are never part of the error message
+ *
+ * @param {*} value - Setting value
+ * @param {string} label - Setting name for the error message
+ * @returns {string|null} Error message or null if valid
+ */
+const checkValue = (value, label) => {
+    if (typeof value !== 'string' || !value) return `${label} must be a non-empty string`;
+    if (/[\r\n\0]/.test(value)) return `${label} must not contain line breaks`;
+    return null;
+};
+
+/**
+ * Validates a credentials entry and converts it to request headers
+ *
+ * @param {string} pattern - Host pattern of the entry
+ * @param {Object} entry - Credentials entry ({bearer, basic, cookies, headers, userAgent, allowHttp})
+ * @returns {{headers: Object|null, error: string|null}} Request headers or a validation error
+ */
+const buildEntryHeaders = (pattern, entry) => {
+    const fail = (message) => ({ headers: null, error: `Fetch credentials for ${pattern}: ${message}` });
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return fail('entry must be an object');
+    const unknown = Object.keys(entry).find(key => !CREDENTIAL_KEYS.includes(key));
+    if (unknown) return fail(`unknown setting ${unknown}. Allowed: ${CREDENTIAL_KEYS.join(', ')}`);
+    if (entry.bearer !== undefined && entry.basic !== undefined) return fail('use either bearer or basic, not both');
+    if (entry.allowHttp !== undefined && typeof entry.allowHttp !== 'boolean') return fail('allowHttp must be true or false');
+
+    const headers = {};
+
+    // Custom headers first, so the dedicated settings take precedence
+    if (entry.headers !== undefined) {
+        if (!entry.headers || typeof entry.headers !== 'object' || Array.isArray(entry.headers)) return fail('headers must be an object');
+        for (const [name, value] of Object.entries(entry.headers)) {
+            if (!HEADER_NAME.test(name)) return fail(`invalid header name ${name}`);
+            const error = checkValue(value, `header ${name}`);
+            if (error) return fail(error);
+            headers[name.toLowerCase()] = value;
+        }
+    }
+
+    if (entry.bearer !== undefined) {
+        const error = checkValue(entry.bearer, 'bearer');
+        if (error) return fail(error);
+        headers['authorization'] = `Bearer ${entry.bearer}`;
+    }
+
+    if (entry.basic !== undefined) {
+        const { username, password } = entry.basic || {};
+        const error = checkValue(username, 'basic.username') || (typeof password !== 'string' ? 'basic.password must be a string' : null);
+        if (error) return fail(error);
+        if (username.includes(':')) return fail('basic.username must not contain a colon');
+        headers['authorization'] = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+    }
+
+    if (entry.cookies !== undefined) {
+        if (!entry.cookies || typeof entry.cookies !== 'object' || Array.isArray(entry.cookies)) return fail('cookies must be an object');
+        const cookies = [];
+        for (const [name, value] of Object.entries(entry.cookies)) {
+            if (!HEADER_NAME.test(name)) return fail(`invalid cookie name ${name}`);
+            if (typeof value !== 'string' || /[\s",;\\\0]/.test(value)) return fail(`cookie ${name} must be a string without whitespace, quotes, commas, semicolons or backslashes`);
+            cookies.push(`${name}=${value}`);
+        }
+        if (cookies.length) headers['cookie'] = cookies.join('; ');
+    }
+
+    if (entry.userAgent !== undefined) {
+        const error = checkValue(entry.userAgent, 'userAgent');
+        if (error) return fail(error);
+        headers['user-agent'] = entry.userAgent;
+    }
+
+    return { headers, error: null };
+};
+
+/**
+ * Parses a fetch credentials config
+ *
+ * @param {Object} config - Parsed JSON: host pattern → credentials entry
+ * @returns {{credentials: Array<{pattern: string, headers: Object, allowHttp: boolean}>|null, error: string|null}} Credentials rules
+ *   (most specific pattern first) or a validation error
+ */
+export const parseFetchCredentials = (config) => {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return { credentials: null, error: 'Fetch credentials must be a JSON object mapping host patterns to credentials' };
+    }
+
+    const credentials = [];
+    for (const [key, entry] of Object.entries(config)) {
+        const pattern = key.trim().toLowerCase();
+        if (!HOST_PATTERN.test(pattern)) {
+            return { credentials: null, error: `Invalid fetch credentials host pattern: ${key}. Use a host name, *.suffix or IP address.` };
+        }
+        const { headers, error } = buildEntryHeaders(pattern, entry);
+        if (error) return { credentials: null, error };
+        credentials.push({ pattern, headers, allowHttp: entry.allowHttp === true });
+    }
+
+    // Exact hosts before suffixes, longer suffixes before shorter ones
+    const rank = ({ pattern }) => pattern.startsWith('*.') ? pattern.length : Infinity;
+    credentials.sort((a, b) => rank(b) - rank(a));
+
+    return { credentials, error: null };
+};
+
+/**
+ * Loads the fetch credentials file
+ *
+ * @param {string|undefined} file - Path of the JSON file (OVERLAY_FETCH_CREDENTIALS_FILE)
+ * @returns {Array<{pattern: string, headers: Object, allowHttp: boolean}>|null} Credentials rules or null when no file is configured
+ * @throws {Error} When the file can't be read or is invalid (the message never contains secrets)
+ */
+export const loadFetchCredentials = (file) => {
+    if (!file) return null;
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Fetch credentials file ${file} could not be read: ${error instanceof SyntaxError ? 'invalid JSON' : error.code || error.message}`);
+    }
+
+    const { credentials, error } = parseFetchCredentials(config);
+    if (error) throw new Error(error);
+    return credentials;
+};
+
+/**
+ * Returns the credential headers for a request URL
+ *
+ * Plain http requests (including an https URL redirected to http) get no
+ * credentials unless the matching entry allows http.
+ *
+ * @param {URL} url - Request URL of the current hop
+ * @param {Array<{pattern: string, headers: Object, allowHttp: boolean}>|null} credentials - Rules from parseFetchCredentials
+ * @returns {Object} Headers of the most specific matching entry (empty if none matches)
+ */
+export const getCredentialHeaders = (url, credentials) => {
+    if (!credentials) return {};
+    const host = url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+    const match = credentials.find(({ pattern }) => pattern.startsWith('*.')
+        ? host.endsWith(pattern.substring(1))
+        : host === pattern);
+    if (!match || (url.protocol !== 'https:' && !match.allowHttp)) return {};
+    return match.headers;
+};
@@ -0,0 +1,157 @@
+/**
+ * Font Registry Helpers
+ *
+ * Lookup of custom fonts uploaded into the fonts directory under DATA_DIR,
+ * which is not served under /media (font licenses don't allow redistribution).
+ * Registered fonts are parsed with fontkit and rendered as glyph outlines, so
+ * they work with librsvg/sharp immediately without touching fontconfig.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import * as fontkit from 'fontkit';
+
+/**
+ * Supported font file extensions
+ */
+export const FONT_EXTENSIONS = ['.ttf', '.otf', '.woff', '.woff2'];
+
+/**
+ * Allowed registry names (used as file names, so keep them filesystem-safe)
+ */
+const FONT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+// Parsed fonts per file path, invalidated when the file changes
+const registryCache = new Map();
+
+/**
+ * Checks whether a font name is valid for the registry
+ *
+ * @param {string} name - Font name
+ * @returns {boolean} True if the name can be used
+ */
+export const isValidFontName = (name) => FONT_NAME_PATTERN.test(String(name || ''));
+
+/**
+ * Parses a font buffer and returns the first face (font collections contain several)
+ *
+ * @param {Buffer} buffer - Font file contents
+ * @returns {Object} fontkit font instance
+ */
+export const parseFontBuffer = (buffer) => {
+    const font = fontkit.create(buffer);
+    return font.fonts ? font.fonts[0] : font;
+};
+
+/**
+ * Finds the file of a registered font by name
+ *
+ * @param {string} fontsDir - Fonts directory
+ * @param {string} name - Registered font name
+ * @returns {string|null} Absolute file path or null if not registered
+ */
+export const findFontFile = (fontsDir, name) => {
+    if (!isValidFontName(name)) return null;
+    for (const ext of FONT_EXTENSIONS) {
+        const file = path.join(fontsDir, `${name}${ext}`);
+        if (fs.existsSync(file)) return file;
+    }
+    return null;
+};
+
+/**
+ * Loads a registered font, applying the requested weight for variable fonts
+ *
+ * @param {string} fontsDir - Fonts directory
+ * @param {string} name - Registered font name
+ * @param {number} weight - CSS font weight, only used for variable fonts (default: 400)
+ * @returns {Object|null} fontkit font instance or null if not registered
+ */
+export const loadRegisteredFont = (fontsDir, name, weight = 400) => {
+    const file = findFontFile(fontsDir, name);
+    if (!file) return null;
+
+    const { mtimeMs } = fs.statSync(file);
+    let cached = registryCache.get(file);
+    if (!cached || cached.mtimeMs !== mtimeMs) {
+        cached = { mtimeMs, font: parseFontBuffer(fs.readFileSync(file)), variations: new Map() };
+        registryCache.set(file, cached);
+    }
+
+    const { font } = cached;
+    if (!font.variationAxes || !font.variationAxes.wght) return font;
+
+    if (!cached.variations.has(weight)) {
+        const { min, max } = font.variationAxes.wght;
+        cached.variations.set(weight, font.getVariation({ wght: Math.min(max, Math.max(min, weight)) }));
+    }
+    return cached.variations.get(weight);
+};
+
+/**
+ * Lists all registered fonts with their metadata
+ *
+ * @param {string} fontsDir - Fonts directory
+ * @returns {Array<Object>} Font descriptions ({name, family, subfamily, postscriptName, format, variable, size})
+ */
+export const listRegisteredFonts = (fontsDir) => {
+    let files;
+    try {
+        files = fs.readdirSync(fontsDir);
+    } catch (error) {
+        return [];
+    }
+
+    return files
+        .filter(file => FONT_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .map(file => {
+            const name = path.basename(file, path.extname(file));
+            const fullPath = path.join(fontsDir, file);
+            try {
+                const font = loadRegisteredFont(fontsDir, name);
+                return {
+                    name,
+                    family: font.familyName,
+                    subfamily: font.subfamilyName,
+                    postscriptName: font.postscriptName,
+                    format: path.extname(file).slice(1).toLowerCase(),
+                    variable: !!(font.variationAxes && font.variationAxes.wght),
+                    size: fs.statSync(fullPath).size
+                };
+            } catch (error) {
+                console.warn(`⚠️ [fontRegistry] Skipping unreadable font ${file}: ${error.message}`);
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Resolves the font query parameters shared by the overlay and reel endpoints
+ *
+ * `font` applies to title and source, `titleFont` / `sourceFont` override it per text.
+ *
+ * @param {Object} query - Express request query object
+ * @param {string} fontsDir - Fonts directory
+ * @returns {{options: Object, error: string|null, status: number}} makeSvg font options or an error with HTTP status
+ */
+export const resolveFontOptions = (query, fontsDir) => {
+    const titleName = query.titleFont || query.font;
+    const sourceName = query.sourceFont || query.font;
+    const options = {};
+
+    for (const [key, name] of [['titleFont', titleName], ['sourceFont', sourceName]]) {
+        if (!name) continue;
+        if (!isValidFontName(name)) {
+            return { options: null, error: `Invalid font name: ${name}`, status: 400 };
+        }
+        if (!findFontFile(fontsDir, name)) {
+            return { options: null, error: `Font not found: ${name}`, status: 404 };
+        }
+        options[key] = name;
+        options.fontsDir = fontsDir;
+    }
+
+    return { options, error: null, status: 200 };
+};
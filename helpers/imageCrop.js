@@ -0,0 +1,211 @@
+/**
+ * Image Crop Helpers
+ *
+ * Fitting of source images to the output size: cover cropping (centered,
+ * around an explicit focal point, or with sharp's saliency strategies
+ * attention and entropy) and contain modes that place the whole image on a
+ * blurred copy of itself or a solid color.
+ */
+
+import sharp from 'sharp';
+import { parseColor } from '../helpers.js';
+
+/**
+ * Supported crop strategies
+ */
+export const CROP_STRATEGIES = ['center', 'attention', 'entropy'];
+
+/**
+ * Contain modes of the `fit` parameter (fit=true/false stays the title auto-fit switch);
+ * `contain` accepts the same modes so they can be combined with fit=true
+ */
+export const CONTAIN_MODES = ['blurfill', 'color'];
+
+/**
+ * Blur-fill background: downscale factor before blurring, blur sigma and brightness
+ */
+const BLURFILL_DOWNSCALE = 8;
+const BLURFILL_SIGMA = 4;
+const BLURFILL_BRIGHTNESS = 0.6;
+
+/**
+ * Parses and validates the crop query parameters of the overlay endpoint
+ *
+ * A focal point (fx, fy) implies the center strategy with a shifted crop
+ * window; it can't be combined with attention or entropy. `fit=blurfill` or
+ * `fit=color` select a contain mode instead of cropping, `fillColor` sets the
+ * background of the color mode (hex or `auto` for the dominant image color).
+ * `contain=blurfill|color` selects the same modes while `fit=true` auto-fits
+ * the title.
+ *
+ * @param {Object} query - Express request query object
+ * @returns {{options: Object, error: string|null}} Crop options ({crop, fx, fy, contain, fillColor}) or a validation error
+ */
+export const parseCropOptions = (query) => {
+    const crop = String(query.crop || 'center').toLowerCase();
+    if (!CROP_STRATEGIES.includes(crop)) {
+        return { options: null, error: 'Invalid crop. Must be one of: ' + CROP_STRATEGIES.join(', ') };
+    }
+
+    const focal = {};
+    for (const key of ['fx', 'fy']) {
+        if (query[key] === undefined) continue;
+        const value = Number(query[key]);
+        if (query[key] === '' || !Number.isFinite(value) || value < 0 || value > 1) {
+            return { options: null, error: `Invalid ${key}. Must be a number between 0 and 1.` };
+        }
+        focal[key] = value;
+    }
+
+    const hasFocalPoint = focal.fx !== undefined || focal.fy !== undefined;
+    if (hasFocalPoint && crop !== 'center') {
+        return { options: null, error: `Invalid crop. fx/fy can't be combined with crop=${crop}.` };
+    }
+
+    const fitMode = CONTAIN_MODES.includes(query.fit) ? query.fit : null;
+    const containMode = query.contain !== undefined && query.contain !== '' ? String(query.contain).toLowerCase() : null;
+    if (containMode !== null && !CONTAIN_MODES.includes(containMode)) {
+        return { options: null, error: 'Invalid contain. Must be one of: ' + CONTAIN_MODES.join(', ') };
+    }
+    if (fitMode && containMode && fitMode !== containMode) {
+        return { options: null, error: `Invalid contain. fit=${fitMode} can't be combined with contain=${containMode}.` };
+    }
+    const contain = containMode || fitMode;
+    let fillColor = 'auto';
+    if (query.fillColor !== undefined && query.fillColor !== 'auto') {
+        fillColor = parseColor(query.fillColor);
+        if (!fillColor) {
+            return { options: null, error: 'Invalid fillColor. Use a hex color like 000000 or "auto".' };
+        }
+    }
+
+    return {
+        options: { crop, fx: focal.fx ?? 0.5, fy: focal.fy ?? 0.5, contain, fillColor },
+        error: null
+    };
+};
+
+/**
+ * Calculates the cover crop window around a focal point
+ *
+ * The window has the aspect ratio of the output and is as large as possible;
+ * it is centered on the focal point and shifted back inside the image at the edges.
+ *
+ * @param {number} srcW - Source image width in pixels
+ * @param {number} srcH - Source image height in pixels
+ * @param {number} W - Output width in pixels
+ * @param {number} H - Output height in pixels
+ * @param {number} fx - Horizontal focal point, 0 (left) to 1 (right)
+ * @param {number} fy - Vertical focal point, 0 (top) to 1 (bottom)
+ * @returns {{left: number, top: number, width: number, height: number}} Crop window in source pixels
+ */
+export const getFocalCropRect = (srcW, srcH, W, H, fx = 0.5, fy = 0.5) => {
+    const scale = Math.max(W / srcW, H / srcH);
+    const width = Math.min(srcW, Math.round(W / scale));
+    const height = Math.min(srcH, Math.round(H / scale));
+    const clamp = (value, max) => Math.max(0, Math.min(max, Math.round(value)));
+
+    return {
+        left: clamp(fx * srcW - width / 2, srcW - width),
+        top: clamp(fy * srcH - height / 2, srcH - height),
+        width,
+        height
+    };
+};
+
+/**
+ * Crops and resizes a source image to cover the output size
+ *
+ * For attention and entropy the window is chosen by sharp; the image is decoded
+ * once into a raw buffer so the chosen offsets are known before compositing.
+ *
+ * @param {Buffer} buf - Source image
+ * @param {number} W - Output width in pixels
+ * @param {number} H - Output height in pixels
+ * @param {Object} options - Crop options from parseCropOptions
+ * @returns {Promise<{image: Object, rect: Object}>} sharp instance at W×H and the crop window in source pixels
+ */
+export const cropToCover = async (buf, W, H, { crop = 'center', fx = 0.5, fy = 0.5 } = {}) => {
+    const { width: srcW, height: srcH } = await sharp(buf).metadata();
+
+    if (crop === 'center') {
+        const rect = getFocalCropRect(srcW, srcH, W, H, fx, fy);
+        // Without a focal point keep sharp's own centered cover resize
+        const image = fx === 0.5 && fy === 0.5
+            ? sharp(buf).resize(W, H, { fit: 'cover' })
+            : sharp(buf).extract(rect).resize(W, H, { fit: 'cover' });
+        return { image, rect };
+    }
+
+    const { data, info } = await sharp(buf)
+        .resize(W, H, { fit: 'cover', position: sharp.strategy[crop] })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    // Offsets are reported (negated) in resized pixels; map them back to the source
+    const scale = Math.max(W / srcW, H / srcH);
+    const rect = {
+        left: Math.round(-(info.cropOffsetLeft || 0) / scale),
+        top: Math.round(-(info.cropOffsetTop || 0) / scale),
+        width: Math.min(srcW, Math.round(W / scale)),
+        height: Math.min(srcH, Math.round(H / scale))
+    };
+    const image = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+    return { image, rect };
+};
+
+/**
+ * Places the whole source image contained in the output frame over a blurred,
+ * darkened and scaled-up copy of itself (blurfill) or a solid color (color)
+ *
+ * The result is rendered into a raw buffer so the returned sharp instance can
+ * take the overlay composite like a cover-cropped image.
+ *
+ * @param {Buffer} buf - Source image
+ * @param {number} W - Output width in pixels
+ * @param {number} H - Output height in pixels
+ * @param {Object} options - Crop options from parseCropOptions
+ * @returns {Promise<{image: Object, rect: Object, fill: string}>} sharp instance at W×H, the (uncropped) source rect and the background used
+ */
+export const containWithFill = async (buf, W, H, { contain = 'blurfill', fillColor = 'auto' } = {}) => {
+    const { width: srcW, height: srcH } = await sharp(buf).metadata();
+    const scale = Math.min(W / srcW, H / srcH);
+    const fgW = Math.max(1, Math.min(W, Math.round(srcW * scale)));
+    const fgH = Math.max(1, Math.min(H, Math.round(srcH * scale)));
+
+    const fg = await sharp(buf).resize(fgW, fgH, { fit: 'fill' }).raw().toBuffer({ resolveWithObject: true });
+    const fgLayer = {
+        input: fg.data,
+        raw: { width: fg.info.width, height: fg.info.height, channels: fg.info.channels },
+        left: Math.round((W - fgW) / 2),
+        top: Math.round((H - fgH) / 2)
+    };
+
+    let background;
+    let fill;
+    if (contain === 'blurfill') {
+        // Blur a small cover crop and scale it up: much cheaper than a large sigma at full size
+        const small = await sharp(buf)
+            .resize(Math.max(1, Math.round(W / BLURFILL_DOWNSCALE)), Math.max(1, Math.round(H / BLURFILL_DOWNSCALE)), { fit: 'cover' })
+            .blur(BLURFILL_SIGMA)
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        background = sharp(small.data, { raw: { width: small.info.width, height: small.info.height, channels: small.info.channels } })
+            .resize(W, H, { fit: 'fill' })
+            .modulate({ brightness: BLURFILL_BRIGHTNESS });
+        fill = 'blur';
+    } else {
+        if (fillColor === 'auto') {
+            const { dominant } = await sharp(buf).stats();
+            fill = '#' + [dominant.r, dominant.g, dominant.b].map(c => c.toString(16).padStart(2, '0')).join('');
+        } else {
+            fill = fillColor;
+        }
+        background = sharp({ create: { width: W, height: H, channels: 3, background: fill } });
+    }
+
+    // Flatten background and contained image, then continue from raw pixels
+    const { data, info } = await background.composite([fgLayer]).raw().toBuffer({ resolveWithObject: true });
+    const image = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+    return { image, rect: { left: 0, top: 0, width: srcW, height: srcH }, fill };
+};
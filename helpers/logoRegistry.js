@@ -0,0 +1,210 @@
+/**
+ * Logo Registry Helpers
+ *
+ * Lookup of logos uploaded into the logos directory under DATA_DIR (not
+ * served under /media), parsing of the logo placement parameters and
+ * rendering of a logo layer (scaled, positioned and faded) for compositing
+ * onto the overlay image.
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+
+/**
+ * Supported logo file extensions
+ */
+export const LOGO_EXTENSIONS = ['.svg', '.png'];
+
+/**
+ * Logo corners for the logoPosition parameter
+ */
+export const LOGO_POSITIONS = ['bottom-left', 'bottom-right', 'top-left', 'top-right'];
+
+/**
+ * Output width the native logo size and the 50px padding were designed for;
+ * both scale proportionally with other output widths
+ */
+export const LOGO_REFERENCE_WIDTH = 1080;
+export const LOGO_REFERENCE_PADDING = 50;
+
+/**
+ * Allowed registry names (used as file names, so keep them filesystem-safe)
+ */
+const LOGO_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+/**
+ * Checks whether a logo name is valid for the registry
+ *
+ * Names that read as booleans are reserved for the logo=true/false switch.
+ *
+ * @param {string} name - Logo name
+ * @returns {boolean} True if the name can be used
+ */
+export const isValidLogoName = (name) => LOGO_NAME_PATTERN.test(String(name || '')) && !['true', 'false', '1', '0'].includes(String(name).toLowerCase());
+
+/**
+ * Finds the file of a registered logo by name
+ *
+ * @param {string} logosDir - Logos directory
+ * @param {string} name - Registered logo name
+ * @returns {string|null} Absolute file path or null if not registered
+ */
+export const findLogoFile = (logosDir, name) => {
+    if (!isValidLogoName(name)) return null;
+    for (const ext of LOGO_EXTENSIONS) {
+        const file = path.join(logosDir, `${name}${ext}`);
+        if (fs.existsSync(file)) return file;
+    }
+    return null;
+};
+
+/**
+ * Lists all registered logos with their metadata
+ *
+ * @param {string} logosDir - Logos directory
+ * @returns {Promise<Array<Object>>} Logo descriptions ({name, format, width, height, size})
+ */
+export const listRegisteredLogos = async (logosDir) => {
+    let files;
+    try {
+        files = await fsp.readdir(logosDir);
+    } catch (error) {
+        return [];
+    }
+
+    const logos = await Promise.all(files
+        .filter(file => LOGO_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .map(async file => {
+            const fullPath = path.join(logosDir, file);
+            try {
+                const [metadata, stats] = await Promise.all([sharp(fullPath).metadata(), fsp.stat(fullPath)]);
+                return {
+                    name: path.basename(file, path.extname(file)),
+                    format: path.extname(file).slice(1).toLowerCase(),
+                    width: metadata.width,
+                    height: metadata.height,
+                    size: stats.size
+                };
+            } catch (error) {
+                console.warn(`⚠️ [logoRegistry] Skipping unreadable logo ${file}: ${error.message}`);
+                return null;
+            }
+        }));
+
+    return logos.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Parses and resolves the logo query parameters of the overlay endpoint
+ *
+ * `logo=true` selects the default Logo.svg, any other value a registered logo.
+ *
+ * @param {Object} query - Express request query object
+ * @param {Object} config - Configuration object with LOGOS_DIR and LOGO_PATH
+ * @returns {{options: Object|null, error: string|null, status: number}} Logo options (null without logo) or an error with HTTP status
+ */
+export const resolveLogoOptions = (query, config) => {
+    const value = query.logo === undefined ? '' : String(query.logo);
+    if (!value || value === 'false' || value === '0') {
+        return { options: null, error: null, status: 200 };
+    }
+
+    let file;
+    if (value === 'true' || value === '1') {
+        file = config.LOGO_PATH;
+    } else {
+        if (!isValidLogoName(value)) {
+            return { options: null, error: `Invalid logo name: ${value}`, status: 400 };
+        }
+        file = findLogoFile(config.LOGOS_DIR, value);
+        if (!file) {
+            return { options: null, error: `Logo not found: ${value}`, status: 404 };
+        }
+    }
+
+    const position = String(query.logoPosition || 'bottom-left').toLowerCase();
+    if (!LOGO_POSITIONS.includes(position)) {
+        return { options: null, error: 'Invalid logoPosition. Must be one of: ' + LOGO_POSITIONS.join(', '), status: 400 };
+    }
+
+    const numbers = {};
+    const ranges = { logoX: [0, 100], logoY: [0, 100], logoScale: [0.01, 1], logoOpacity: [0, 1] };
+    for (const [key, [min, max]] of Object.entries(ranges)) {
+        if (query[key] === undefined) continue;
+        const number = Number(query[key]);
+        if (query[key] === '' || !Number.isFinite(number) || number < min || number > max) {
+            return { options: null, error: `Invalid ${key}. Must be a number between ${min} and ${max}.`, status: 400 };
+        }
+        numbers[key] = number;
+    }
+    if ((numbers.logoX === undefined) !== (numbers.logoY === undefined)) {
+        return { options: null, error: 'Invalid logo position. logoX and logoY must be given together.', status: 400 };
+    }
+
+    return {
+        options: {
+            name: value,
+            file,
+            position,
+            x: numbers.logoX,
+            y: numbers.logoY,
+            scale: numbers.logoScale,
+            opacity: numbers.logoOpacity ?? 1
+        },
+        error: null,
+        status: 200
+    };
+};
+
+/**
+ * Renders a logo as a composite layer for a W×H image
+ *
+ * Without logoScale the logo keeps its native size at 1080px output width and
+ * scales proportionally otherwise; the corner padding scales the same way.
+ * SVG logos are rasterized at the target size, so they stay sharp.
+ *
+ * @param {Object} logo - Logo options from resolveLogoOptions
+ * @param {number} W - Output width in pixels
+ * @param {number} H - Output height in pixels
+ * @returns {Promise<{input: Buffer, top: number, left: number, width: number, height: number}>} sharp composite operation plus logo size
+ */
+export const renderLogo = async (logo, W, H) => {
+    const buffer = await fsp.readFile(logo.file);
+    const { width: nativeW, height: nativeH, format } = await sharp(buffer).metadata();
+
+    const ratio = W / LOGO_REFERENCE_WIDTH;
+    const padding = Math.round(LOGO_REFERENCE_PADDING * ratio);
+    let width = logo.scale !== undefined ? W * logo.scale : nativeW * ratio;
+    // Never larger than the image itself (minus padding)
+    width = Math.max(1, Math.round(Math.min(width, W - 2 * padding, (H - 2 * padding) * nativeW / nativeH)));
+    const height = Math.max(1, Math.round(width * nativeH / nativeW));
+
+    // Rasterize vectors at the density that yields the target width
+    const density = format === 'svg' ? Math.min(2400, Math.max(1, 72 * width / nativeW)) : undefined;
+    let image = sharp(buffer, density ? { density } : {}).resize(width, height, { fit: 'fill' }).ensureAlpha();
+
+    if (logo.opacity < 1) {
+        image = sharp(await image.png().toBuffer()).composite([{
+            input: Buffer.from([255, 255, 255, Math.round(255 * logo.opacity)]),
+            raw: { width: 1, height: 1, channels: 4 },
+            tile: true,
+            blend: 'dest-in'
+        }]);
+    }
+
+    let left;
+    let top;
+    if (logo.x !== undefined) {
+        // Custom position: top-left corner in percent of the image, kept inside the frame
+        left = Math.min(W - width, Math.round(W * logo.x / 100));
+        top = Math.min(H - height, Math.round(H * logo.y / 100));
+    } else {
+        const [vertical, horizontal] = logo.position.split('-');
+        left = horizontal === 'left' ? padding : W - width - padding;
+        top = vertical === 'top' ? padding : H - height - padding;
+    }
+
+    return { input: await image.png().toBuffer(), top, left, width, height };
+};
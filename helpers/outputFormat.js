@@ -0,0 +1,132 @@
+/**
+ * Output Format Helpers
+ *
+ * Output format selection (explicit `format` parameter or Accept header
+ * negotiation), quality settings and encoding of sharp pipelines.
+ */
+
+/**
+ * Supported output formats with their MIME type, default quality and alpha support
+ */
+export const OUTPUT_FORMATS = {
+    jpeg: { mimeType: 'image/jpeg', quality: 88, alpha: false },
+    png: { mimeType: 'image/png', quality: null, alpha: true },
+    webp: { mimeType: 'image/webp', quality: 82, alpha: true },
+    avif: { mimeType: 'image/avif', quality: 55, alpha: true }
+};
+
+/**
+ * Accepted spellings of the format parameter
+ */
+const FORMAT_ALIASES = { jpg: 'jpeg' };
+
+/**
+ * Parses an Accept header into media ranges ordered by preference
+ *
+ * @param {string} accept - Accept header value
+ * @returns {Array<{type: string, q: number}>} Media ranges, highest q first (header order for ties)
+ */
+const parseAccept = (accept) => String(accept || '')
+    .split(',')
+    .map((part, index) => {
+        const [type, ...params] = part.trim().toLowerCase().split(';').map(p => p.trim());
+        const qParam = params.find(p => p.startsWith('q='));
+        const q = qParam ? Number(qParam.slice(2)) : 1;
+        return { type, q: Number.isFinite(q) ? q : 0, index };
+    })
+    .filter(range => range.type && range.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+/**
+ * Picks the output format from the Accept header
+ *
+ * Only explicitly listed image types are negotiated; wildcards (`*\/*`, `image/*`)
+ * and unsupported types fall back to the default, so existing clients keep
+ * receiving JPEG.
+ *
+ * @param {string} accept - Accept header value
+ * @param {Array<string>} candidates - Allowed formats
+ * @param {string} fallback - Format used when nothing matches
+ * @returns {string} Format key of OUTPUT_FORMATS
+ */
+const negotiateFormat = (accept, candidates, fallback) => {
+    for (const { type } of parseAccept(accept)) {
+        const match = candidates.find(format => OUTPUT_FORMATS[format].mimeType === type);
+        if (match) return match;
+    }
+    return fallback;
+};
+
+/**
+ * Parses and validates the output query parameters of the overlay endpoint
+ *
+ * @param {Object} query - Express request query object
+ * @param {string} accept - Accept request header (used when no format is given)
+ * @returns {{options: Object, error: string|null}} Output options ({format, quality, progressive, mozjpeg, transparent, negotiated}) or a validation error
+ */
+export const parseOutputOptions = (query, accept) => {
+    const flag = (value) => value === 'true' || value === '1';
+    const transparent = flag(query.transparent);
+    const alphaFormats = Object.keys(OUTPUT_FORMATS).filter(format => OUTPUT_FORMATS[format].alpha);
+
+    let format;
+    const negotiated = query.format === undefined;
+    if (negotiated) {
+        format = transparent
+            ? negotiateFormat(accept, alphaFormats, 'png')
+            : negotiateFormat(accept, Object.keys(OUTPUT_FORMATS), 'jpeg');
+    } else {
+        format = String(query.format).toLowerCase();
+        format = FORMAT_ALIASES[format] || format;
+        if (!OUTPUT_FORMATS[format]) {
+            return { options: null, error: 'Invalid format. Must be one of: ' + Object.keys(OUTPUT_FORMATS).join(', ') };
+        }
+        if (transparent && !OUTPUT_FORMATS[format].alpha) {
+            return { options: null, error: `Invalid format. Transparent output requires one of: ${alphaFormats.join(', ')}` };
+        }
+    }
+
+    let quality;
+    if (query.quality !== undefined) {
+        quality = Number(query.quality);
+        if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+            return { options: null, error: 'Invalid quality. Must be an integer between 1 and 100.' };
+        }
+    }
+
+    return {
+        options: {
+            format,
+            quality,
+            progressive: flag(query.progressive),
+            mozjpeg: flag(query.mozjpeg),
+            transparent,
+            negotiated
+        },
+        error: null
+    };
+};
+
+/**
+ * Applies the output format to a sharp pipeline
+ *
+ * PNG is lossless by default; a quality value switches it to palette
+ * quantization (like pngquant) for smaller files.
+ *
+ * @param {Object} pipeline - sharp instance
+ * @param {Object} output - Output options from parseOutputOptions
+ * @returns {Object} sharp instance configured for the output format
+ */
+export const encodeImage = (pipeline, { format = 'jpeg', quality, progressive = false, mozjpeg = false } = {}) => {
+    const q = quality ?? OUTPUT_FORMATS[format].quality;
+    switch (format) {
+        case 'png':
+            return pipeline.png(quality !== undefined ? { palette: true, quality } : {});
+        case 'webp':
+            return pipeline.webp({ quality: q });
+        case 'avif':
+            return pipeline.avif({ quality: q });
+        default:
+            return pipeline.jpeg({ quality: q, progressive, mozjpeg });
+    }
+};
@@ -0,0 +1,140 @@
+/**
+ * Overlay Rendering Helpers
+ *
+ * The image pipeline shared by the overlay and carousel endpoints: loading the
+ * source image (URL or stored file), fitting it to the output size (crop or
+ * contain, or a transparent canvas) and compositing the text overlay and logo
+ * before encoding in the output format.
+ */
+
+import sharp from 'sharp';
+import fsp from 'fs/promises';
+import path from 'path';
+import { containWithFill, cropToCover } from './imageCrop.js';
+import { renderLogo } from './logoRegistry.js';
+import { renderQrCode } from './qrCode.js';
+import { encodeImage } from './outputFormat.js';
+import { fetchSourceImage } from './sourceCache.js';
+
+/**
+ * Loads a source image from a stored file or a URL
+ *
+ * @param {string} img - Public URL of the image (used without storedPath)
+ * @param {string|null} storedPath - Resolved path of a store:<uuid> reference
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} fetchOptions - Remote fetch policy and source cache (see helpers/remoteFetch.js and helpers/sourceCache.js)
+ * @returns {Promise<Buffer>} Image data
+ * @throws {RemoteFetchError} When the URL is refused or the image can't be fetched
+ */
+export const loadSourceImage = async (img, storedPath, requestId, fetchOptions) => {
+    if (storedPath) {
+        // Uploaded earlier with POST /store/upload
+        const buf = await fsp.readFile(storedPath);
+        console.log(`📂 [${requestId}] Using stored file ${path.basename(storedPath)} (${buf.length} bytes)`);
+        return buf;
+    }
+
+    console.log(`🌐 [${requestId}] Fetching image from URL...`);
+    const fetchStart = Date.now();
+
+    // Fetch the source image from the provided URL (public addresses only, size and time limited, cached by URL)
+    let fetched;
+    try {
+        fetched = await fetchSourceImage(img, fetchOptions);
+    } catch (error) {
+        console.log(`❌ [${requestId}] Failed to fetch image: ${error.message}`);
+        throw error;
+    }
+    const fetchTime = Date.now() - fetchStart;
+
+    console.log(`✅ [${requestId}] Image fetched successfully (${fetched.buffer.length} bytes, ${fetched.format}, cache ${fetched.cache}, ${fetchTime}ms)`);
+    return fetched.buffer;
+};
+
+/**
+ * Fits a source image to the output size
+ *
+ * Without a source buffer a fully transparent canvas is returned (overlay-only layer).
+ *
+ * @param {Buffer|null} buf - Source image or null for a transparent canvas
+ * @param {number} W - Output width in pixels
+ * @param {number} H - Output height in pixels
+ * @param {Object} cropOptions - Crop options from parseCropOptions
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<{base: Object, cropRect: Object|null}>} sharp instance at W×H and the crop window in source pixels
+ */
+export const prepareBaseImage = async (buf, W, H, cropOptions, requestId) => {
+    if (!buf) {
+        console.log(`🫥 [${requestId}] Using transparent ${W}x${H} canvas`);
+        const base = sharp({ create: { width: W, height: H, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } });
+        return { base, cropRect: null };
+    }
+
+    if (cropOptions.contain) {
+        // Contain the whole image over a blurred copy or a solid color
+        const { image, rect, fill } = await containWithFill(buf, W, H, cropOptions);
+        console.log(`🖼️ [${requestId}] Contain (${cropOptions.contain}) on ${fill} background`);
+        return { base: image, cropRect: rect };
+    }
+
+    // Crop to the output aspect ratio (center, focal point or saliency)
+    const { image, rect } = await cropToCover(buf, W, H, cropOptions);
+    console.log(`✂️ [${requestId}] Crop (${cropOptions.crop}): ${rect.width}x${rect.height} at ${rect.left},${rect.top}`);
+    return { base: image, cropRect: rect };
+};
+
+/**
+ * Composites overlay layers, the logo and the QR code onto the base image and encodes it
+ *
+ * @param {Object} base - sharp instance at W×H from prepareBaseImage
+ * @param {Array<Buffer|Object>} layers - Full-size SVG overlays or sharp composite operations, bottom to top
+ * @param {Object|null} logo - Logo options from resolveLogoOptions
+ * @param {Object|null} qr - QR code options from parseQrOptions
+ * @param {number} W - Output width in pixels
+ * @param {number} H - Output height in pixels
+ * @param {Object} outputOptions - Output options from parseOutputOptions
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Buffer>} Encoded image
+ */
+export const composeOverlayImage = async (base, layers, logo, qr, W, H, outputOptions, requestId) => {
+    // Prepare composite operations array
+    const compositeOps = layers.map(layer => Buffer.isBuffer(layer) ? { input: layer, top: 0, left: 0 } : layer);
+
+    // Add logo overlay if requested
+    if (logo) {
+        console.log(`🏷️ [${requestId}] Processing logo overlay...`);
+        const logoStart = Date.now();
+
+        try {
+            // Scale, fade and place the logo relative to the output size
+            const { width, height, ...logoOp } = await renderLogo(logo, W, H);
+            compositeOps.push(logoOp);
+
+            const logoTime = Date.now() - logoStart;
+            console.log(`✅ [${requestId}] Logo "${logo.name}" processed: ${width}x${height} at ${logoOp.left},${logoOp.top} (${logoTime}ms)`);
+        } catch (logoError) {
+            // If logo file doesn't exist or can't be read, continue without logo
+            console.warn(`⚠️ [${requestId}] Logo ${logo.file} not found or could not be read:`, logoError.message);
+        }
+    }
+
+    // Add QR code in its corner, with the logo's safe margins
+    if (qr) {
+        const { width, height, ...qrOp } = await renderQrCode(qr, W, H);
+        compositeOps.push(qrOp);
+        console.log(`🔳 [${requestId}] QR code version ${qr.code.version}-${qr.level} rendered: ${width}x${height} at ${qrOp.left},${qrOp.top}`);
+    }
+
+    // Process image with Sharp:
+    // 1. Resized and cropped to target dimensions by prepareBaseImage (cover mode maintains aspect ratio)
+    // 2. Composite the SVG overlays, logo and QR code on top
+    // 3. Encode in the output format (JPEG with 88% quality by default)
+    console.log(`🖼️ [${requestId}] Processing image with Sharp (${compositeOps.length} overlays)...`);
+    const sharpStart = Date.now();
+
+    const out = await encodeImage(base.composite(compositeOps), outputOptions).toBuffer();
+
+    const sharpTime = Date.now() - sharpStart;
+    console.log(`✅ [${requestId}] Image processing completed (${out.length} bytes, ${sharpTime}ms)`);
+    return out;
+};
@@ -0,0 +1,558 @@
+/**
+ * QR Code Helpers
+ *
+ * Server-side QR codes for story posts and reels: the `qr` text (usually the
+ * article URL) is encoded locally (byte mode, versions 1-40, all four
+ * error-correction levels, automatic mask selection per ISO/IEC 18004),
+ * drawn as SVG and composited in a corner with the same safe margins as the
+ * logo.
+ */
+
+import sharp from 'sharp';
+import { parseColor } from '../helpers.js';
+import { LOGO_POSITIONS, LOGO_REFERENCE_PADDING, LOGO_REFERENCE_WIDTH } from './logoRegistry.js';
+
+/**
+ * Error-correction levels with their format bits (recovers ~7%, 15%, 25%, 30% of the code)
+ */
+const ECC_LEVELS = {
+    L: { index: 0, formatBits: 1 },
+    M: { index: 1, formatBits: 0 },
+    Q: { index: 2, formatBits: 3 },
+    H: { index: 3, formatBits: 2 }
+};
+
+/**
+ * Error-correction codewords per block, by level and version (index 0 unused)
+ */
+const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+/**
+ * Error-correction blocks, by level and version (index 0 unused)
+ */
+const ECC_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+/**
+ * Data mask conditions; a module is inverted where the condition is true
+ */
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * Error-correction levels for the qrEcc parameter
+ */
+export const QR_ECC_LEVELS = Object.keys(ECC_LEVELS);
+
+/**
+ * Corners for the qrPosition parameter
+ */
+export const QR_POSITIONS = LOGO_POSITIONS;
+
+/**
+ * Corners tried in order for a QR code without qrPosition; the first one not taken is used
+ */
+const QR_DEFAULT_POSITIONS = ['bottom-right', 'bottom-left', 'top-right', 'top-left'];
+
+/**
+ * QR code width at 1080px output width (scales proportionally like the logo)
+ */
+export const QR_DEFAULT_SIZE = 200;
+
+/**
+ * Multiplies two elements of GF(2^8) modulo the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+ *
+ * @param {number} x - Field element
+ * @param {number} y - Field element
+ * @returns {number} Product
+ */
+const gfMultiply = (x, y) => {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+};
+
+/**
+ * Computes the Reed-Solomon generator polynomial of a degree (highest coefficient omitted)
+ *
+ * @param {number} degree - Number of error-correction codewords
+ * @returns {Array<number>} Coefficients, highest power first
+ */
+const reedSolomonDivisor = (degree) => {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < degree) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+};
+
+/**
+ * Computes the Reed-Solomon error-correction codewords of a data block
+ *
+ * @param {Array<number>} data - Data codewords
+ * @param {Array<number>} divisor - Generator polynomial from reedSolomonDivisor
+ * @returns {Array<number>} Error-correction codewords
+ */
+const reedSolomonRemainder = (data, divisor) => {
+    const result = new Array(divisor.length).fill(0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    }
+    return result;
+};
+
+/**
+ * Number of modules available for data and error correction in a version
+ *
+ * @param {number} version - QR version (1-40)
+ * @returns {number} Module count
+ */
+const rawDataModules = (version) => {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        result -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+};
+
+/**
+ * Number of data codewords of a version and error-correction level
+ *
+ * @param {number} version - QR version (1-40)
+ * @param {Object} ecc - Entry of ECC_LEVELS
+ * @returns {number} Data codewords
+ */
+const dataCodewords = (version, ecc) => Math.floor(rawDataModules(version) / 8)
+    - ECC_CODEWORDS_PER_BLOCK[ecc.index][version] * ECC_BLOCKS[ecc.index][version];
+
+/**
+ * Centre coordinates of the alignment patterns of a version
+ *
+ * @param {number} version - QR version (1-40)
+ * @returns {Array<number>} Coordinates used for both rows and columns
+ */
+const alignmentPositions = (version) => {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const result = [6];
+    for (let position = version * 4 + 10; result.length < count; position -= step) {
+        result.splice(1, 0, position);
+    }
+    return result;
+};
+
+/**
+ * Splits the data into blocks, appends their error correction and interleaves them
+ *
+ * @param {Array<number>} data - Data codewords
+ * @param {number} version - QR version (1-40)
+ * @param {Object} ecc - Entry of ECC_LEVELS
+ * @returns {Array<number>} Final codeword sequence
+ */
+const addErrorCorrection = (data, version, ecc) => {
+    const blockCount = ECC_BLOCKS[ecc.index][version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[ecc.index][version];
+    const rawCodewords = Math.floor(rawDataModules(version) / 8);
+    const shortBlocks = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = reedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < blockCount; i++) {
+        const block = data.slice(k, k + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+        k += block.length;
+        const eccCodewords = reedSolomonRemainder(block, divisor);
+        // Short blocks get a placeholder, so all blocks interleave by index
+        if (i < shortBlocks) block.push(0);
+        blocks.push(block.concat(eccCodewords));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - eccLength || j >= shortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+};
+
+/**
+ * Computes the penalty score of a masked symbol (lower is easier to scan)
+ *
+ * @param {Array<Array<boolean>>} modules - Module matrix, true for dark
+ * @returns {number} Penalty score
+ */
+const maskPenalty = (modules) => {
+    const size = modules.length;
+    let penalty = 0;
+    let dark = 0;
+
+    // Rows and columns as module lines
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i], modules.map(row => row[i]));
+    }
+
+    const finderLike = [true, false, true, true, true, false, true];
+    for (const line of lines) {
+        // Runs of five or more modules of one color
+        for (let i = 0, run = 1; i < size; i++) {
+            if (i + 1 < size && line[i + 1] === line[i]) {
+                run++;
+            } else {
+                if (run >= 5) penalty += run - 2;
+                run = 1;
+            }
+        }
+        // Finder-like 1:1:3:1:1 patterns with four light modules on one side
+        for (let i = 0; i + 7 <= size; i++) {
+            if (!finderLike.every((value, j) => line[i + j] === value)) continue;
+            const lightBefore = i >= 4 && [1, 2, 3, 4].every(j => !line[i - j]);
+            const lightAfter = i + 11 <= size && [0, 1, 2, 3].every(j => !line[i + 7 + j]);
+            if (lightBefore || lightAfter) penalty += 40;
+        }
+    }
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            // 2×2 blocks of one color
+            if (x + 1 < size && y + 1 < size) {
+                const color = modules[y][x];
+                if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) penalty += 3;
+            }
+        }
+    }
+
+    // Balance of dark and light modules
+    penalty += Math.floor(Math.abs(dark * 100 / (size * size) - 50) / 5) * 10;
+    return penalty;
+};
+
+/**
+ * Encodes text as a QR code
+ *
+ * The text is encoded as UTF-8 in byte mode in the smallest version that fits.
+ *
+ * @param {string} text - Text or URL to encode
+ * @param {string} level - Error-correction level (L, M, Q or H)
+ * @returns {{version: number, size: number, modules: Array<Array<boolean>>}|null} QR code (modules[y][x], true for dark),
+ *   or null if the text doesn't fit into version 40
+ */
+export const encodeQrCode = (text, level) => {
+    const ecc = ECC_LEVELS[level];
+    const bytes = [...Buffer.from(String(text), 'utf8')];
+
+    // Smallest version whose data capacity holds mode, length and bytes
+    let version = 1;
+    for (; version <= 40; version++) {
+        const countBits = version <= 9 ? 8 : 16;
+        if (4 + countBits + bytes.length * 8 <= dataCodewords(version, ecc) * 8) break;
+    }
+    if (version > 40) return null;
+
+    // Bit stream: byte mode indicator, length, data, terminator and padding
+    const capacityBits = dataCodewords(version, ecc) * 8;
+    const bits = [];
+    const appendBits = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    appendBits(0b0100, 4);
+    appendBits(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => appendBits(byte, 8));
+    appendBits(0, Math.min(4, capacityBits - bits.length));
+    appendBits(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) appendBits(pad, 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    const codewords = addErrorCorrection(data, version, ecc);
+
+    // === FUNCTION PATTERNS ===
+
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                setFunction(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    }
+
+    // Alignment patterns, except where they would overlap the finder patterns
+    const alignments = alignmentPositions(version);
+    alignments.forEach((cy, i) => alignments.forEach((cx, j) => {
+        const last = alignments.length - 1;
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }));
+
+    // Format information (drawn again with the chosen mask below) and dark module
+    const drawFormatBits = (mask) => {
+        const value = (ecc.formatBits << 3) | mask;
+        let remainder = value;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const format = ((value << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((format >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+        setFunction(8, 7, bit(6));
+        setFunction(8, 8, bit(7));
+        setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+        for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+        setFunction(8, size - 8, true);
+    };
+    drawFormatBits(0);
+
+    // Version information (versions 7 and up)
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        const versionBits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((versionBits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            setFunction(a, b, dark);
+            setFunction(b, a, dark);
+        }
+    }
+
+    // === DATA ===
+
+    // Codewords in two-module columns, zig-zagging up and down from the right
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (isFunction[y][x] || bitIndex >= codewords.length * 8) continue;
+                modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+                bitIndex++;
+            }
+        }
+    }
+
+    // Apply the mask with the lowest penalty
+    const applyMask = (mask) => {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+            }
+        }
+    };
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        applyMask(mask);
+        drawFormatBits(mask);
+        const penalty = maskPenalty(modules);
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        applyMask(mask); // XOR again to undo
+    }
+    applyMask(bestMask);
+    drawFormatBits(bestMask);
+
+    return { version, size, modules };
+};
+
+/**
+ * Parses and validates the QR code query parameters
+ *
+ * The style parameters are validated even without `qr`, so brand kits can
+ * carry them. Corners already used by other elements (source text, logo)
+ * are skipped for the default position and rejected as `qrPosition`.
+ *
+ * @param {Object} query - Express request query object
+ * @param {Object} taken - Corners already in use, mapped to what uses them (e.g. {'bottom-right': 'source text'}) (default: none)
+ * @returns {{options: Object|null, error: string|null}} QR options (null without qr) or a validation error
+ */
+export const parseQrOptions = (query, taken = {}) => {
+    const level = String(query.qrEcc ?? 'M').toUpperCase();
+    if (!QR_ECC_LEVELS.includes(level)) {
+        return { options: null, error: 'Invalid qrEcc. Must be one of: ' + QR_ECC_LEVELS.join(', ') };
+    }
+
+    const requested = query.qrPosition ? String(query.qrPosition).toLowerCase() : null;
+    if (requested && !QR_POSITIONS.includes(requested)) {
+        return { options: null, error: 'Invalid qrPosition. Must be one of: ' + QR_POSITIONS.join(', ') };
+    }
+    if (requested && taken[requested]) {
+        return { options: null, error: `Invalid qrPosition. The ${requested} corner is taken by the ${taken[requested]}.` };
+    }
+    const position = requested || QR_DEFAULT_POSITIONS.find(corner => !taken[corner]) || QR_DEFAULT_POSITIONS[0];
+
+    const numbers = { qrSize: QR_DEFAULT_SIZE, qrMargin: 4 };
+    const ranges = { qrSize: [50, 1080], qrMargin: [0, 10] };
+    for (const [key, [min, max]] of Object.entries(ranges)) {
+        if (query[key] === undefined) continue;
+        const number = Number(query[key]);
+        if (query[key] === '' || !Number.isInteger(number) || number < min || number > max) {
+            return { options: null, error: `Invalid ${key}. Must be an integer between ${min} and ${max}.` };
+        }
+        numbers[key] = number;
+    }
+
+    const color = query.qrColor === undefined ? '#000000' : parseColor(query.qrColor);
+    if (!color) {
+        return { options: null, error: 'Invalid qrColor. Must be a hex color.' };
+    }
+    // A transparent background keeps only the dark modules (needs a light image behind them)
+    let background = '#ffffff';
+    if (query.qrBackground !== undefined) {
+        const value = String(query.qrBackground).toLowerCase();
+        background = value === 'transparent' ? null : parseColor(value);
+        if (!background && value !== 'transparent') {
+            return { options: null, error: 'Invalid qrBackground. Must be a hex color or transparent.' };
+        }
+    }
+
+    const text = query.qr === undefined ? '' : String(query.qr);
+    if (!text) {
+        return { options: null, error: null };
+    }
+
+    const code = encodeQrCode(text, level);
+    if (!code) {
+        return { options: null, error: `Invalid qr. Text is too long for a QR code with error-correction level ${level}.` };
+    }
+
+    return {
+        options: {
+            text,
+            level,
+            code,
+            position,
+            size: numbers.qrSize,
+            margin: numbers.qrMargin,
+            color,
+            background
+        },
+        error: null
+    };
+};
+
+/**
+ * Draws a QR code as SVG
+ *
+ * Dark modules are merged into horizontal runs, so the path stays small
+ * even for large versions.
+ *
+ * @param {Object} qr - QR options from parseQrOptions
+ * @param {number} width - Width and height of the SVG in pixels, quiet zone included
+ * @returns {string} SVG markup
+ */
+export const buildQrSvg = (qr, width) => {
+    const { size, modules } = qr.code;
+    const extent = size + 2 * qr.margin;
+
+    let path = '';
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!modules[y][x]) continue;
+            let run = 1;
+            while (x + run < size && modules[y][x + run]) run++;
+            path += `M${x + qr.margin} ${y + qr.margin}h${run}v1h-${run}z`;
+            x += run - 1;
+        }
+    }
+
+    const background = qr.background ? `<rect width="${extent}" height="${extent}" fill="${qr.background}"/>` : '';
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${width}" viewBox="0 0 ${extent} ${extent}" shape-rendering="crispEdges">`
+        + `${background}<path d="${path}" fill="${qr.color}"/></svg>`;
+};
+
+/**
+ * Renders a QR code as a composite layer for a W×H image
+ *
+ * The size scales with the output width like the logo and is rounded to whole
+ * pixels per module, so module edges stay sharp; the corner padding is the
+ * logo's.
+ *
+ * @param {Object} qr - QR options from parseQrOptions
+ * @param {number} W - Output width in pixels
+ * @param {number} H - Output height in pixels
+ * @returns {Promise<{input: Buffer, top: number, left: number, width: number, height: number}>} sharp composite operation plus QR code size
+ */
+export const renderQrCode = async (qr, W, H) => {
+    const ratio = W / LOGO_REFERENCE_WIDTH;
+    const padding = Math.round(LOGO_REFERENCE_PADDING * ratio);
+    const extent = qr.code.size + 2 * qr.margin;
+
+    // Never larger than the image itself (minus padding), at least one pixel per module
+    const target = Math.min(qr.size * ratio, W - 2 * padding, H - 2 * padding);
+    const width = extent * Math.max(1, Math.floor(target / extent));
+
+    const input = await sharp(Buffer.from(buildQrSvg(qr, width))).png().toBuffer();
+
+    const [vertical, horizontal] = qr.position.split('-');
+    const left = horizontal === 'left' ? padding : W - width - padding;
+    const top = vertical === 'top' ? padding : H - width - padding;
+
+    return { input, top, left, width, height: width };
+};
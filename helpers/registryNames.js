@@ -0,0 +1,19 @@
+/**
+ * Registry Name Helpers
+ *
+ * Naming shared by the upload registries (fonts, logos, templates): when an
+ * upload has no explicit `name`, one is derived from the font's PostScript
+ * name or the uploaded file name.
+ */
+
+/**
+ * Turns an arbitrary string (e.g. a PostScript or file name) into a registry name
+ *
+ * @param {string} value - Raw name
+ * @returns {string} Filesystem-safe registry name (letters, digits, "-" and "_", max 64 characters)
+ */
+export const slugifyRegistryName = (value) => String(value || '')
+    .trim()
+    .replace(/[^a-z0-9_-]+/gi, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 64);
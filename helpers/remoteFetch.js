@@ -0,0 +1,339 @@
+/**
+ * Remote Fetch Helpers
+ *
+ * Hardened fetching of source images for the overlay, carousel and reel
+ * pipelines. Only http(s) URLs are fetched, private, loopback and link-local
+ * addresses are refused (unless allowlisted) on every redirect hop and after
+ * DNS resolution, the response must arrive within the connect timeout and
+ * keep streaming within the read timeout, the body is capped while it is
+ * streamed and its magic bytes must identify an image format Sharp reads.
+ * Configured credentials are added per hop for matching hosts only.
+ *
+ * Every failure throws a RemoteFetchError carrying a distinct error code and
+ * the 4xx HTTP status the endpoints answer with.
+ */
+
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import fetch from 'node-fetch';
+import { getCredentialHeaders } from './fetchCredentials.js';
+
+/**
+ * Defaults for options not given to fetchRemoteImage
+ */
+export const DEFAULT_FETCH_OPTIONS = {
+    allowlist: null,
+    credentials: null,            // rules from loadFetchCredentials
+    maxBytes: 25 * 1024 * 1024,   // 25MB
+    connectTimeout: 5000,         // ms until the response headers arrive
+    readTimeout: 15000,           // ms between two body chunks
+    maxRedirects: 5
+};
+
+/**
+ * HTTP status per error code
+ */
+const FETCH_ERROR_STATUS = {
+    invalid_url: 400,
+    blocked_address: 403,
+    fetch_timeout: 408,
+    image_too_large: 413,
+    unsupported_image: 415,
+    too_many_redirects: 422,
+    source_unreachable: 424,
+    upstream_error: 424
+};
+
+/**
+ * Error of a refused or failed source image fetch
+ */
+export class RemoteFetchError extends Error {
+    /**
+     * @param {string} code - Error code from FETCH_ERROR_STATUS
+     * @param {string} message - Error message for the API response
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'RemoteFetchError';
+        this.code = code;
+        this.status = FETCH_ERROR_STATUS[code];
+    }
+}
+
+/**
+ * Address ranges that are never fetched: "this" network, private, carrier-grade NAT,
+ * loopback, link-local, benchmarking, multicast and reserved ranges (IPv4-mapped
+ * IPv6 addresses are checked against the IPv4 rules; NAT64 and 6to4 addresses,
+ * which can embed any IPv4 address, are blocked as a whole)
+ */
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * Parses the fetch allowlist
+ *
+ * Entries are host names (`images.internal`), host suffixes (`*.example.com`),
+ * IP addresses or CIDR ranges (`10.1.0.0/16`). Allowlisted hosts and addresses
+ * may resolve to private ranges.
+ *
+ * @param {string|undefined} value - Comma-separated allowlist (OVERLAY_FETCH_ALLOWLIST)
+ * @returns {{hosts: Array<string>, addresses: Object}|null} Allowlist or null when empty
+ */
+export const parseFetchAllowlist = (value) => {
+    const entries = String(value || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+    if (!entries.length) return null;
+
+    const hosts = [];
+    const addresses = new net.BlockList();
+    for (const entry of entries) {
+        const [address, prefix] = entry.split('/');
+        const family = net.isIP(address);
+        if (family) {
+            const type = family === 4 ? 'ipv4' : 'ipv6';
+            addresses.addSubnet(address, prefix === undefined ? (family === 4 ? 32 : 128) : Number(prefix), type);
+        } else {
+            hosts.push(entry);
+        }
+    }
+    return { hosts, addresses };
+};
+
+/**
+ * Checks whether a host name is allowlisted
+ *
+ * @param {string} hostname - Host name of the URL
+ * @param {Object|null} allowlist - Allowlist from parseFetchAllowlist
+ * @returns {boolean} True if the host may resolve to any address
+ */
+const isAllowlistedHost = (hostname, allowlist) => !!allowlist && allowlist.hosts.some(entry => entry.startsWith('*.')
+    ? hostname.endsWith(entry.substring(1))
+    : hostname === entry);
+
+/**
+ * Checks whether an IP address may be fetched
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @param {Object|null} allowlist - Allowlist from parseFetchAllowlist
+ * @returns {boolean} True if the address is public or allowlisted
+ */
+const isAllowedAddress = (address, allowlist) => {
+    const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    if (allowlist && allowlist.addresses.check(address, type)) return true;
+    return !BLOCKED_ADDRESSES.check(address, type);
+};
+
+/**
+ * Creates the DNS lookup used by the fetch agents
+ *
+ * Every address a host name resolves to is checked, so a public name pointing
+ * to an internal address is refused at connect time (also after redirects).
+ *
+ * @param {Object|null} allowlist - Allowlist from parseFetchAllowlist
+ * @returns {Function} dns.lookup compatible function
+ */
+const createGuardedLookup = (allowlist) => (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (!isAllowlistedHost(hostname.toLowerCase(), allowlist)) {
+            const blocked = addresses.find(({ address }) => !isAllowedAddress(address, allowlist));
+            if (blocked) {
+                return callback(new RemoteFetchError('blocked_address', `Source host ${hostname} resolves to a blocked address (${blocked.address})`));
+            }
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+/**
+ * Validates a source URL before a request (also for every redirect target)
+ *
+ * @param {string} value - Absolute URL
+ * @param {Object|null} allowlist - Allowlist from parseFetchAllowlist
+ * @returns {URL} Parsed URL
+ */
+const validateSourceUrl = (value, allowlist) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        throw new RemoteFetchError('invalid_url', `Invalid source image URL: ${value}`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new RemoteFetchError('invalid_url', `Unsupported source image URL scheme: ${url.protocol.replace(':', '')}. Use http or https.`);
+    }
+
+    // Credentials belong in the server-side credentials file, not in URLs that end up in logs and responses
+    if (url.username || url.password) {
+        throw new RemoteFetchError('invalid_url', 'Source image URLs must not contain credentials. Configure them in the fetch credentials file.');
+    }
+
+    // IP literals never go through the DNS lookup
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+    if (net.isIP(hostname) && !isAllowlistedHost(hostname, allowlist) && !isAllowedAddress(hostname, allowlist)) {
+        throw new RemoteFetchError('blocked_address', `Source address ${hostname} is not allowed`);
+    }
+    return url;
+};
+
+/**
+ * Identifies an image format by its leading bytes
+ *
+ * @param {Buffer} buffer - Start of the file (at least 12 bytes)
+ * @returns {string|null} Format name or null if not a supported image
+ */
+export const detectImageFormat = (buffer) => {
+    if (buffer.length < 12) return null;
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+    if (buffer.toString('latin1', 0, 4) === 'GIF8') return 'gif';
+    if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+    if (buffer.toString('latin1', 4, 8) === 'ftyp' && ['avif', 'avis', 'heic', 'heix', 'mif1', 'msf1'].includes(buffer.toString('latin1', 8, 12))) return 'heif';
+    if (['II*\0', 'MM\0*'].includes(buffer.toString('latin1', 0, 4))) return 'tiff';
+    return null;
+};
+
+/**
+ * Fetches a source image with SSRF protection, timeouts and size limit
+ *
+ * With validators of a cached copy the request is conditional; a 304 answer
+ * is returned with `notModified` set and no body.
+ *
+ * @param {string} imageUrl - Public http(s) URL of the image
+ * @param {Object} options - Fetch policy, see DEFAULT_FETCH_OPTIONS ({allowlist, credentials, maxBytes, connectTimeout, readTimeout, maxRedirects})
+ * @param {Object} validators - Optional validators of a cached copy ({etag, lastModified})
+ * @returns {Promise<{buffer: Buffer|null, format: string|null, url: string, notModified: boolean, authenticated: boolean, cacheHeaders: Object}>}
+ *   Image bytes, detected format, final URL after redirects, whether the cached copy is still current, whether configured
+ *   credentials were sent and the caching headers of the response ({cacheControl, expires, date, age, etag, lastModified})
+ * @throws {RemoteFetchError} When the URL is refused or the fetch fails
+ */
+export const fetchRemoteImage = async (imageUrl, options = {}, validators = {}) => {
+    const { allowlist, credentials, maxBytes, connectTimeout, readTimeout, maxRedirects } = { ...DEFAULT_FETCH_OPTIONS, ...options };
+    const guardedLookup = createGuardedLookup(allowlist);
+    let blockedError = null;
+
+    // node-fetch reports lookup failures as generic request errors, so keep the refusal
+    const lookup = (hostname, lookupOptions, callback) => guardedLookup(hostname, lookupOptions, (error, ...result) => {
+        if (error instanceof RemoteFetchError) blockedError = error;
+        callback(error, ...result);
+    });
+    const agents = { 'http:': new http.Agent({ lookup }), 'https:': new https.Agent({ lookup }) };
+    const controller = new AbortController();
+    let timeoutError = null;
+    let timer = null;
+
+    // One timer for the current phase (waiting for headers, then between chunks)
+    const arm = (ms, message) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timeoutError = new RemoteFetchError('fetch_timeout', message);
+            controller.abort();
+        }, ms);
+    };
+
+    try {
+        let url = validateSourceUrl(imageUrl, allowlist);
+        let response;
+        let authenticated = false;
+        for (let redirects = 0; ; redirects++) {
+            arm(connectTimeout, `Source image did not respond within ${connectTimeout}ms`);
+            const credentialHeaders = getCredentialHeaders(url, credentials);
+            if (Object.keys(credentialHeaders).length) authenticated = true;
+            try {
+                response = await fetch(url.href, {
+                    agent: agents[url.protocol],
+                    redirect: 'manual',
+                    signal: controller.signal,
+                    headers: {
+                        'accept': 'image/avif,image/webp,image/png,image/jpeg,image/*;q=0.8',
+                        ...credentialHeaders,
+                        ...(validators.etag ? { 'if-none-match': validators.etag } : {}),
+                        ...(validators.lastModified ? { 'if-modified-since': validators.lastModified } : {})
+                    }
+                });
+            } catch (error) {
+                if (timeoutError) throw timeoutError;
+                if (blockedError) throw blockedError;
+                throw new RemoteFetchError('source_unreachable', `Source image could not be fetched: ${error.code || error.message}`);
+            }
+
+            if (![301, 302, 303, 307, 308].includes(response.status)) break;
+
+            const location = response.headers.get('location');
+            if (!location) break;
+            if (redirects >= maxRedirects) {
+                throw new RemoteFetchError('too_many_redirects', `Source image redirected more than ${maxRedirects} times`);
+            }
+            url = validateSourceUrl(new URL(location, url).href, allowlist);
+        }
+
+        const cacheHeaders = {
+            cacheControl: response.headers.get('cache-control'),
+            expires: response.headers.get('expires'),
+            date: response.headers.get('date'),
+            age: response.headers.get('age'),
+            etag: response.headers.get('etag'),
+            lastModified: response.headers.get('last-modified')
+        };
+        if (response.status === 304 && (validators.etag || validators.lastModified)) {
+            return { buffer: null, format: null, url: url.href, notModified: true, authenticated, cacheHeaders };
+        }
+
+        if (!response.ok) {
+            throw new RemoteFetchError('upstream_error', `Source image request failed: ${response.status} ${response.statusText}`);
+        }
+
+        // Refuse obvious non-images (HTML error pages, JSON) before reading the body
+        const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+        if (contentType && !contentType.startsWith('image/') && !['application/octet-stream', 'binary/octet-stream'].includes(contentType)) {
+            throw new RemoteFetchError('unsupported_image', `Source is not an image (Content-Type: ${contentType})`);
+        }
+        const declaredLength = Number(response.headers.get('content-length'));
+        if (declaredLength > maxBytes) {
+            throw new RemoteFetchError('image_too_large', `Source image is too large (${declaredLength} bytes, maximum ${maxBytes})`);
+        }
+
+        // Stream the body, enforcing the size cap and the read timeout per chunk
+        const chunks = [];
+        let size = 0;
+        try {
+            arm(readTimeout, `Source image stalled for more than ${readTimeout}ms`);
+            for await (const chunk of response.body) {
+                size += chunk.length;
+                if (size > maxBytes) {
+                    controller.abort();
+                    throw new RemoteFetchError('image_too_large', `Source image is too large (more than ${maxBytes} bytes)`);
+                }
+                chunks.push(chunk);
+                arm(readTimeout, `Source image stalled for more than ${readTimeout}ms`);
+            }
+        } catch (error) {
+            if (timeoutError) throw timeoutError;
+            if (error instanceof RemoteFetchError) throw error;
+            throw new RemoteFetchError('source_unreachable', `Source image download failed: ${error.code || error.message}`);
+        }
+
+        const buffer = Buffer.concat(chunks);
+        const format = detectImageFormat(buffer);
+        if (!format) {
+            throw new RemoteFetchError('unsupported_image', 'Source is not a supported image (JPEG, PNG, GIF, WebP, AVIF/HEIF or TIFF)');
+        }
+        return { buffer, format, url: url.href, notModified: false, authenticated, cacheHeaders };
+    } finally {
+        clearTimeout(timer);
+        agents['http:'].destroy();
+        agents['https:'].destroy();
+    }
+};
@@ -0,0 +1,82 @@
+/**
+ * Render Cache Helpers
+ *
+ * Content-addressed on-disk cache for rendered overlays. The cache key hashes
+ * the parsed render options, the source image bytes and the versions of
+ * the registered fonts and logos used, so identical requests are answered
+ * without re-running Sharp and the key doubles as the response ETag. Entries
+ * are stored with helpers/diskCache.js (LRU eviction above the size cap) in
+ * the private cache directory, which is not served under /media.
+ */
+
+import crypto from 'crypto';
+import fsp from 'fs/promises';
+import path from 'path';
+
+/**
+ * Bump when rendering changes, so entries of older versions are no longer used
+ */
+const RENDER_CACHE_VERSION = 2;
+
+/**
+ * Returns the render cache directory below the cache directory
+ *
+ * @param {string} cacheDir - Private cache directory (not served publicly)
+ * @returns {string} Render cache directory
+ */
+export const getRenderCacheDir = (cacheDir) => path.join(cacheDir, 'renders');
+
+/**
+ * Serializes a value as JSON with object keys in sorted order
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON string independent of the key order of the input
+ */
+const stableStringify = (value) => JSON.stringify(value, (key, nested) => nested && typeof nested === 'object' && !Array.isArray(nested)
+    ? Object.fromEntries(Object.keys(nested).sort().map(name => [name, nested[name]]))
+    : nested);
+
+/**
+ * Computes the cache key of a render
+ *
+ * The key is built from the parsed options rather than the raw query, so
+ * spelled-out defaults, differently written values and parameters the
+ * renderer ignores don't create separate entries.
+ *
+ * @param {Object} renderOptions - Parsed options the render depends on (dimensions, texts, layout, style, logo, ...)
+ * @param {Object} outputOptions - Output options from parseOutputOptions (includes the negotiated format)
+ * @param {Buffer|null} image - Source image bytes (null for a transparent canvas)
+ * @param {Array<string|null>} assetFiles - Font and logo files used by the render
+ * @returns {Promise<string>} Hex SHA-256 key
+ */
+export const computeRenderKey = async (renderOptions, outputOptions, image, assetFiles) => {
+    // A re-uploaded font or logo (replace=true) keeps its name but changes size or mtime
+    const assets = await Promise.all(assetFiles.filter(Boolean).map(async (file) => {
+        try {
+            const { size, mtimeMs } = await fsp.stat(file);
+            return `${file}:${size}:${mtimeMs}`;
+        } catch {
+            return `${file}:missing`;
+        }
+    }));
+
+    return crypto.createHash('sha256').update(stableStringify({
+        version: RENDER_CACHE_VERSION,
+        options: renderOptions,
+        output: outputOptions,
+        image: image ? crypto.createHash('sha256').update(image).digest('hex') : null,
+        assets
+    })).digest('hex');
+};
+
+/**
+ * Checks an If-None-Match request header against an ETag
+ *
+ * @param {string|undefined} header - If-None-Match header value
+ * @param {string} etag - Quoted ETag of the current representation
+ * @returns {boolean} True if the client's copy is current
+ */
+export const matchesEtag = (header, etag) => {
+    if (!header) return false;
+    return header.split(',').map(tag => tag.trim().replace(/^W\//, '')).some(tag => tag === '*' || tag === etag);
+};
@@ -0,0 +1,413 @@
+/**
+ * Scene Helpers
+ *
+ * Validation and rendering of layered scenes for POST /scene: a canvas and an
+ * ordered list of image, text, rect, logo and QR layers, each placed in canvas
+ * pixels with optional rotation and opacity. Image layers are cropped, faded
+ * and rotated with sharp; every other layer is drawn as a canvas-sized SVG
+ * (text through makeSvg), so the layers composite through the overlay pipeline.
+ */
+
+import sharp from 'sharp';
+import fsp from 'fs/promises';
+import { makeSvg, normalizeBodyParams, parseColor, parseFitOptions, parseHyphenationOptions, parseLayoutOptions, parseScrimOptions, parseStyleOptions } from '../helpers.js';
+import { resolveFontOptions } from './fontRegistry.js';
+import { CONTAIN_MODES, containWithFill, cropToCover, parseCropOptions } from './imageCrop.js';
+import { LOGO_REFERENCE_WIDTH, resolveLogoOptions } from './logoRegistry.js';
+import { QR_DEFAULT_SIZE, buildQrSvg, parseQrOptions } from './qrCode.js';
+
+/**
+ * Layer types of a scene
+ */
+export const SCENE_LAYER_TYPES = ['image', 'text', 'rect', 'logo', 'qr'];
+
+/**
+ * Maximum number of layers in a scene
+ */
+export const MAX_SCENE_LAYERS = 30;
+
+/**
+ * Settings allowed on every layer and per layer type
+ */
+const COMMON_LAYER_KEYS = ['type', 'x', 'y', 'width', 'height', 'rotation', 'opacity'];
+const LAYER_KEYS = {
+    image: ['src', 'crop', 'fx', 'fy', 'fit', 'contain', 'fillColor'],
+    text: ['text', 'fontSize', 'fit', 'minFontSize', 'maxFontSize', 'maxLines', 'valign', 'align', 'lang', 'hyphenate', 'style', 'font',
+        'scrim', 'scrimColor', 'scrimOpacity', 'scrimRadius'],
+    rect: ['fill', 'gradient', 'radius'],
+    logo: ['name'],
+    qr: ['text', 'ecc', 'color', 'background', 'margin']
+};
+
+/**
+ * Maximum number of gradient color stops
+ */
+const MAX_GRADIENT_STOPS = 10;
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Reads an optional number setting of a layer
+ *
+ * @param {Object} raw - Layer from the request body
+ * @param {string} key - Setting name
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @param {*} fallback - Value when the setting is missing
+ * @returns {{value: *, error: string|null}} Number (or fallback) or a validation error
+ */
+const readNumber = (raw, key, min, max, fallback) => {
+    if (raw[key] === undefined || raw[key] === null) return { value: fallback, error: null };
+    const value = Number(raw[key]);
+    if (typeof raw[key] === 'boolean' || raw[key] === '' || !Number.isFinite(value) || value < min || value > max) {
+        return { value: null, error: `${key} must be a number between ${min} and ${max}.` };
+    }
+    return { value, error: null };
+};
+
+/**
+ * Validates the gradient of a rect layer
+ *
+ * @param {Object} gradient - Gradient settings ({angle, stops: [{offset, color, opacity}]})
+ * @returns {{gradient: Object|null, error: string|null}} Normalized gradient or a validation error
+ */
+const parseGradient = (gradient) => {
+    const fail = (message) => ({ gradient: null, error: `gradient ${message}` });
+    if (!isPlainObject(gradient)) return fail('must be an object with angle and stops.');
+
+    const { value: angle, error: angleError } = readNumber(gradient, 'angle', 0, 360, 180);
+    if (angleError) return fail(angleError);
+
+    const { stops } = gradient;
+    if (!Array.isArray(stops) || stops.length < 2 || stops.length > MAX_GRADIENT_STOPS) {
+        return fail(`stops must be an array of 2-${MAX_GRADIENT_STOPS} {offset, color, opacity} objects.`);
+    }
+    const normalized = [];
+    for (const [i, stop] of stops.entries()) {
+        if (!isPlainObject(stop)) return fail(`stop ${i + 1} must be an object.`);
+        const color = parseColor(stop.color);
+        if (!color) return fail(`stop ${i + 1}: color must be a hex color.`);
+        // Offsets default to evenly spaced stops
+        const offset = readNumber(stop, 'offset', 0, 1, i / (stops.length - 1));
+        const opacity = readNumber(stop, 'opacity', 0, 1, 1);
+        const error = offset.error || opacity.error;
+        if (error) return fail(`stop ${i + 1}: ${error}`);
+        normalized.push({ offset: offset.value, color, opacity: opacity.value });
+    }
+
+    return { gradient: { angle, stops: normalized }, error: null };
+};
+
+/**
+ * Validates a layer of a scene
+ *
+ * Fonts and logos are resolved here (unknown names are a 404); image sources
+ * are only checked for presence, stored file references are resolved by the
+ * endpoint.
+ *
+ * @param {Object} raw - Layer from the request body
+ * @param {number} W - Canvas width in pixels
+ * @param {number} H - Canvas height in pixels
+ * @param {Object} config - Configuration object with FONTS_DIR, LOGOS_DIR and LOGO_PATH
+ * @returns {{layer: Object|null, error: string|null, status: number}} Normalized layer or an error with HTTP status
+ */
+const parseSceneLayer = (raw, W, H, config) => {
+    const fail = (error, status = 400) => ({ layer: null, error, status });
+
+    if (!isPlainObject(raw)) return fail('must be an object with a type.');
+    const { type } = raw;
+    if (!SCENE_LAYER_TYPES.includes(type)) return fail('type must be one of: ' + SCENE_LAYER_TYPES.join(', '));
+    const unknown = Object.keys(raw).find(key => !COMMON_LAYER_KEYS.includes(key) && !LAYER_KEYS[type].includes(key));
+    if (unknown) return fail(`unknown setting ${unknown} for ${type} layers. Allowed: ${[...COMMON_LAYER_KEYS, ...LAYER_KEYS[type]].join(', ')}`);
+
+    // Geometry in canvas pixels; images, text boxes and rects cover the canvas by default,
+    // logos keep their native size at 1080px canvas width and QR codes are square
+    const defaultSize = {
+        image: [W, H],
+        text: [W, H],
+        rect: [W, H],
+        logo: [null, null],
+        qr: [QR_DEFAULT_SIZE, null]
+    }[type];
+    const layer = { type };
+    const ranges = {
+        x: [-8000, 8000, 0],
+        y: [-8000, 8000, 0],
+        width: [1, 4000, defaultSize[0]],
+        height: [1, 4000, defaultSize[1]],
+        rotation: [-360, 360, 0],
+        opacity: [0, 1, 1]
+    };
+    for (const [key, [min, max, fallback]] of Object.entries(ranges)) {
+        if (type === 'qr' && key === 'height' && raw.height !== undefined) return fail('QR codes are square; set their size with width.');
+        const { value, error } = readNumber(raw, key, min, max, fallback);
+        if (error) return fail(error);
+        layer[key] = ['x', 'y', 'width', 'height'].includes(key) && value !== null ? Math.round(value) : value;
+    }
+
+    const query = normalizeBodyParams(raw);
+
+    if (type === 'image') {
+        if (typeof raw.src !== 'string' || !raw.src) return fail('src required (image URL or store:<uuid>).');
+        const fit = query.fit || 'cover';
+        if (!['cover', ...CONTAIN_MODES].includes(fit)) return fail('fit must be one of: ' + ['cover', ...CONTAIN_MODES].join(', '));
+        const { options, error } = parseCropOptions(query);
+        if (error) return fail(error);
+        return { layer: { ...layer, src: raw.src, crop: options }, error: null, status: 200 };
+    }
+
+    if (type === 'text') {
+        if (typeof raw.text !== 'string' || !raw.text.trim()) return fail('text required.');
+        const { value: fontSize, error: fontSizeError } = readNumber(raw, 'fontSize', 8, 400, undefined);
+        if (fontSizeError) return fail(fontSizeError);
+        const { value: maxLines, error: maxLinesError } = readNumber(raw, 'maxLines', 1, 20, 5);
+        if (maxLinesError) return fail(maxLinesError);
+        if (raw.style !== undefined && !isPlainObject(raw.style)) return fail('style must be an object with text style settings (fill, stroke, fontWeight, shadow, highlight, ...).');
+
+        // Same parsers as the overlay title; the style applies as title style
+        const parsers = [
+            (q) => parseFitOptions(q, Math.min(W, H)),
+            parseHyphenationOptions,
+            parseLayoutOptions,
+            parseScrimOptions,
+            (q) => parseStyleOptions({ style: { title: q.style || {} } })
+        ];
+        const options = {};
+        for (const parse of parsers) {
+            const { options: parsed, error } = parse(query);
+            if (error) return fail(error);
+            Object.assign(options, parsed);
+        }
+        const { options: fontOptions, error: fontError, status: fontStatus } = resolveFontOptions({ titleFont: raw.font }, config.FONTS_DIR);
+        if (fontError) return fail(fontError, fontStatus);
+
+        // A fixed font size pins fit mode to that size (ellipsis if the text doesn't fit)
+        if (fontSize !== undefined && options.fit) return fail('use either fontSize or fit, not both.');
+        if (fontSize !== undefined) Object.assign(options, { fit: true, minFontSize: fontSize, maxFontSize: fontSize });
+        delete options.box;
+        delete options.sourcePosition;
+
+        return { layer: { ...layer, text: raw.text, maxLines, options: { ...options, ...fontOptions } }, error: null, status: 200 };
+    }
+
+    if (type === 'rect') {
+        if (raw.fill !== undefined && raw.gradient !== undefined) return fail('use either fill or gradient, not both.');
+        const fill = raw.fill === undefined ? '#000000' : parseColor(raw.fill);
+        if (!fill) return fail('fill must be a hex color.');
+        const { value: radius, error: radiusError } = readNumber(raw, 'radius', 0, 2000, 0);
+        if (radiusError) return fail(radiusError);
+        let gradient = null;
+        if (raw.gradient !== undefined) {
+            const parsed = parseGradient(raw.gradient);
+            if (parsed.error) return fail(parsed.error);
+            gradient = parsed.gradient;
+        }
+        return { layer: { ...layer, fill, gradient, radius }, error: null, status: 200 };
+    }
+
+    if (type === 'logo') {
+        // Without name the default Logo.svg is used
+        const name = raw.name === undefined ? 'true' : String(raw.name);
+        if (['false', '0', ''].includes(name)) return fail('name must be a registered logo.');
+        const { options, error, status } = resolveLogoOptions({ logo: name }, config);
+        if (error) return fail(error, status);
+        return { layer: { ...layer, logo: options }, error: null, status: 200 };
+    }
+
+    // QR code; parseQrOptions knows the settings by their query names
+    const { options: qr, error: qrError } = parseQrOptions({
+        qr: query.text,
+        qrEcc: query.ecc,
+        qrColor: query.color,
+        qrBackground: query.background,
+        qrMargin: query.margin
+    });
+    if (qrError) return fail(qrError.replace(/^Invalid qr(\w*)/, (match, key) => `Invalid ${key ? key[0].toLowerCase() + key.slice(1) : 'text'}`));
+    if (!qr) return fail('text required.');
+    return { layer: { ...layer, qr }, error: null, status: 200 };
+};
+
+/**
+ * Parses and validates a scene request body
+ *
+ * @param {Object} body - Parsed JSON body ({canvas: {width, height, background}, layers: [...]})
+ * @param {Object} config - Configuration object with FONTS_DIR, LOGOS_DIR and LOGO_PATH
+ * @returns {{scene: Object|null, error: string|null, status: number}} Scene ({width, height, background, layers};
+ *   background null for a transparent canvas) or an error with HTTP status
+ */
+export const parseScene = (body, config) => {
+    const canvas = body.canvas ?? {};
+    if (!isPlainObject(canvas)) {
+        return { scene: null, error: 'Invalid canvas. Must be an object with width, height and background.', status: 400 };
+    }
+
+    const W = Number(canvas.width ?? 1080);
+    const H = Number(canvas.height ?? 1350);
+    if (!Number.isInteger(W) || !Number.isInteger(H) || W < 100 || W > 4000 || H < 100 || H > 4000) {
+        return { scene: null, error: 'Invalid canvas size. width and height must be integers between 100 and 4000 pixels.', status: 400 };
+    }
+
+    const backgroundValue = String(canvas.background ?? '#ffffff').toLowerCase();
+    const background = backgroundValue === 'transparent' ? null : parseColor(backgroundValue);
+    if (!background && backgroundValue !== 'transparent') {
+        return { scene: null, error: 'Invalid canvas background. Must be a hex color or transparent.', status: 400 };
+    }
+
+    const { layers: rawLayers } = body;
+    if (!Array.isArray(rawLayers) || rawLayers.length === 0) {
+        return { scene: null, error: 'layers required. Provide an array of layer objects (' + SCENE_LAYER_TYPES.join(', ') + ').', status: 400 };
+    }
+    if (rawLayers.length > MAX_SCENE_LAYERS) {
+        return { scene: null, error: `Too many layers. A scene has at most ${MAX_SCENE_LAYERS} layers.`, status: 400 };
+    }
+
+    const layers = [];
+    for (const [i, raw] of rawLayers.entries()) {
+        const { layer, error, status } = parseSceneLayer(raw, W, H, config);
+        if (error) return { scene: null, error: `layer ${i + 1}: ${error}`, status };
+        layers.push(layer);
+    }
+
+    return { scene: { width: W, height: H, background, layers }, error: null, status: 200 };
+};
+
+/**
+ * Opens decoded RGBA pixels from sharp's raw output as a new sharp pipeline
+ *
+ * @param {{data: Buffer, info: Object}} pixels - Raw pixels with their info
+ * @returns {Object} sharp instance
+ */
+const fromPixels = ({ data, info }) => sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+
+/**
+ * Renders an image layer with sharp
+ *
+ * Images are not embedded in the layer SVG: at large canvas sizes the
+ * base64 data exceeds librsvg's document size limit. Each step runs on
+ * decoded pixels, so sharp applies fading and rotation in this order; the
+ * rotated image stays centered on the layer and is clipped to the canvas.
+ *
+ * @param {Object} layer - Image layer from parseScene
+ * @param {number} W - Canvas width in pixels
+ * @param {number} H - Canvas height in pixels
+ * @param {Buffer} source - Source image
+ * @returns {Promise<{overlay: Object|null, width: number, height: number}>} sharp composite operation
+ *   (null if the layer is outside the canvas) plus the layer size
+ */
+const renderImageLayer = async (layer, W, H, source) => {
+    const { x, y, width, height } = layer;
+
+    // Cropped or contained to the layer size like an overlay base image
+    const { image } = layer.crop.contain
+        ? await containWithFill(source, width, height, layer.crop)
+        : await cropToCover(source, width, height, layer.crop);
+    let pixels = await image.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+
+    if (layer.opacity < 1) {
+        pixels = await fromPixels(pixels).linear([1, 1, 1, layer.opacity], [0, 0, 0, 0]).raw().toBuffer({ resolveWithObject: true });
+    }
+    if (layer.rotation) {
+        pixels = await fromPixels(pixels).rotate(layer.rotation, { background: { r: 0, g: 0, b: 0, alpha: 0 } }).raw().toBuffer({ resolveWithObject: true });
+    }
+
+    const left = Math.round(x + (width - pixels.info.width) / 2);
+    const top = Math.round(y + (height - pixels.info.height) / 2);
+    const clip = { left: Math.max(0, left), top: Math.max(0, top) };
+    clip.width = Math.min(W, left + pixels.info.width) - clip.left;
+    clip.height = Math.min(H, top + pixels.info.height) - clip.top;
+    if (clip.width <= 0 || clip.height <= 0) {
+        return { overlay: null, width, height };
+    }
+
+    const { data, info } = await fromPixels(pixels)
+        .extract({ left: clip.left - left, top: clip.top - top, width: clip.width, height: clip.height })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    return {
+        overlay: { input: data, raw: { width: info.width, height: info.height, channels: info.channels }, left: clip.left, top: clip.top },
+        width,
+        height
+    };
+};
+
+/**
+ * Renders a scene layer as a composite operation for the overlay pipeline
+ *
+ * Rotation (degrees, clockwise) turns the layer around its center; opacity
+ * applies to the whole layer. Image layers are rendered with sharp, all
+ * other layers as canvas-sized SVGs.
+ *
+ * @param {Object} layer - Layer from parseScene
+ * @param {number} W - Canvas width in pixels
+ * @param {number} H - Canvas height in pixels
+ * @param {Buffer|null} source - Source image of an image layer
+ * @returns {Promise<{overlay: Object|null, width: number, height: number}>} sharp composite operation
+ *   (null if nothing is drawn on the canvas) plus the drawn layer size
+ */
+export const renderSceneLayer = async (layer, W, H, source = null) => {
+    if (layer.type === 'image') {
+        return renderImageLayer(layer, W, H, source);
+    }
+
+    const { x, y } = layer;
+    let { width, height } = layer;
+    let content;
+
+    switch (layer.type) {
+        case 'text': {
+            // The text box is the layer rectangle, given to makeSvg in percent of the canvas;
+            // top-aligned text starts inside the box like the other layers
+            const box = { x: x / W * 100, y: y / H * 100, width: width / W * 100, height: height / H * 100 };
+            content = makeSvg(W, H, layer.text, '', layer.maxLines, { ...layer.options, box, containTop: true });
+            break;
+        }
+
+        case 'rect': {
+            let fill = layer.fill;
+            let defs = '';
+            if (layer.gradient) {
+                // CSS angle convention: 0 = bottom to top, 90 = left to right, 180 = top to bottom
+                const rad = layer.gradient.angle * Math.PI / 180;
+                const coord = (value) => Number(value.toFixed(4));
+                const [x1, y1, x2, y2] = [0.5 - Math.sin(rad) / 2, 0.5 + Math.cos(rad) / 2, 0.5 + Math.sin(rad) / 2, 0.5 - Math.cos(rad) / 2].map(coord);
+                const stops = layer.gradient.stops.map(stop => `<stop offset="${stop.offset}" stop-color="${stop.color}" stop-opacity="${stop.opacity}"/>`);
+                defs = `<defs><linearGradient id="fill" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}">${stops.join('')}</linearGradient></defs>`;
+                fill = 'url(#fill)';
+            }
+            content = `${defs}<rect x="${x}" y="${y}" width="${width}" height="${height}" rx="${layer.radius}" ry="${layer.radius}" fill="${fill}"/>`;
+            break;
+        }
+
+        case 'logo': {
+            // Missing sides follow the logo's aspect ratio; the logo is fitted into the layer box
+            const buffer = await fsp.readFile(layer.logo.file);
+            const { width: nativeW, height: nativeH, format } = await sharp(buffer).metadata();
+            if (width === null && height === null) width = Math.max(1, Math.round(nativeW * W / LOGO_REFERENCE_WIDTH));
+            if (width === null) width = Math.max(1, Math.round(height * nativeW / nativeH));
+            if (height === null) height = Math.max(1, Math.round(width * nativeH / nativeW));
+            const mimeType = format === 'svg' ? 'image/svg+xml' : 'image/png';
+            content = `<image x="${x}" y="${y}" width="${width}" height="${height}" preserveAspectRatio="xMidYMid meet" href="data:${mimeType};base64,${buffer.toString('base64')}"/>`;
+            break;
+        }
+
+        case 'qr': {
+            // Whole pixels per module (at least one), so module edges stay sharp
+            const extent = layer.qr.code.size + 2 * layer.qr.margin;
+            width = height = extent * Math.max(1, Math.floor(width / extent));
+            content = `<g transform="translate(${x} ${y})">${buildQrSvg(layer.qr, width)}</g>`;
+            break;
+        }
+    }
+
+    const attributes = [
+        layer.rotation ? `transform="rotate(${layer.rotation} ${x + width / 2} ${y + height / 2})"` : '',
+        layer.opacity < 1 ? `opacity="${layer.opacity}"` : ''
+    ].filter(Boolean).map(attribute => ` ${attribute}`).join('');
+
+    const svg = `<svg width="${W}" height="${H}" xmlns="http://www.w3.org/2000/svg">
+  <g${attributes}>${content}</g>
+</svg>`;
+
+    return { overlay: { input: Buffer.from(svg), top: 0, left: 0 }, width, height };
+};
@@ -0,0 +1,149 @@
+/**
+ * Source Image Cache Helpers
+ *
+ * Shared on-disk cache of fetched source images, keyed by URL and used by the
+ * overlay, carousel and reel pipelines, so the same article image isn't
+ * downloaded again for every variant. Freshness follows the origin's
+ * Cache-Control and Expires headers (or a heuristic based on Last-Modified);
+ * stale entries with an ETag or Last-Modified are revalidated with a
+ * conditional request. Entries are stored with helpers/diskCache.js (LRU
+ * eviction above the size cap) in the private cache directory, which is not
+ * served under /media. The cache is shared by all API clients, so responses
+ * marked `private`, and responses fetched with configured credentials unless
+ * they are marked `public`, are never stored.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { readCacheEntry, removeCacheEntry, writeCacheEntry } from './diskCache.js';
+import { fetchRemoteImage } from './remoteFetch.js';
+
+/**
+ * Upper bound of the heuristic freshness of responses without explicit expiry (seconds)
+ */
+const MAX_HEURISTIC_LIFETIME = 24 * 60 * 60;
+
+/**
+ * Returns the source cache directory below the cache directory
+ *
+ * @param {string} cacheDir - Private cache directory (not served publicly)
+ * @returns {string} Source cache directory
+ */
+export const getSourceCacheDir = (cacheDir) => path.join(cacheDir, 'sources');
+
+/**
+ * Parses a Cache-Control header
+ *
+ * @param {string|null} value - Header value
+ * @returns {Object} Lowercase directive names mapped to their value (true for directives without value)
+ */
+const parseCacheControl = (value) => {
+    const directives = {};
+    for (const part of String(value || '').split(',')) {
+        const [name, ...rest] = part.trim().split('=');
+        if (!name) continue;
+        directives[name.toLowerCase()] = rest.length ? rest.join('=').trim().replace(/^"(.*)"$/, '$1') : true;
+    }
+    return directives;
+};
+
+/**
+ * Derives the caching policy of a response for a shared cache (RFC 9111)
+ *
+ * @param {Object} headers - Caching headers from fetchRemoteImage ({cacheControl, expires, date, age, etag, lastModified})
+ * @param {number} now - Current time in milliseconds
+ * @param {boolean} authenticated - Whether the request carried configured credentials (default: false)
+ * @returns {{storable: boolean, expiresAt: number}} Whether the image may be stored and until when it's fresh
+ */
+const getCachePolicy = (headers, now, authenticated = false) => {
+    const directives = parseCacheControl(headers.cacheControl);
+    const date = Date.parse(headers.date) || now;
+
+    let lifetime;
+    const maxAge = directives['s-maxage'] ?? directives['max-age'];
+    if (directives['no-cache']) {
+        lifetime = 0;
+    } else if (maxAge !== undefined) {
+        lifetime = Number(maxAge) || 0;
+    } else if (headers.expires) {
+        lifetime = ((Date.parse(headers.expires) || 0) - date) / 1000;
+    } else if (headers.lastModified && Date.parse(headers.lastModified)) {
+        // Heuristic freshness: 10% of the time since the last modification
+        lifetime = Math.min(MAX_HEURISTIC_LIFETIME, (date - Date.parse(headers.lastModified)) / 10000);
+    } else {
+        lifetime = 0;
+    }
+
+    const age = Number(headers.age) || 0;
+    const expiresAt = now + Math.max(0, lifetime - age) * 1000;
+    const validatable = Boolean(headers.etag || headers.lastModified);
+
+    // Responses to requests with credentials need an explicit `public` (RFC 9111, section 3.5)
+    const shareable = !directives['no-store'] && !directives['private'] && (!authenticated || Boolean(directives['public']));
+
+    return { storable: shareable && (expiresAt > now || validatable), expiresAt };
+};
+
+/**
+ * Fetches a source image through the source cache
+ *
+ * Fresh entries are returned without a request, stale entries are
+ * revalidated (a 304 answer keeps the cached bytes) and fetched images are
+ * stored when the response allows it. Without `options.cache` every call
+ * fetches.
+ *
+ * @param {string} imageUrl - Public http(s) URL of the image
+ * @param {Object} options - Fetch policy of fetchRemoteImage plus the cache settings ({cache: {dir, maxBytes}|null})
+ * @returns {Promise<{buffer: Buffer, format: string, url: string, cache: string}>} Image bytes, format, final URL and
+ *   cache outcome (hit, revalidated, miss or disabled)
+ * @throws {RemoteFetchError} When the URL is refused or the fetch fails
+ */
+export const fetchSourceImage = async (imageUrl, options = {}) => {
+    const { cache } = options;
+    if (!cache) {
+        const { buffer, format, url } = await fetchRemoteImage(imageUrl, options);
+        return { buffer, format, url, cache: 'disabled' };
+    }
+
+    const key = crypto.createHash('sha256').update(imageUrl).digest('hex');
+    const entry = await readCacheEntry(cache.dir, key);
+    if (entry && Date.now() < entry.meta.expiresAt) {
+        return { buffer: entry.buffer, format: entry.meta.format, url: entry.meta.finalUrl, cache: 'hit' };
+    }
+
+    const validators = entry ? { etag: entry.meta.headers.etag, lastModified: entry.meta.headers.lastModified } : {};
+    const fetched = await fetchRemoteImage(imageUrl, options, validators);
+    const now = Date.now();
+
+    try {
+        if (fetched.notModified) {
+            // Headers of the 304 update the stored ones (they usually repeat Cache-Control and ETag)
+            const headers = { ...entry.meta.headers };
+            for (const [name, value] of Object.entries(fetched.cacheHeaders)) {
+                if (value !== null) headers[name] = value;
+            }
+            const { storable, expiresAt } = getCachePolicy(headers, now, fetched.authenticated);
+            if (storable) {
+                await writeCacheEntry(cache.dir, key, null, { ...entry.meta, headers, expiresAt }, cache.maxBytes);
+            } else {
+                // The origin no longer allows storing it (e.g. now private); this answer still confirms the bytes
+                await removeCacheEntry(cache.dir, key);
+            }
+            return { buffer: entry.buffer, format: entry.meta.format, url: entry.meta.finalUrl, cache: 'revalidated' };
+        }
+
+        const { storable, expiresAt } = getCachePolicy(fetched.cacheHeaders, now, fetched.authenticated);
+        if (storable) {
+            const meta = { url: imageUrl, finalUrl: fetched.url, format: fetched.format, headers: fetched.cacheHeaders, expiresAt };
+            await writeCacheEntry(cache.dir, key, fetched.buffer, meta, cache.maxBytes);
+        }
+    } catch (error) {
+        // The image is fetched; a full or read-only disk only costs the next request a download
+        console.warn(`⚠️ Source cache write failed: ${error.message}`);
+        if (fetched.notModified) {
+            return { buffer: entry.buffer, format: entry.meta.format, url: entry.meta.finalUrl, cache: 'revalidated' };
+        }
+    }
+
+    return { buffer: fetched.buffer, format: fetched.format, url: fetched.url, cache: 'miss' };
+};
@@ -0,0 +1,161 @@
+/**
+ * Stored File Helpers
+ *
+ * Lookup of files uploaded with POST /store/upload and resolution of
+ * `store:<uuid>` references, which let render endpoints read inputs directly
+ * from the storage directory under MEDIA_DIR instead of fetching a public URL.
+ * Rendered images persisted with `store=true` live in the images directory
+ * and are named the same way (UUID plus format extension).
+ */
+
+import fsp from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Prefix of stored file references in image/media parameters
+ */
+export const STORE_REF_PREFIX = 'store:';
+
+/**
+ * Format of stored file IDs (UUID v4 file names without extension)
+ */
+export const FILE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Checks whether a parameter value is a stored file reference
+ *
+ * @param {string} value - Parameter value
+ * @returns {boolean} True for `store:<id>` values
+ */
+export const isStoreRef = (value) => typeof value === 'string' && value.startsWith(STORE_REF_PREFIX);
+
+/**
+ * Returns the storage directory for uploaded files
+ *
+ * @param {string} mediaDir - Media directory
+ * @returns {string} Absolute storage directory path
+ */
+export const getStorageDir = (mediaDir) => path.join(mediaDir, 'storage');
+
+/**
+ * Finds a stored file by ID
+ *
+ * @param {string} storageDir - Storage directory
+ * @param {string} id - File ID (UUID)
+ * @returns {Promise<string|null>} Absolute file path or null if not found
+ */
+export const findStoredFile = async (storageDir, id) => {
+    if (!FILE_ID_PATTERN.test(id)) return null;
+    let files;
+    try {
+        files = await fsp.readdir(storageDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+    const file = files.find(f => f.startsWith(id + '.')); // exact UUID + dot
+    return file ? path.join(storageDir, file) : null;
+};
+
+/**
+ * Resolves a `store:<uuid>` reference to the stored file
+ *
+ * @param {string} value - Parameter value with the store: prefix
+ * @param {string} mediaDir - Media directory
+ * @returns {Promise<{path: string|null, error: string|null, status: number}>} File path or an error with HTTP status
+ */
+export const resolveStoreRef = async (value, mediaDir) => {
+    const id = value.slice(STORE_REF_PREFIX.length);
+    if (!FILE_ID_PATTERN.test(id)) {
+        return { path: null, error: `Invalid stored file reference: ${value}. Use store:<uuid>.`, status: 400 };
+    }
+    const filePath = await findStoredFile(getStorageDir(mediaDir), id);
+    if (!filePath) {
+        return { path: null, error: `Stored file not found: ${id}`, status: 404 };
+    }
+    return { path: filePath, error: null, status: 200 };
+};
+
+/**
+ * Resolves all stored file references among the given parameters
+ *
+ * Parameters that are missing or hold a URL are left out of the result.
+ *
+ * @param {Object} query - Request parameters
+ * @param {Array<string>} keys - Names of the image/media parameters
+ * @param {string} mediaDir - Media directory
+ * @returns {Promise<{paths: Object|null, error: string|null, status: number}>} File paths by parameter name or the first error with HTTP status
+ */
+export const resolveStoreRefs = async (query, keys, mediaDir) => {
+    const paths = {};
+    for (const key of keys) {
+        if (!isStoreRef(query[key])) continue;
+        const { path: filePath, error, status } = await resolveStoreRef(query[key], mediaDir);
+        if (error) return { paths: null, error: `${key}: ${error}`, status };
+        paths[key] = filePath;
+    }
+    return { paths, error: null, status: 200 };
+};
+
+/**
+ * File extensions of rendered images by output format
+ */
+const IMAGE_EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', avif: 'avif' };
+
+/**
+ * Saves a rendered image under a new UUID
+ *
+ * @param {string} imagesDir - Images directory
+ * @param {Buffer} buffer - Encoded image
+ * @param {string} format - Output format (jpeg, png, webp, avif)
+ * @returns {Promise<{id: string, filename: string, path: string}>} ID, file name and absolute path of the stored image
+ */
+export const saveRenderedImage = async (imagesDir, buffer, format) => {
+    const id = uuidv4();
+    const filename = `${id}.${IMAGE_EXTENSIONS[format] || format}`;
+    const filePath = path.join(imagesDir, filename);
+
+    await fsp.mkdir(imagesDir, { recursive: true });
+    await fsp.writeFile(filePath, buffer);
+    return { id, filename, path: filePath };
+};
+
+/**
+ * Lists the stored rendered images with their metadata
+ *
+ * @param {string} imagesDir - Images directory
+ * @returns {Promise<Array<Object>>} Image descriptions ({id, filename, format, width, height, size, createdAt}), newest first
+ */
+export const listRenderedImages = async (imagesDir) => {
+    let files;
+    try {
+        files = await fsp.readdir(imagesDir);
+    } catch (error) {
+        return [];
+    }
+
+    const images = await Promise.all(files
+        .filter(file => FILE_ID_PATTERN.test(path.basename(file, path.extname(file))))
+        .map(async file => {
+            const fullPath = path.join(imagesDir, file);
+            try {
+                const [metadata, stats] = await Promise.all([sharp(fullPath).metadata(), fsp.stat(fullPath)]);
+                return {
+                    id: path.basename(file, path.extname(file)),
+                    filename: file,
+                    format: metadata.format === 'heif' ? 'avif' : metadata.format,
+                    width: metadata.width,
+                    height: metadata.height,
+                    size: stats.size,
+                    createdAt: stats.mtime.toISOString()
+                };
+            } catch (error) {
+                console.warn(`⚠️ [storedFiles] Skipping unreadable image ${file}: ${error.message}`);
+                return null;
+            }
+        }));
+
+    return images.filter(Boolean).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
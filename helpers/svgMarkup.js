@@ -0,0 +1,46 @@
+/**
+ * SVG Markup Helpers
+ *
+ * Checks shared by the upload registries that accept SVG files (logos,
+ * templates): uploaded SVGs are rendered by librsvg inside the server, so
+ * anything that could run code or reference other files or URLs is rejected.
+ */
+
+/**
+ * Markup that could run code or load files and URLs while rendering
+ */
+const FORBIDDEN_MARKUP = [
+    [/<!DOCTYPE|<!ENTITY/i, 'DOCTYPE and entity declarations'],
+    [/<script\b/i, 'script elements'],
+    [/<foreignObject\b/i, 'foreignObject elements'],
+    [/\son[a-z]+\s*=/i, 'event handler attributes'],
+    [/@import\b/i, '@import rules']
+];
+
+/**
+ * Finds markup in an SVG document that could run code or load external resources
+ *
+ * References are only allowed to fragments (#id) and inline data: URIs.
+ *
+ * @param {string} svg - SVG source
+ * @param {string} kind - Plural noun for the error message (e.g. 'Logos')
+ * @param {RegExp|null} [allowedHref] - Additional href values to accept (e.g. a placeholder)
+ * @returns {string|null} Error message for the first problem found, or null if the markup is safe
+ */
+export const findUnsafeSvgMarkup = (svg, kind, allowedHref = null) => {
+    for (const [pattern, label] of FORBIDDEN_MARKUP) {
+        if (pattern.test(svg)) return `${kind} must not contain ${label}`;
+    }
+    for (const [, double, single] of svg.matchAll(/[\s:]href\s*=\s*(?:"([^"]*)"|'([^']*)')/gi)) {
+        const value = (double ?? single).trim();
+        if (!value.startsWith('#') && !/^data:/i.test(value) && !(allowedHref && allowedHref.test(value))) {
+            return `External reference not allowed: ${value.substring(0, 100)}`;
+        }
+    }
+    for (const [, value] of svg.matchAll(/url\(\s*['"]?([^'")]*)/gi)) {
+        if (!value.trim().startsWith('#') && !/^data:/i.test(value.trim())) {
+            return `External reference not allowed: url(${value.substring(0, 100)})`;
+        }
+    }
+    return null;
+};
@@ -0,0 +1,443 @@
+/**
+ * SVG Template Registry Helpers
+ *
+ * Lookup, validation and rendering of SVG layout templates uploaded into the
+ * templates directory under DATA_DIR, which is not served under /media so
+ * uploaded markup never reaches a browser. A template is a designer-made SVG (for
+ * example a Figma export) with {{title}}, {{source}} and {{image}}
+ * placeholders and named text boxes that title and source are wrapped into:
+ *
+ *   <text data-box="title" data-width="900" data-max-lines="3" x="90" y="200"
+ *         font-family="Inter" font-size="64" font-weight="800" fill="#fff">Sample</text>
+ *
+ * The sample content of a text box is replaced by the wrapped lines (one
+ * tspan per line, starting at the box's first baseline).
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { wrapTextLines } from '../helpers.js';
+import { FONT_STACK, createTextMeasurer, textToSvg } from './textMetrics.js';
+import { DEFAULT_HYPHENATION_LANGUAGES, getTextDirection } from './textLayout.js';
+import { loadRegisteredFont } from './fontRegistry.js';
+import { findUnsafeSvgMarkup } from './svgMarkup.js';
+
+/**
+ * Placeholders a template may contain
+ */
+export const TEMPLATE_PLACEHOLDERS = ['title', 'source', 'image'];
+
+/**
+ * Text values that can be wrapped into a named text box
+ */
+export const TEMPLATE_BOXES = ['title', 'source'];
+
+/**
+ * Default line height of a text box as a multiple of its font size
+ */
+const DEFAULT_BOX_LINE_HEIGHT = 1.2;
+
+/**
+ * Longest side of the source image embedded for {{image}}, in pixels
+ */
+const MAX_EMBEDDED_IMAGE_SIZE = 2400;
+
+/**
+ * Allowed registry names (used as file names, so keep them filesystem-safe)
+ */
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+/**
+ * Placeholder syntax ({{name}}, whitespace inside the braces allowed)
+ */
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z]+)\s*\}\}/gi;
+
+/**
+ * Text elements marked as text boxes with a data-box attribute
+ */
+const TEXT_BOX_PATTERN = /<text\b((?:[^>"']|"[^"]*"|'[^']*')*?\sdata-box\s*=\s*(?:"[^"]*"|'[^']*')(?:[^>"']|"[^"]*"|'[^']*')*)>([\s\S]*?)<\/text\s*>/gi;
+
+/**
+ * 1x1 transparent PNG standing in for {{image}} when inspecting a template
+ */
+const SAMPLE_IMAGE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+/**
+ * HTML entity escape for text content and attribute values
+ */
+const esc = (s = '') => String(s)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+/**
+ * Checks whether a template name is valid for the registry
+ *
+ * @param {string} name - Template name
+ * @returns {boolean} True if the name can be used
+ */
+export const isValidTemplateName = (name) => TEMPLATE_NAME_PATTERN.test(String(name || ''));
+
+/**
+ * Finds the file of a registered template by name
+ *
+ * @param {string} templatesDir - Templates directory
+ * @param {string} name - Registered template name
+ * @returns {string|null} Absolute file path or null if not registered
+ */
+export const findTemplateFile = (templatesDir, name) => {
+    if (!isValidTemplateName(name)) return null;
+    const file = path.join(templatesDir, `${name}.svg`);
+    return fs.existsSync(file) ? file : null;
+};
+
+/**
+ * Parses the attributes of an element's start tag
+ *
+ * @param {string} source - Attribute part of the start tag
+ * @returns {Map<string, string>} Attribute values by name, in document order
+ */
+const parseAttributes = (source) => {
+    const attributes = new Map();
+    for (const [, name, double, single] of source.matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attributes.set(name, double ?? single);
+    }
+    return attributes;
+};
+
+/**
+ * Serializes attributes back into start tag markup
+ *
+ * @param {Map<string, string>} attributes - Attribute values by name
+ * @returns {string} Attribute markup with a leading space per attribute
+ */
+const serializeAttributes = (attributes) => Array.from(attributes)
+    .map(([name, value]) => ` ${name}="${value.replace(/"/g, '&quot;')}"`)
+    .join('');
+
+/**
+ * Reads a presentation property from an attribute or the inline style
+ *
+ * @param {Map<string, string>} attributes - Attribute values by name
+ * @param {string} name - Property name (e.g. font-size)
+ * @returns {string|undefined} Property value
+ */
+const readProperty = (attributes, name) => {
+    if (attributes.has(name)) return attributes.get(name).trim();
+    const match = new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*([^;]+)`, 'i').exec(attributes.get('style') || '');
+    return match ? match[1].trim() : undefined;
+};
+
+/**
+ * Parses and validates one text box
+ *
+ * @param {string} attributeSource - Attribute part of the text element's start tag
+ * @param {string} content - Sample content of the text element
+ * @returns {{box: Object|null, error: string|null}} Text box settings or a validation error
+ */
+const parseTextBox = (attributeSource, content) => {
+    const attributes = parseAttributes(attributeSource);
+    const name = attributes.get('data-box');
+    if (!TEMPLATE_BOXES.includes(name)) {
+        return { box: null, error: `Invalid data-box "${name}". Must be one of: ${TEMPLATE_BOXES.join(', ')}` };
+    }
+
+    // Figma puts the position on the first tspan instead of the text element
+    const firstSpan = parseAttributes((/<tspan\b([^>]*)>/i.exec(content) || ['', ''])[1]);
+    const x = Number(attributes.get('x') ?? firstSpan.get('x'));
+    const y = Number(attributes.get('y') ?? firstSpan.get('y'));
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+        return { box: null, error: `Text box ${name} needs numeric x and y attributes` };
+    }
+
+    const width = Number(attributes.get('data-width'));
+    if (!(width > 0)) {
+        return { box: null, error: `Text box ${name} needs a data-width greater than 0` };
+    }
+    const maxLines = attributes.has('data-max-lines') ? Number(attributes.get('data-max-lines')) : null;
+    if (maxLines !== null && !(Number.isInteger(maxLines) && maxLines >= 1 && maxLines <= 20)) {
+        return { box: null, error: `Invalid data-max-lines of text box ${name}. Must be an integer between 1 and 20.` };
+    }
+    const lineHeight = attributes.has('data-line-height') ? Number(attributes.get('data-line-height')) : DEFAULT_BOX_LINE_HEIGHT;
+    if (!(lineHeight >= 0.5 && lineHeight <= 3)) {
+        return { box: null, error: `Invalid data-line-height of text box ${name}. Must be a number between 0.5 and 3.` };
+    }
+
+    const fontSize = parseFloat(readProperty(attributes, 'font-size'));
+    if (!(fontSize > 0)) {
+        return { box: null, error: `Text box ${name} needs a font-size in pixels` };
+    }
+    const weight = readProperty(attributes, 'font-weight') || '400';
+    const fontWeight = weight === 'bold' ? 700 : weight === 'normal' ? 400 : Number(weight) || 400;
+
+    // Letter spacing in pixels or em (Figma exports em)
+    const spacing = readProperty(attributes, 'letter-spacing') || '0';
+    const letterSpacing = (parseFloat(spacing) || 0) * (/em$/i.test(spacing) ? fontSize : 1);
+
+    // The element keeps its presentation attributes; data-* and the position are replaced by the lines
+    const kept = new Map(Array.from(attributes).filter(([key]) => !/^data-/i.test(key) && key !== 'x' && key !== 'y'));
+
+    return {
+        box: {
+            name,
+            x,
+            y,
+            width,
+            maxLines,
+            lineHeight,
+            fontSize,
+            fontWeight,
+            fontFamily: readProperty(attributes, 'font-family') || FONT_STACK,
+            letterSpacing,
+            anchor: readProperty(attributes, 'text-anchor') || 'start',
+            attributes: kept
+        },
+        error: null
+    };
+};
+
+/**
+ * Substitutes the placeholders with escaped values
+ *
+ * @param {string} svg - Template markup
+ * @param {Object} values - Placeholder values ({title, source, image}), image is a data URI
+ * @returns {string} Markup with escaped values
+ */
+const substitutePlaceholders = (svg, values) => svg.replace(PLACEHOLDER_PATTERN, (match, name) => esc(values[name.toLowerCase()] ?? ''));
+
+/**
+ * Validates a template and reads its size and text boxes
+ *
+ * Templates are rendered by librsvg inside the server, so anything that could
+ * run code or reference other files or URLs is rejected; images must be
+ * inline data URIs or the {{image}} placeholder.
+ *
+ * @param {Buffer|string} content - SVG file content
+ * @returns {Promise<{template: Object|null, error: string|null}>} Template ({svg, width, height, boxes, placeholders, hasImage}) or a validation error
+ */
+export const inspectTemplate = async (content) => {
+    const svg = Buffer.isBuffer(content) ? content.toString('utf8') : String(content);
+    if (!/<svg\b/i.test(svg)) {
+        return { template: null, error: 'Not an SVG document' };
+    }
+
+    const unsafe = findUnsafeSvgMarkup(svg, 'Templates', /^\{\{\s*image\s*\}\}$/i);
+    if (unsafe) return { template: null, error: unsafe };
+
+    const placeholders = [...new Set(Array.from(svg.matchAll(PLACEHOLDER_PATTERN), ([, name]) => name.toLowerCase()))];
+    const unknown = placeholders.filter(name => !TEMPLATE_PLACEHOLDERS.includes(name));
+    if (unknown.length) {
+        return { template: null, error: `Unknown placeholder: {{${unknown[0]}}}. Allowed: ${TEMPLATE_PLACEHOLDERS.map(name => `{{${name}}}`).join(', ')}` };
+    }
+    const imageRefs = svg.match(/[\s:]href\s*=\s*["']\s*\{\{\s*image\s*\}\}\s*["']/gi) || [];
+    const imageUses = svg.match(/\{\{\s*image\s*\}\}/gi) || [];
+    if (imageRefs.length !== imageUses.length) {
+        return { template: null, error: '{{image}} may only be used as the href of an image element' };
+    }
+
+    const boxes = [];
+    for (const [, attributeSource, boxContent] of svg.matchAll(TEXT_BOX_PATTERN)) {
+        const { box, error } = parseTextBox(attributeSource, boxContent);
+        if (error) return { template: null, error };
+        boxes.push(box);
+    }
+
+    // librsvg resolves the size (width/height or viewBox), and must be able to render the markup at all
+    let metadata;
+    try {
+        metadata = await sharp(Buffer.from(substitutePlaceholders(svg, { image: SAMPLE_IMAGE }))).metadata();
+    } catch (error) {
+        return { template: null, error: `Invalid SVG: ${error.message}` };
+    }
+    const { width, height } = metadata;
+    if (!(width >= 100 && width <= 4000 && height >= 100 && height <= 4000)) {
+        return { template: null, error: `Invalid template size ${width}x${height}. Width and height must be between 100 and 4000 pixels.` };
+    }
+
+    return {
+        template: {
+            svg,
+            width,
+            height,
+            boxes,
+            placeholders,
+            hasImage: placeholders.includes('image')
+        },
+        error: null
+    };
+};
+
+/**
+ * Lists all registered templates with their metadata
+ *
+ * @param {string} templatesDir - Templates directory
+ * @returns {Promise<Array<Object>>} Template descriptions ({name, width, height, placeholders, boxes, size})
+ */
+export const listRegisteredTemplates = async (templatesDir) => {
+    let files;
+    try {
+        files = await fsp.readdir(templatesDir);
+    } catch (error) {
+        return [];
+    }
+
+    const templates = await Promise.all(files
+        .filter(file => path.extname(file).toLowerCase() === '.svg')
+        .map(async file => {
+            const fullPath = path.join(templatesDir, file);
+            try {
+                const content = await fsp.readFile(fullPath);
+                const { template, error } = await inspectTemplate(content);
+                if (error) throw new Error(error);
+                return {
+                    name: path.basename(file, '.svg'),
+                    width: template.width,
+                    height: template.height,
+                    placeholders: template.placeholders,
+                    boxes: template.boxes.map(({ name, width, maxLines }) => ({ name, width, maxLines })),
+                    size: content.length
+                };
+            } catch (error) {
+                console.warn(`⚠️ [templateRegistry] Skipping unreadable template ${file}: ${error.message}`);
+                return null;
+            }
+        }));
+
+    return templates.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Parses and resolves the template parameter of the overlay endpoint
+ *
+ * @param {Object} query - Express request query object
+ * @param {string} templatesDir - Templates directory
+ * @returns {Promise<{options: Object|null, error: string|null, status: number}>} Template (null without template) or an error with HTTP status
+ */
+export const resolveTemplateOptions = async (query, templatesDir) => {
+    const name = query.template === undefined ? '' : String(query.template);
+    if (!name) {
+        return { options: null, error: null, status: 200 };
+    }
+    if (!isValidTemplateName(name)) {
+        return { options: null, error: `Invalid template name: ${name}`, status: 400 };
+    }
+    const file = findTemplateFile(templatesDir, name);
+    if (!file) {
+        return { options: null, error: `Template not found: ${name}`, status: 404 };
+    }
+
+    // Validated on upload, checked again in case the file was replaced on disk
+    const { template, error } = await inspectTemplate(await fsp.readFile(file));
+    if (error) {
+        return { options: null, error: `Template ${name} is invalid: ${error}`, status: 500 };
+    }
+    return { options: { ...template, name, file }, error: null, status: 200 };
+};
+
+/**
+ * Renders the wrapped lines of one text box
+ *
+ * @param {Object} box - Text box from inspectTemplate
+ * @param {string} text - Text to wrap into the box
+ * @param {Object} settings - Wrapping settings ({maxLines, wordBreak, font})
+ * @returns {{markup: string, lines: Array<string>, truncated: boolean}} Replacement markup and wrapping result
+ */
+const renderTextBox = (box, text, { maxLines, wordBreak, font }) => {
+    const direction = getTextDirection(text);
+    const measureGlyphs = createTextMeasurer({ fontFamily: box.fontFamily, fontWeight: box.fontWeight, fontSize: box.fontSize, font, direction });
+    const measure = box.letterSpacing
+        ? (line) => measureGlyphs(line) + box.letterSpacing * Array.from(line).length
+        : measureGlyphs;
+    const { lines, truncated } = wrapTextLines(text, measure, box.width, box.maxLines ?? maxLines, wordBreak);
+
+    const lineH = Math.round(box.fontSize * box.lineHeight * 100) / 100;
+    const baseline = (i) => Math.round((box.y + i * lineH) * 100) / 100;
+
+    if (font) {
+        // Registered fonts are drawn as glyph outlines; fill and stroke come from the group
+        const attributes = new Map(Array.from(box.attributes).filter(([key]) => !/^(font-|letter-spacing|text-anchor|style$)/i.test(key)));
+        const paths = lines.map((line, i) => textToSvg(line, font, {
+            fontSize: box.fontSize,
+            fontWeight: box.fontWeight,
+            x: box.x,
+            y: baseline(i),
+            anchor: box.anchor,
+            letterSpacing: box.letterSpacing,
+            direction
+        }));
+        return { markup: `<g${serializeAttributes(attributes)}>${paths.join('')}</g>`, lines, truncated };
+    }
+
+    // Without a font-family librsvg would fall back to its serif default, not the measured stack
+    const attributes = new Map(box.attributes);
+    if (!readProperty(attributes, 'font-family')) attributes.set('font-family', FONT_STACK);
+    if (direction === 'rtl') attributes.set('direction', 'rtl');
+    const spans = lines.map((line, i) => `<tspan x="${box.x}" y="${baseline(i)}">${esc(line)}</tspan>`);
+    return { markup: `<text${serializeAttributes(attributes)}>${spans.join('')}</text>`, lines, truncated };
+};
+
+/**
+ * Renders a template with title, source and source image filled in
+ *
+ * Text boxes are wrapped with the overlay's line breaking (hyphenation and
+ * ellipsis included); remaining {{title}} and {{source}} placeholders are
+ * replaced verbatim and {{image}} with the source image as a data URI. All
+ * values are XML-escaped.
+ *
+ * @param {Object} template - Template from resolveTemplateOptions
+ * @param {Object} values - Values to fill in
+ * @param {string} values.title - Title text
+ * @param {string} values.source - Source attribution text
+ * @param {Buffer|null} values.image - Source image bytes (needed if the template has {{image}})
+ * @param {Object} options - Wrapping options
+ * @param {number} options.maxLines - Line limit of text boxes without data-max-lines (default: 5)
+ * @param {string} options.lang - Hyphenation language for words wider than the box (default: de, then en)
+ * @param {boolean} options.hyphenate - Hyphenate long words before hard-breaking them (default: true)
+ * @param {string} options.titleFont - Registered font name for title boxes (requires options.fontsDir)
+ * @param {string} options.sourceFont - Registered font name for source boxes (requires options.fontsDir)
+ * @param {string} options.fontsDir - Directory of the font registry
+ * @returns {Promise<{svg: string, titleFontSize: number|null, lines: Array<string>, truncated: boolean}>} SVG markup
+ *   and the layout of the first title box (font size null and no lines without title box)
+ */
+export const renderTemplate = async (template, { title = '', source = '', image = null }, options = {}) => {
+    const wordBreak = {
+        languages: options.lang ? [options.lang] : DEFAULT_HYPHENATION_LANGUAGES,
+        hyphenate: options.hyphenate !== false
+    };
+    const fontNames = { title: options.titleFont, source: options.sourceFont };
+    const values = { title: String(title || '').trim(), source: String(source || '').trim() };
+
+    let imageUri = '';
+    if (template.hasImage && image) {
+        // Downscaled once to a size the template can't need more of, keeping transparency if present
+        const resized = sharp(image).rotate().resize(MAX_EMBEDDED_IMAGE_SIZE, MAX_EMBEDDED_IMAGE_SIZE, { fit: 'inside', withoutEnlargement: true });
+        const { hasAlpha } = await sharp(image).metadata();
+        const encoded = hasAlpha ? await resized.png().toBuffer() : await resized.jpeg({ quality: 90 }).toBuffer();
+        imageUri = `data:image/${hasAlpha ? 'png' : 'jpeg'};base64,${encoded.toString('base64')}`;
+    }
+
+    // Text boxes and placeholders are replaced in one pass, so placeholders inside the values stay text
+    const substitutions = { ...values, image: imageUri };
+    let titleLayout = null;
+    let index = 0;
+    const pattern = new RegExp(`${TEXT_BOX_PATTERN.source}|${PLACEHOLDER_PATTERN.source}`, 'gi');
+    const svg = template.svg.replace(pattern, (match, attributeSource, boxContent, placeholder) => {
+        if (placeholder !== undefined) {
+            return esc(substitutions[placeholder.toLowerCase()]);
+        }
+        const box = template.boxes[index++];
+        const font = fontNames[box.name] ? loadRegisteredFont(options.fontsDir, fontNames[box.name], box.fontWeight) : null;
+        const result = renderTextBox(box, values[box.name], { maxLines: options.maxLines || 5, wordBreak, font });
+        console.log(`🧾 [template] Box ${box.name}: ${result.lines.length} lines at ${box.fontSize}px in ${box.width}px${result.truncated ? ' (truncated)' : ''}`);
+        if (box.name === 'title' && !titleLayout) titleLayout = { fontSize: box.fontSize, ...result };
+        return result.markup;
+    });
+
+    return {
+        svg,
+        titleFontSize: titleLayout ? titleLayout.fontSize : null,
+        lines: titleLayout ? titleLayout.lines : [],
+        truncated: titleLayout ? titleLayout.truncated : false
+    };
+};
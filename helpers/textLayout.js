@@ -0,0 +1,246 @@
+/**
+ * Text Layout Helpers
+ *
+ * Unicode-aware building blocks for the overlay text layout: line break
+ * opportunities (UAX #14), bidirectional text (UAX #9) and grapheme clusters
+ * (UAX #29), so CJK, right-to-left scripts and emoji sequences wrap, render
+ * and truncate correctly. Words wider than a line are hyphenated with TeX
+ * patterns or hard-broken.
+ */
+
+import { createRequire } from 'module';
+import LineBreaker from 'linebreak';
+import bidiFactory from 'bidi-js';
+
+const require = createRequire(import.meta.url);
+const bidi = bidiFactory();
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+/**
+ * Languages with hyphenation patterns (pattern sets of the hyphen package)
+ */
+export const HYPHENATION_LANGUAGES = ['de', 'de-ch', 'en', 'en-gb', 'en-us', 'fr', 'es', 'it', 'nl', 'pt', 'pl', 'da', 'sv', 'nb', 'fi', 'cs'];
+
+/**
+ * Languages tried in order when no `lang` is given
+ */
+export const DEFAULT_HYPHENATION_LANGUAGES = ['de', 'en'];
+
+/**
+ * Pattern modules for languages whose package directory differs from the code
+ */
+const HYPHEN_MODULES = { 'de-ch': 'de-ch-1901' };
+
+/**
+ * URLs, e-mail addresses, hashtags and mentions are never hyphenated, only hard-broken
+ */
+const UNHYPHENATABLE_WORD = /^(?:[#@]|[a-z][a-z0-9+.-]*:\/\/|www\.)|[/@\\]|\.[a-z]{2,}(?:[/?#]|$)/i;
+
+// Loaded hyphenateSync functions per language
+const hyphenators = new Map();
+
+/**
+ * Splits text at its Unicode line break opportunities
+ *
+ * Each segment keeps its trailing whitespace, so concatenating segments
+ * reproduces the input. CJK text yields one segment per character (with
+ * kinsoku rules applied), space-separated scripts one segment per word.
+ *
+ * @param {string} text - Text to split
+ * @returns {Array<{text: string, required: boolean}>} Segments; `required` marks a mandatory break (newline) after the segment
+ */
+export const splitBreakSegments = (text) => {
+    const str = String(text || '');
+    const breaker = new LineBreaker(str);
+    const segments = [];
+    let last = 0;
+    let bk;
+    while ((bk = breaker.nextBreak())) {
+        segments.push({ text: str.slice(last, bk.position), required: bk.required });
+        last = bk.position;
+    }
+    return segments;
+};
+
+/**
+ * Splits text into user-perceived characters (grapheme clusters)
+ *
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Grapheme clusters (e.g. a ZWJ emoji family is one entry)
+ */
+export const splitGraphemes = (text) => Array.from(graphemeSegmenter.segment(String(text || '')), s => s.segment);
+
+/**
+ * Removes the last grapheme cluster from a string
+ *
+ * @param {string} text - Text to shorten
+ * @returns {string} Text without its last user-perceived character
+ */
+export const dropLastGrapheme = (text) => splitGraphemes(text).slice(0, -1).join('');
+
+/**
+ * Determines the paragraph direction from the first strong character (UAX #9 rules P2/P3)
+ *
+ * @param {string} text - Text to inspect
+ * @returns {string} 'rtl' or 'ltr' (also for text without strong characters)
+ */
+export const getTextDirection = (text) => {
+    const str = String(text || '');
+    if (!str) return 'ltr';
+    const { paragraphs } = bidi.getEmbeddingLevels(str);
+    return paragraphs.length && (paragraphs[0].level & 1) ? 'rtl' : 'ltr';
+};
+
+/**
+ * Splits a single line into runs of equal bidi embedding level
+ *
+ * Characters of right-to-left runs are mirrored where required (e.g. brackets),
+ * the runs themselves stay in logical order (see visualRunOrder).
+ *
+ * @param {string} text - Line of text (no newlines)
+ * @param {string} direction - Paragraph direction: 'ltr', 'rtl' or undefined to auto-detect
+ * @returns {Array<{text: string, level: number, rtl: boolean}>} Runs in logical order
+ */
+export const splitBidiRuns = (text, direction) => {
+    const str = String(text || '');
+    if (!str) return [];
+
+    const { levels } = bidi.getEmbeddingLevels(str, direction);
+    const mirrored = bidi.getMirroredCharactersMap(str, levels);
+    const runs = [];
+    for (let i = 0; i < str.length; i++) {
+        const ch = mirrored.get(i) || str[i];
+        const last = runs[runs.length - 1];
+        if (last && last.level === levels[i]) {
+            last.text += ch;
+        } else {
+            runs.push({ text: ch, level: levels[i], rtl: (levels[i] & 1) === 1 });
+        }
+    }
+    return runs;
+};
+
+/**
+ * Orders runs visually (UAX #9 rule L2): from the highest level down to the
+ * lowest odd level, every sequence of runs at that level or higher is reversed
+ *
+ * @param {Array<{level: number}>} runs - Runs in logical order
+ * @returns {Array<Object>} Runs in visual (left-to-right) order
+ */
+export const visualRunOrder = (runs) => {
+    const ordered = [...runs];
+    if (!ordered.length) return ordered;
+
+    const maxLevel = Math.max(...ordered.map(r => r.level));
+    const minOddLevel = Math.min(...ordered.map(r => r.level | 1));
+    for (let level = maxLevel; level >= minOddLevel; level--) {
+        for (let i = 0; i < ordered.length; i++) {
+            if (ordered[i].level < level) continue;
+            let j = i;
+            while (j + 1 < ordered.length && ordered[j + 1].level >= level) j++;
+            ordered.splice(i, j - i + 1, ...ordered.slice(i, j + 1).reverse());
+            i = j;
+        }
+    }
+    return ordered;
+};
+
+/**
+ * Returns the hyphenation points of a word as character offsets
+ *
+ * @param {string} word - Single word without whitespace
+ * @param {string} lang - Hyphenation language (see HYPHENATION_LANGUAGES)
+ * @returns {Array<number>} Offsets where the word may be split with a hyphen, ascending
+ */
+export const getHyphenationPoints = (word, lang) => {
+    if (!hyphenators.has(lang)) {
+        hyphenators.set(lang, require(`hyphen/${HYPHEN_MODULES[lang] || lang}`).hyphenateSync);
+    }
+
+    const points = [];
+    let offset = 0;
+    for (const part of hyphenators.get(lang)(word).split('\u00AD').slice(0, -1)) {
+        offset += part.length;
+        points.push(offset);
+    }
+    return points;
+};
+
+/**
+ * Offsets where a word may be hard-broken without a hyphen: after URL and
+ * path punctuation, at camelCase humps (hashtags) and between letters and digits
+ *
+ * @param {string} word - Single word without whitespace
+ * @returns {Array<number>} Break offsets, ascending
+ */
+const hardBreakPoints = (word) => {
+    const points = [];
+    for (let i = 1; i < word.length; i++) {
+        const prev = word[i - 1];
+        const next = word[i];
+        if (/[/.?&=_:#~+-]/.test(prev) && !/[/.?&=_:#~+-]/.test(next)
+            || /\p{Ll}/u.test(prev) && /\p{Lu}/u.test(next)
+            || /\p{L}/u.test(prev) && /\p{Nd}/u.test(next)
+            || /\p{Nd}/u.test(prev) && /\p{L}/u.test(next)) {
+            points.push(i);
+        }
+    }
+    return points;
+};
+
+/**
+ * Splits a word that is wider than the line into chunks that each fit
+ *
+ * Regular words are hyphenated at pattern-based hyphenation points (trying the
+ * given languages in order). URLs, hashtags and words without a fitting
+ * hyphenation point are hard-broken at punctuation or camelCase boundaries,
+ * and as a last resort between grapheme clusters.
+ *
+ * @param {string} word - Word without surrounding whitespace
+ * @param {Function} measure - (text) => width in pixels
+ * @param {number} availW - Available line width in pixels
+ * @param {Object} settings - Hyphenation settings
+ * @param {Array<string>} settings.languages - Hyphenation languages in priority order (default: de, en)
+ * @param {boolean} settings.hyphenate - Use hyphenation patterns before hard breaks (default: true)
+ * @returns {Array<string>} Chunks in order; hyphenated chunks end with "-"
+ */
+export const breakLongWord = (word, measure, availW, { languages = DEFAULT_HYPHENATION_LANGUAGES, hyphenate = true } = {}) => {
+    const canHyphenate = hyphenate && !UNHYPHENATABLE_WORD.test(word);
+    const hyphenPoints = canHyphenate ? languages.map(lang => getHyphenationPoints(word, lang)) : [];
+    const hardPoints = hardBreakPoints(word);
+    // Grapheme boundaries as offsets (never split emoji sequences or combining marks)
+    const graphemePoints = [];
+    splitGraphemes(word).reduce((offset, g) => {
+        graphemePoints.push(offset + g.length);
+        return offset + g.length;
+    }, 0);
+
+    // Longest chunk from `start` ending at one of the points that fits the line
+    // (chunks must contain a letter or digit, so "#" or "https://" never stand alone)
+    const longestFit = (start, points, suffix) => {
+        const candidates = points.filter(p => p > start && p < word.length && /[\p{L}\p{N}]/u.test(word.slice(start, p)));
+        for (let i = candidates.length - 1; i >= 0; i--) {
+            if (measure(word.slice(start, candidates[i]) + suffix) <= availW) return candidates[i];
+        }
+        return null;
+    };
+
+    const chunks = [];
+    let start = 0;
+    while (measure(word.slice(start)) > availW) {
+        let end = null;
+        for (const points of hyphenPoints) {
+            if ((end = longestFit(start, points, '-')) !== null) break;
+        }
+        if (end !== null) {
+            chunks.push(word.slice(start, end) + '-');
+        } else {
+            // Hard break; always take at least one grapheme so the loop makes progress
+            end = longestFit(start, hardPoints, '') ?? longestFit(start, graphemePoints, '') ?? graphemePoints.find(p => p > start);
+            chunks.push(word.slice(start, end));
+        }
+        start = end;
+    }
+    chunks.push(word.slice(start));
+    return chunks;
+};
@@ -0,0 +1,446 @@
+/**
+ * Text Measurement Helpers
+ *
+ * Font-metric-based text measurement used by makeSvg for wrapping and ellipsis
+ * decisions. Glyph advance widths (including kerning) are read from the same
+ * font files that librsvg/Pango resolve for the SVG font stack. Text is shaped
+ * per bidi run and per fallback font, mirroring how Pango renders mixed scripts.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import * as fontkit from 'fontkit';
+import { splitBidiRuns, splitGraphemes, visualRunOrder } from './textLayout.js';
+
+/**
+ * Primary font stack for Latin and most other scripts
+ */
+const PRIMARY_STACK = 'Inter, -apple-system, Segoe UI, Roboto, Arial';
+
+/**
+ * Fallback families for scripts and symbols the primary fonts don't cover, in
+ * priority order (fonts-noto-cjk, fonts-noto-core and fonts-noto-color-emoji)
+ */
+export const FALLBACK_FONT_FAMILIES = ['Noto Sans CJK JP', 'Noto Sans Arabic', 'Noto Sans Hebrew', 'Noto Color Emoji'];
+
+/**
+ * Default font stack used for all SVG text rendering
+ */
+export const FONT_STACK = [PRIMARY_STACK, ...FALLBACK_FONT_FAMILIES].join(', ');
+
+/**
+ * Fallback character width ratio (relative to font size) used when no font
+ * file can be resolved on this machine
+ */
+const FALLBACK_CHAR_WIDTH = 0.60;
+
+/**
+ * Families that are always installed in the Docker image (fonts-liberation,
+ * fonts-dejavu-core) and serve as last resort when scanning font directories
+ */
+const LAST_RESORT_FAMILIES = ['Liberation Sans', 'DejaVu Sans'];
+
+/**
+ * Code points that are rendered without a glyph of their own (joiners,
+ * directional marks, variation selectors, emoji tag sequences)
+ */
+const IGNORABLE_CODE_POINT = /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFE00-\uFE0F\u{E0020}-\u{E007F}]/u;
+
+/**
+ * Characters of right-to-left scripts (Hebrew, Arabic, Syriac, Thaana, NKo, ...)
+ */
+const RTL_CHAR = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF\u{10800}-\u{10FFF}\u{1E800}-\u{1EFFF}]/u;
+
+/**
+ * Directories scanned for font files when fc-match is not available
+ */
+const FONT_DIRS = [
+    '/usr/share/fonts',
+    '/usr/local/share/fonts',
+    path.join(os.homedir(), '.fonts'),
+    path.join(os.homedir(), '.local', 'share', 'fonts'),
+    '/Library/Fonts',
+    '/System/Library/Fonts',
+    path.join(os.homedir(), 'Library', 'Fonts')
+];
+
+/**
+ * CSS font-weight to fontconfig weight mapping (see FcWeightFromOpenType)
+ */
+const FC_WEIGHTS = { 100: 0, 200: 40, 300: 50, 400: 80, 500: 100, 600: 180, 700: 200, 800: 205, 900: 210 };
+
+/**
+ * Weight keywords found in font file names, longest first so that
+ * "extrabold" is not mistaken for "bold"
+ */
+const WEIGHT_KEYWORDS = [
+    ['extralight', 200], ['ultralight', 200], ['extrabold', 800], ['ultrabold', 800],
+    ['semibold', 600], ['demibold', 600], ['medium', 500], ['regular', 400],
+    ['black', 900], ['heavy', 900], ['light', 300], ['thin', 100], ['bold', 700]
+];
+
+// Caches: resolved font objects per "stack|weight", fallback fonts per "family|weight" and the scanned file list
+const fontCache = new Map();
+const fallbackCache = new Map();
+let scannedFiles = null;
+let warnedFallback = false;
+
+/**
+ * Escapes text for use inside SVG markup
+ *
+ * @param {string} s - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (s) => String(s)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+/**
+ * Splits a CSS font stack into plain family names
+ *
+ * @param {string} stack - Comma-separated font families
+ * @returns {Array<string>} Family names without quotes
+ */
+const parseStack = (stack) => String(stack)
+    .split(',')
+    .map(f => f.trim().replace(/^['"]|['"]$/g, ''))
+    .filter(Boolean);
+
+/**
+ * Resolves a font file via fontconfig, mirroring what librsvg/Pango will pick
+ *
+ * @param {Array<string>} families - Family names in priority order
+ * @param {number} weight - CSS font weight
+ * @param {boolean} exactFamily - Only accept a font of the first family instead of fontconfig's substitute (default: false)
+ * @returns {string|null} Absolute font file path or null if fc-match is unavailable
+ */
+const resolveWithFontconfig = (families, weight, exactFamily = false) => {
+    const fcWeight = FC_WEIGHTS[Math.round(weight / 100) * 100] ?? 80;
+    const pattern = `${families.join(',')}:weight=${fcWeight}`;
+    try {
+        const [family, file] = execFileSync('fc-match', ['-f', '%{family}\n%{file}', pattern], {
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'ignore'],
+            timeout: 2000
+        }).trim().split('\n');
+        if (exactFamily && !family.toLowerCase().split(',').includes(families[0].toLowerCase())) return null;
+        return file && fs.existsSync(file) ? file : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Recursively lists font files in the known font directories (cached)
+ *
+ * @returns {Array<string>} Font file paths
+ */
+const listFontFiles = () => {
+    if (scannedFiles) return scannedFiles;
+
+    scannedFiles = [];
+    const walk = (dir) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (error) {
+            return;
+        }
+        for (const entry of entries) {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                walk(full);
+            } else if (/\.(ttf|otf|ttc)$/i.test(entry.name)) {
+                scannedFiles.push(full);
+            }
+        }
+    };
+    FONT_DIRS.forEach(walk);
+    return scannedFiles;
+};
+
+/**
+ * Derives the CSS weight from a font file name
+ *
+ * @param {string} name - Lower-cased file name without separators
+ * @returns {number} CSS font weight (400 when no keyword is present)
+ */
+const weightFromName = (name) => {
+    const match = WEIGHT_KEYWORDS.find(([keyword]) => name.includes(keyword));
+    return match ? match[1] : 400;
+};
+
+/**
+ * Resolves a font file by scanning font directories for matching file names
+ *
+ * @param {Array<string>} families - Family names in priority order
+ * @param {number} weight - CSS font weight
+ * @param {Array<string>} lastResort - Families tried when none of the requested ones is installed (default: Liberation Sans, DejaVu Sans)
+ * @returns {string|null} Absolute font file path or null if nothing matches
+ */
+const resolveByScanning = (families, weight, lastResort = LAST_RESORT_FAMILIES) => {
+    const files = listFontFiles();
+    // CJK families share one file per weight for all regions (NotoSansCJK-Bold.ttc)
+    const normalize = (s) => s.toLowerCase().replace(/[\s_-]/g, '').replace(/cjk(jp|kr|sc|tc|hk)$/, 'cjk');
+
+    for (const family of [...families, ...lastResort]) {
+        const prefix = normalize(family);
+        const candidates = files
+            .map(file => ({ file, name: normalize(path.basename(file, path.extname(file))) }))
+            .filter(({ name }) => name.startsWith(prefix) && !/italic|oblique|mono|condensed/.test(name.slice(prefix.length)));
+
+        if (candidates.length) {
+            candidates.sort((a, b) => Math.abs(weightFromName(a.name) - weight) - Math.abs(weightFromName(b.name) - weight));
+            return candidates[0].file;
+        }
+    }
+    return null;
+};
+
+/**
+ * Opens a font file with fontkit and applies the requested weight for variable fonts
+ *
+ * @param {string} file - Font file path
+ * @param {number} weight - CSS font weight
+ * @returns {Object} fontkit font instance
+ */
+const openFont = (file, weight) => {
+    let font = fontkit.openSync(file);
+    // Font collections (.ttc) contain several faces; use the first one
+    if (font.fonts) {
+        font = font.fonts[0];
+    }
+    if (font.variationAxes && font.variationAxes.wght) {
+        const { min, max } = font.variationAxes.wght;
+        font = font.getVariation({ wght: Math.min(max, Math.max(min, weight)) });
+    }
+    return font;
+};
+
+/**
+ * Loads the font that will be used to render the given font stack and weight
+ *
+ * @param {string} stack - CSS font stack (default: FONT_STACK)
+ * @param {number} weight - CSS font weight (default: 400)
+ * @returns {Object|null} fontkit font instance or null if no font could be found
+ */
+export const loadFont = (stack = FONT_STACK, weight = 400) => {
+    const key = `${stack}|${weight}`;
+    if (fontCache.has(key)) return fontCache.get(key);
+
+    const families = parseStack(stack);
+    let font = null;
+    const file = resolveWithFontconfig(families, weight) || resolveByScanning(families, weight);
+
+    if (file) {
+        try {
+            font = openFont(file, weight);
+            console.log(`🔤 [textMetrics] Using ${path.basename(file)} for "${stack}" @ ${weight}`);
+        } catch (error) {
+            console.warn(`⚠️ [textMetrics] Could not parse font ${file}: ${error.message}`);
+        }
+    }
+
+    fontCache.set(key, font);
+    return font;
+};
+
+/**
+ * Loads a fallback family, but only if that exact family is installed
+ *
+ * @param {string} family - Fallback family name
+ * @param {number} weight - CSS font weight
+ * @returns {Object|null} fontkit font instance or null if the family is not installed
+ */
+const loadFallbackFont = (family, weight) => {
+    const key = `${family}|${weight}`;
+    if (fallbackCache.has(key)) return fallbackCache.get(key);
+
+    let font = null;
+    const file = resolveWithFontconfig([family], weight, true) || resolveByScanning([family], weight, []);
+    if (file) {
+        try {
+            font = openFont(file, weight);
+            console.log(`🔤 [textMetrics] Using ${path.basename(file)} as fallback "${family}" @ ${weight}`);
+        } catch (error) {
+            console.warn(`⚠️ [textMetrics] Could not parse font ${file}: ${error.message}`);
+        }
+    }
+
+    fallbackCache.set(key, font);
+    return font;
+};
+
+/**
+ * Resolves the font chain used to render a font stack: the primary font followed
+ * by the installed fallback fonts for other scripts and emoji
+ *
+ * @param {string} stack - CSS font stack
+ * @param {number} weight - CSS font weight
+ * @param {Object} explicitFont - fontkit font replacing the primary font (e.g. from the font registry)
+ * @returns {Array<Object>} fontkit font instances in priority order (empty if nothing could be found)
+ */
+const loadFontChain = (stack, weight, explicitFont = null) => {
+    const primaryStack = parseStack(stack).filter(f => !FALLBACK_FONT_FAMILIES.includes(f)).join(', ');
+    const chain = [explicitFont || loadFont(primaryStack, weight)];
+    for (const family of FALLBACK_FONT_FAMILIES) {
+        const font = loadFallbackFont(family, weight);
+        if (font && !chain.some(f => f && f.postscriptName === font.postscriptName)) chain.push(font);
+    }
+    return chain.filter(Boolean);
+};
+
+/**
+ * Checks whether a font has glyphs for every visible code point of a grapheme
+ *
+ * @param {Object} font - fontkit font instance
+ * @param {string} grapheme - Grapheme cluster or string
+ * @returns {boolean} True if the font can render it
+ */
+const coversText = (font, grapheme) => Array.from(grapheme)
+    .every(ch => IGNORABLE_CODE_POINT.test(ch) || font.hasGlyphForCodePoint(ch.codePointAt(0)));
+
+/**
+ * Splits a line into shaping runs of equal bidi level and font
+ *
+ * Every grapheme uses the first font of the chain that covers it, like Pango's
+ * font fallback. Plain text the primary font covers completely is one run.
+ *
+ * @param {string} text - Line of text
+ * @param {Array<Object>} chain - Font chain (see loadFontChain)
+ * @param {string} direction - Paragraph direction: 'ltr', 'rtl' or undefined to auto-detect
+ * @returns {Array<{text: string, font: Object, level: number, rtl: boolean}>} Runs in logical order
+ */
+const shapeRuns = (text, chain, direction) => {
+    if (!RTL_CHAR.test(text) && direction !== 'rtl' && coversText(chain[0], text)) {
+        return [{ text, font: chain[0], level: 0, rtl: false }];
+    }
+
+    const runs = [];
+    for (const bidiRun of splitBidiRuns(text, direction)) {
+        let current = null;
+        for (const grapheme of splitGraphemes(bidiRun.text)) {
+            const font = chain.find(f => coversText(f, grapheme)) || chain[0];
+            if (current && current.font === font) {
+                current.text += grapheme;
+            } else {
+                current = { text: grapheme, font, level: bidiRun.level, rtl: bidiRun.rtl };
+                runs.push(current);
+            }
+        }
+    }
+    return runs;
+};
+
+/**
+ * Shapes a run with fontkit in its bidi direction (glyphs come back in visual order)
+ *
+ * @param {Object} run - Shaping run (see shapeRuns)
+ * @returns {Object} fontkit GlyphRun
+ */
+const layoutRun = (run) => run.font.layout(run.text, undefined, undefined, undefined, run.rtl ? 'rtl' : 'ltr');
+
+/**
+ * Measures the rendered width of a string using real glyph advances and kerning
+ *
+ * @param {string} text - Text to measure
+ * @param {Object} font - Font settings
+ * @param {string} font.fontFamily - CSS font stack (default: FONT_STACK)
+ * @param {number} font.fontWeight - CSS font weight (default: 400)
+ * @param {number} font.fontSize - Font size in pixels
+ * @param {Object} font.font - Explicit fontkit font (e.g. from the font registry), replaces the primary font of the stack
+ * @param {string} font.direction - Paragraph direction: 'ltr' or 'rtl' (default: detected from the text)
+ * @returns {number} Width in pixels
+ */
+export const measureText = (text, { fontFamily = FONT_STACK, fontWeight = 400, fontSize, font: explicitFont = null, direction }) => {
+    const str = String(text || '');
+    if (!str) return 0;
+
+    const chain = loadFontChain(fontFamily, fontWeight, explicitFont);
+    if (!chain.length) {
+        if (!warnedFallback) {
+            console.warn(`⚠️ [textMetrics] No font file found, falling back to ${FALLBACK_CHAR_WIDTH} character width ratio`);
+            warnedFallback = true;
+        }
+        return splitGraphemes(str).length * fontSize * FALLBACK_CHAR_WIDTH;
+    }
+
+    return shapeRuns(str, chain, direction)
+        .reduce((sum, run) => sum + (layoutRun(run).advanceWidth / run.font.unitsPerEm) * fontSize, 0);
+};
+
+/**
+ * Creates a measuring function bound to fixed font settings
+ *
+ * @param {Object} font - Font settings (see measureText)
+ * @returns {Function} (text) => width in pixels
+ */
+export const createTextMeasurer = (font) => (text) => measureText(text, font);
+
+/**
+ * Checks whether a font draws color glyphs (bitmap or layered emoji) instead of outlines
+ *
+ * @param {Object} font - fontkit font instance
+ * @returns {boolean} True for color fonts such as Noto Color Emoji
+ */
+const isColorFont = (font) => {
+    const tables = font.directory ? font.directory.tables : {};
+    return !!(tables.CBDT || tables.sbix || tables.COLR);
+};
+
+/**
+ * Converts a line of text into SVG markup using the glyph outlines of a font
+ *
+ * Used for registered custom fonts, which librsvg cannot see through fontconfig
+ * without a restart. Letter spacing, anchoring and bidi reordering are applied
+ * here because the SVG text attributes do not affect paths. Graphemes the font
+ * lacks are drawn from the fallback fonts; color emoji have no outlines and are
+ * emitted as positioned text elements instead.
+ *
+ * @param {string} text - Text to convert
+ * @param {Object} font - fontkit font instance
+ * @param {Object} settings - Placement settings
+ * @param {number} settings.fontSize - Font size in pixels
+ * @param {number} settings.fontWeight - CSS font weight for fallback fonts (default: 400)
+ * @param {number} settings.x - Anchor x position
+ * @param {number} settings.y - Baseline y position
+ * @param {string} settings.anchor - Visual anchor: start (left), middle or end (right) (default: start)
+ * @param {number} settings.letterSpacing - Extra spacing after each character in pixels (default: 0)
+ * @param {string} settings.direction - Paragraph direction: 'ltr' or 'rtl' (default: detected from the text)
+ * @returns {string} SVG markup (one path plus optional text elements), empty for empty text
+ */
+export const textToSvg = (text, font, { fontSize, fontWeight = 400, x, y, anchor = 'start', letterSpacing = 0, direction }) => {
+    const str = String(text || '');
+    if (!str) return '';
+
+    const runs = shapeRuns(str, loadFontChain(FONT_STACK, fontWeight, font), direction);
+    const shaped = runs.map(run => ({ run, glyphRun: layoutRun(run) }));
+    const width = shaped.reduce((sum, { run, glyphRun }) => sum + (glyphRun.advanceWidth / run.font.unitsPerEm) * fontSize, 0)
+        + letterSpacing * Array.from(str).length;
+
+    let penX = anchor === 'middle' ? x - width / 2 : anchor === 'end' ? x - width : x;
+    const pathParts = [];
+    const colorTexts = [];
+    for (const { run, glyphRun } of visualRunOrder(shaped.map(item => ({ ...item, level: item.run.level })))) {
+        const scale = fontSize / run.font.unitsPerEm;
+        if (isColorFont(run.font)) {
+            const runWidth = glyphRun.advanceWidth * scale + letterSpacing * Array.from(run.text).length;
+            colorTexts.push(`<text x="${Math.round(penX * 100) / 100}" y="${y}" font-family="${run.font.familyName}" font-size="${fontSize}" text-anchor="start" direction="ltr">${escapeXml(run.text)}</text>`);
+            penX += runWidth;
+            continue;
+        }
+        glyphRun.glyphs.forEach((glyph, i) => {
+            const pos = glyphRun.positions[i];
+            const d = glyph.path
+                .scale(scale, -scale)
+                .translate(penX + pos.xOffset * scale, y - pos.yOffset * scale)
+                .toSVG();
+            if (d) pathParts.push(d);
+            penX += pos.xAdvance * scale + letterSpacing;
+        });
+    }
+
+    return [pathParts.length ? `<path d="${pathParts.join('')}"/>` : '', ...colorTexts].join('');
+};
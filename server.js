@@ -19,20 +19,35 @@ import path from 'path';
 
 // Import endpoint handlers
 import { healthCheck } from './endpoints/health.js';
-import { overlayHandler } from './endpoints/overlay.js';
+import { overlayHandler, overlayPostHandler } from './endpoints/overlay.js';
 import { reelHandler } from './endpoints/reel.js';
 import { reel3Handler } from './endpoints/3slidesReel.js';
+import { carouselHandler } from './endpoints/carousel.js';
+import { sceneHandler } from './endpoints/scene.js';
 import { uploadHandler, deleteHandler } from './endpoints/storage.js';
+import { listImagesHandler, deleteImageHandler } from './endpoints/images.js';
+import { purgeCacheHandler } from './endpoints/cache.js';
+import { uploadFontHandler, listFontsHandler } from './endpoints/fonts.js';
+import { uploadLogoHandler, listLogosHandler, deleteLogoHandler } from './endpoints/logos.js';
+import { uploadTemplateHandler, listTemplatesHandler, deleteTemplateHandler } from './endpoints/templates.js';
+import { createBrandHandler, listBrandsHandler, getBrandHandler, updateBrandHandler, deleteBrandHandler } from './endpoints/brands.js';
 
 // Import middleware
 import { validateApiKey } from './middleware/auth.js';
+import { getRenderCacheDir } from './helpers/renderCache.js';
+import { getSourceCacheDir } from './helpers/sourceCache.js';
+import { DEFAULT_FETCH_OPTIONS, parseFetchAllowlist } from './helpers/remoteFetch.js';
+import { loadFetchCredentials } from './helpers/fetchCredentials.js';
 
 // Load environment variables from .env file
 dotenv.config();
 
 // Initialize Express application
 const app = express();
-app.use(express.json({ limit: '2mb' }));
+// POST /overlay accepts base64 images in the JSON body; it gets a larger limit on its route, after the API key check
+const OVERLAY_PATH = /^\/overlay\/?$/i;
+const jsonParser = express.json({ limit: '2mb' });
+app.use((req, res, next) => OVERLAY_PATH.test(req.path) ? next() : jsonParser(req, res, next));
 
 // Set port from environment variable or default to 8080
 const PORT = process.env.OVERLAY_PORT || 8080;
@@ -47,10 +62,49 @@ const MEDIA_DIR = process.env.OVERLAY_MEDIA_DIR || path.join(process.cwd(), 'med
 const REELS_SUBDIR = process.env.OVERLAY_REELS_SUBDIR || 'reels';
 const TMP_SUBDIR = process.env.OVERLAY_TMP_SUBDIR || 'tmp';
 const BG_DIR = process.env.OVERLAY_BG_DIR || path.join(process.cwd(), 'assets', 'reels_bg');
+const LOGO_PATH = process.env.OVERLAY_LOGO_PATH || path.join(process.cwd(), 'Logo.svg');
+// Private data directory; unlike MEDIA_DIR it is not served under /media
+const DATA_DIR = process.env.OVERLAY_DATA_DIR || path.join(process.cwd(), 'data');
+// On-disk caches, kept out of MEDIA_DIR like the data directory
+const CACHE_DIR = process.env.OVERLAY_CACHE_DIR || path.join(DATA_DIR, 'cache');
 
 // Construct full paths
 const REELS_DIR = path.join(MEDIA_DIR, REELS_SUBDIR);
 const TMP_DIR = path.join(MEDIA_DIR, TMP_SUBDIR);
+const FONTS_DIR = path.join(DATA_DIR, 'fonts');
+const LOGOS_DIR = path.join(DATA_DIR, 'logos');
+const TEMPLATES_DIR = path.join(DATA_DIR, 'templates');
+const BRANDS_DIR = path.join(DATA_DIR, 'brands');
+const IMAGES_DIR = path.join(MEDIA_DIR, 'images');
+const RENDER_CACHE_DIR = getRenderCacheDir(CACHE_DIR);
+const SOURCE_CACHE_DIR = getSourceCacheDir(CACHE_DIR);
+
+// Render cache configuration (a size of 0 disables the cache, ETags and 304 responses)
+const RENDER_CACHE_MAX_BYTES = Number(process.env.OVERLAY_RENDER_CACHE_MAX_MB ?? 512) * 1024 * 1024;
+const RENDER_CACHE_MAX_AGE = Number(process.env.OVERLAY_RENDER_CACHE_MAX_AGE ?? 86400);
+
+// Source image cache configuration (a size of 0 disables the cache)
+const SOURCE_CACHE_MAX_BYTES = Number(process.env.OVERLAY_SOURCE_CACHE_MAX_MB ?? 256) * 1024 * 1024;
+
+// Credentials for protected source images; the media directory is served publicly, so the file must live elsewhere
+const FETCH_CREDENTIALS_FILE = process.env.OVERLAY_FETCH_CREDENTIALS_FILE;
+if (FETCH_CREDENTIALS_FILE) {
+  const relative = path.relative(MEDIA_DIR, path.resolve(FETCH_CREDENTIALS_FILE));
+  if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+    throw new Error(`Fetch credentials file ${FETCH_CREDENTIALS_FILE} must not be inside the media directory ${MEDIA_DIR}`);
+  }
+}
+
+// Remote source image fetching (private addresses are refused unless allowlisted)
+const FETCH_OPTIONS = {
+  allowlist: parseFetchAllowlist(process.env.OVERLAY_FETCH_ALLOWLIST),
+  credentials: loadFetchCredentials(FETCH_CREDENTIALS_FILE),
+  maxBytes: Number(process.env.OVERLAY_FETCH_MAX_MB ?? DEFAULT_FETCH_OPTIONS.maxBytes / 1024 / 1024) * 1024 * 1024,
+  connectTimeout: Number(process.env.OVERLAY_FETCH_CONNECT_TIMEOUT_MS ?? DEFAULT_FETCH_OPTIONS.connectTimeout),
+  readTimeout: Number(process.env.OVERLAY_FETCH_READ_TIMEOUT_MS ?? DEFAULT_FETCH_OPTIONS.readTimeout),
+  maxRedirects: Number(process.env.OVERLAY_FETCH_MAX_REDIRECTS ?? DEFAULT_FETCH_OPTIONS.maxRedirects),
+  cache: SOURCE_CACHE_MAX_BYTES > 0 ? { dir: SOURCE_CACHE_DIR, maxBytes: SOURCE_CACHE_MAX_BYTES } : null
+};
 
 // Configuration object to pass to endpoints
 const config = {
@@ -58,17 +112,30 @@ const config = {
   REQUIRE_API_KEY,
   DOMAIN,
   MEDIA_DIR,
+  DATA_DIR,
+  CACHE_DIR,
   REELS_SUBDIR,
   TMP_SUBDIR,
   BG_DIR,
   REELS_DIR,
-  TMP_DIR
+  TMP_DIR,
+  FONTS_DIR,
+  LOGOS_DIR,
+  LOGO_PATH,
+  TEMPLATES_DIR,
+  BRANDS_DIR,
+  IMAGES_DIR,
+  RENDER_CACHE_DIR,
+  RENDER_CACHE_MAX_BYTES,
+  RENDER_CACHE_MAX_AGE,
+  SOURCE_CACHE_DIR,
+  FETCH_OPTIONS
 };
 
 // Ensure directories exist
 const ensureDirectories = () => {
   const STORAGE_DIR = path.join(MEDIA_DIR, 'storage');
-  const directories = [MEDIA_DIR, REELS_DIR, TMP_DIR, BG_DIR, STORAGE_DIR];
+  const directories = [MEDIA_DIR, DATA_DIR, CACHE_DIR, REELS_DIR, TMP_DIR, BG_DIR, STORAGE_DIR, FONTS_DIR, LOGOS_DIR, TEMPLATES_DIR, BRANDS_DIR, IMAGES_DIR, RENDER_CACHE_DIR, SOURCE_CACHE_DIR];
   for (const dir of directories) {
     try {
       if (!fs.existsSync(dir)) {
@@ -103,13 +170,20 @@ app.get('/healthz', healthCheck);
  * GET /2slidesReel?slide1=<url>&slide2=<url>&title1=<text>&title2=<text>&duration1=<seconds>&duration2=<seconds>&transition=<type>
  * 
  * Parameters:
- * - slide1 (required): URL of the first slide image
- * - slide2 (required): URL of the second slide image
+ * - slide1 (required): URL of the first slide image or store:<uuid>
+ * - slide2 (required): URL of the second slide image or store:<uuid>
  * - title1 (optional): Overlay text for first slide (default: empty)
  * - title2 (optional): Overlay text for second slide (default: empty)
  * - duration1 (optional): Duration of first slide in seconds (default: 4)
  * - duration2 (optional): Duration of second slide in seconds (default: 4)
  * - transition (optional): Transition type between slides (default: 'fade')
+ * - fit (optional): Auto-fit title font size instead of truncating (default: false)
+ * - minFontSize / maxFontSize (optional): Title font size range for fit mode, in pixels
+ * - lang, hyphenate (optional): Hyphenation language and switch for words wider than the line
+ * - font, titleFont (optional): Registered custom font for the slide titles
+ * - style, scrim (optional): Title text style and scrim, as on the overlay endpoint
+ * - qr, qrPosition, qrSize, ... (optional): QR code shown on every slide, as on the overlay endpoint
+ * - brand (optional): Brand kit with default parameters; explicit parameters override kit values
  * 
  * Returns:
  * - Video file URL or processing status
@@ -124,9 +198,9 @@ app.get('/2slidesReel', validateApiKey(config), (req, res) => reelHandler(req, r
  * GET /3slidesReel?slide1=<url>&slide2=<url>&slide3=<url>&title1=<text>&title2=<text>&title3=<text>&duration1=<seconds>&duration2=<seconds>&duration3=<seconds>&transition=<type>
  * 
  * Parameters:
- * - slide1 (required): URL of the first slide image
- * - slide2 (required): URL of the second slide image
- * - slide3 (required): URL of the third slide image
+ * - slide1 (required): URL of the first slide image or store:<uuid>
+ * - slide2 (required): URL of the second slide image or store:<uuid>
+ * - slide3 (required): URL of the third slide image or store:<uuid>
  * - title1 (optional): Overlay text for first slide (default: empty)
  * - title2 (optional): Overlay text for second slide (default: empty)
  * - title3 (optional): Overlay text for third slide (default: empty)
@@ -134,6 +208,13 @@ app.get('/2slidesReel', validateApiKey(config), (req, res) => reelHandler(req, r
  * - duration2 (optional): Duration of second slide in seconds (default: 4)
  * - duration3 (optional): Duration of third slide in seconds (default: 4)
  * - transition (optional): Transition type between slides (default: 'fade')
+ * - fit (optional): Auto-fit title font size instead of truncating (default: false)
+ * - minFontSize / maxFontSize (optional): Title font size range for fit mode, in pixels
+ * - lang, hyphenate (optional): Hyphenation language and switch for words wider than the line
+ * - font, titleFont (optional): Registered custom font for the slide titles
+ * - style, scrim (optional): Title text style and scrim, as on the overlay endpoint
+ * - qr, qrPosition, qrSize, ... (optional): QR code shown on every slide, as on the overlay endpoint
+ * - brand (optional): Brand kit with default parameters; explicit parameters override kit values
  * 
  * Returns:
  * - Video file URL or processing status
@@ -143,35 +224,104 @@ app.get('/3slidesReel', validateApiKey(config), (req, res) => reel3Handler(req,
 /**
  * Main API endpoint for image overlay generation
  * 
- * GET /overlay?img=<url>&title=<text>&source=<text>&w=<width>&h=<height>&maxLines=<number>&logo=<boolean>
+ * GET /overlay?img=<url>&title=<text>&source=<text>&w=<width>&h=<height>&maxLines=<number>&logo=<boolean|name>
  * 
  * Parameters:
- * - img (required): URL of the source image
+ * - img (required unless transparent=true): URL of the source image or store:<uuid>
  * - title (optional): Text to overlay (no character limit, will wrap and truncate as needed)
  * - source (optional): Source attribution text (no character limit)
  * - w (optional): Output width in pixels (default: 1080)
  * - h (optional): Output height in pixels (default: 1350)
  * - maxLines (optional): Maximum number of lines for title text (default: 5)
- * - logo (optional): Whether to overlay Logo.svg in bottom-left corner (default: false)
+ * - logo (optional): true for the default Logo.svg or the name of a registered logo (default: false)
+ * - logoPosition, logoX, logoY, logoScale, logoOpacity (optional): Logo corner or custom position, width fraction and opacity
+ * - qr, qrPosition, qrSize, qrEcc, qrColor, qrBackground, qrMargin (optional): QR code for the given text in a corner
+ * - crop, fx, fy (optional): Crop strategy (center, attention, entropy) or focal point 0-1 for the crop window
+ * - fit (optional): Auto-fit title font size (true), or contain the image on a blurred copy / solid color (blurfill, color)
+ * - contain (optional): Contain mode like fit (blurfill, color), to combine it with the title auto-fit (fit=true)
+ * - fillColor (optional): Background color for fit=color (default: dominant image color)
+ * - minFontSize / maxFontSize (optional): Title font size range for fit mode, in pixels
+ * - lang, hyphenate (optional): Hyphenation language and switch for words wider than the line
+ * - valign, align (optional): Title position inside the text box (default: top, center)
+ * - boxX, boxY, boxW, boxH (optional): Title text box in percent of the image
+ * - sourcePos (optional): Source corner (default: bottom-right)
+ * - scrim, scrimColor, scrimOpacity, scrimRadius (optional): Contrast background behind the title
+ * - autoColor, minContrast (optional): Pick title colors and scrim strength for a target WCAG contrast (X-Title-Contrast header)
+ * - style (optional): JSON text styles for title and source, plus flat shortcuts (titleColor, shadow, highlight, ...)
+ * - font, titleFont, sourceFont (optional): Registered custom font for both texts, the title or the source
+ * - template (optional): Registered SVG template that replaces the generated text layout; sets the output size
+ * - format, quality, progressive, mozjpeg (optional): Output format (jpeg, png, webp, avif; default from Accept header) and encoder settings
+ * - transparent (optional): Render the overlay on a transparent canvas (PNG/WebP/AVIF)
+ * - store (optional): Save the image in /media/images/ and return JSON with its public URL
+ * - brand (optional): Brand kit with default parameters; explicit parameters override kit values
+ * 
+ * Renders are cached on disk; responses carry an ETag and Cache-Control, and
+ * If-None-Match with a current ETag is answered with 304 Not Modified.
  * 
  * Processes an image by:
  * 1. Fetching the source image from the provided URL
  * 2. Generating an SVG overlay with the specified text
  * 3. Compositing the overlay onto the image
  * 4. Adding logo overlay if requested
- * 5. Returning the final image as JPEG
+ * 5. Returning the final image in the requested format
+ */
+app.get('/overlay', validateApiKey(config), (req, res) => overlayHandler(req, res, config));
+
+/**
+ * POST variant of the overlay endpoint
+ *
+ * POST /overlay
+ *
+ * Takes the same parameters as GET /overlay, with the source image either
+ * - uploaded as multipart/form-data file field `img` (other parameters as form fields, max 25MB), or
+ * - in a JSON body: `img` as URL or data URI (data:image/png;base64,...), or `imgBase64` as plain base64
+ *
+ * Validation, rendering and response are shared with the GET handler.
+ */
+app.post('/overlay', validateApiKey(config), express.json({ limit: '25mb' }), (req, res) => overlayPostHandler(req, res, config));
+
+/**
+ * Carousel endpoint
+ * 
+ * POST /carousel
+ * 
+ * Renders up to 10 slides ({img, title, source}) with shared dimensions and
+ * styling and one title font size at which every title fits.
+ * 
+ * JSON body:
+ * - slides (required): Array of {img, title, source}; img is a URL or store:<uuid>
+ * - output (optional): zip (download) or urls (stored images with public URLs) (default: zip)
+ * - slideNumbers, slideNumberPosition (optional): "2/5" slide numbers in a corner (default: false, top-right)
+ * - All other /overlay parameters (optional): Shared by every slide
+ */
+app.post('/carousel', validateApiKey(config), (req, res) => carouselHandler(req, res, config));
+
+/**
+ * Scene endpoint
+ * 
+ * POST /scene
+ * 
+ * Renders a layered scene: a canvas and an ordered list of image, text,
+ * rect/gradient, logo and QR layers with position, size, rotation and opacity.
+ * 
+ * JSON body:
+ * - canvas (optional): {width, height, background} (default: 1080x1350, #ffffff; background may be transparent)
+ * - layers (required): 1-30 layers, bottom to top, each {type, x, y, width, height, rotation, opacity, ...}
+ * - format, quality, store, ... (optional): Output settings as on /overlay
  */
-app.get('/overlay', validateApiKey(config), overlayHandler);
+app.post('/scene', validateApiKey(config), (req, res) => sceneHandler(req, res, config));
 
 /**
  * File upload endpoint for local storage service
  * 
  * POST /store/upload
  * 
- * Accepts audio and video files for storage with the following features:
+ * Accepts audio, video and image files for storage with the following features:
  * - File size limit: 100MB
- * - Supported formats: MP3, WAV, OGG, AAC, M4A, FLAC (audio) and MP4, AVI, MOV, WMV, FLV, WEBM, MKV, QuickTime (video)
+ * - Supported formats: MP3, WAV, OGG, AAC, M4A, FLAC (audio), MP4, AVI, MOV, WMV, FLV, WEBM, MKV, QuickTime (video)
+ *   and JPEG, PNG, WebP, GIF, AVIF, TIFF (image)
  * - Returns unique file ID and public URL for accessing the file
+ * - Stored files can be used as render inputs with store:<uuid> (img, slide1, slide2, slide3)
  * - Files are stored in /media/storage/ directory
  * 
  * Request body: multipart/form-data with 'file' field
@@ -208,6 +358,185 @@ app.post('/store/upload', validateApiKey(config), (req, res) => uploadHandler(re
  */
 app.delete('/store/:id', validateApiKey(config), (req, res) => deleteHandler(req, res, config));
 
+/**
+ * Stored image listing endpoint
+ * 
+ * GET /images
+ * 
+ * Lists rendered images saved with store=true on /overlay (newest first) with
+ * id, filename, format, width, height, size, createdAt and public url.
+ */
+app.get('/images', validateApiKey(config), (req, res) => listImagesHandler(req, res, config));
+
+/**
+ * Stored image deletion endpoint
+ * 
+ * DELETE /images/:id
+ * 
+ * Deletes a rendered image saved with store=true by its UUID.
+ */
+app.delete('/images/:id', validateApiKey(config), (req, res) => deleteImageHandler(req, res, config));
+
+/**
+ * Cache purge endpoint
+ * 
+ * DELETE /cache?scope=<all|renders|sources>
+ * 
+ * Removes cached overlay renders (CACHE_DIR/renders) and/or fetched
+ * source images (CACHE_DIR/sources) and returns the number of entries
+ * and bytes removed.
+ */
+app.delete('/cache', validateApiKey(config), (req, res) => purgeCacheHandler(req, res, config));
+
+/**
+ * Font upload endpoint for the custom font registry
+ * 
+ * POST /fonts/upload
+ * 
+ * Registers a TTF, OTF, WOFF or WOFF2 font (max 10MB) in the private data directory
+ * (DATA_DIR/fonts/, not served under /media). Fonts are
+ * available immediately via the font, titleFont and sourceFont parameters.
+ * 
+ * Request body: multipart/form-data with 'file' field, optional 'name' and 'replace' fields
+ * 
+ * Response:
+ * - success: boolean indicating upload success
+ * - name: registry name to use in the font parameters
+ * - family / subfamily / postscriptName: metadata read from the font
+ * - format: font file format
+ * - variable: whether the font has a weight axis
+ * - size: file size in bytes
+ * - replaced: whether an existing font was overwritten
+ */
+app.post('/fonts/upload', validateApiKey(config), (req, res) => uploadFontHandler(req, res, config));
+
+/**
+ * Font listing endpoint for the custom font registry
+ * 
+ * GET /fonts
+ * 
+ * Response:
+ * - success: boolean
+ * - count: number of registered fonts
+ * - fonts: array of {name, family, subfamily, postscriptName, format, variable, size}
+ */
+app.get('/fonts', validateApiKey(config), (req, res) => listFontsHandler(req, res, config));
+
+/**
+ * Logo upload endpoint for the logo registry
+ * 
+ * POST /logos/upload
+ * 
+ * Registers an SVG or PNG logo (max 5MB) in DATA_DIR/logos/. Logos are available
+ * immediately via the logo parameter of the overlay endpoint. SVG logos with scripts,
+ * foreignObject, event handlers or external references are rejected.
+ * 
+ * Request body: multipart/form-data with 'file' field, optional 'name' and 'replace' fields
+ * 
+ * Response:
+ * - success: boolean indicating upload success
+ * - name: registry name to use in the logo parameter
+ * - format: svg or png
+ * - width / height: native logo size in pixels
+ * - size: file size in bytes
+ * - replaced: whether an existing logo was overwritten
+ */
+app.post('/logos/upload', validateApiKey(config), (req, res) => uploadLogoHandler(req, res, config));
+
+/**
+ * Logo listing endpoint for the logo registry
+ * 
+ * GET /logos
+ * 
+ * Response:
+ * - success: boolean
+ * - count: number of registered logos
+ * - logos: array of {name, format, width, height, size}
+ */
+app.get('/logos', validateApiKey(config), (req, res) => listLogosHandler(req, res, config));
+
+/**
+ * Logo deletion endpoint for the logo registry
+ * 
+ * DELETE /logos/:name
+ * 
+ * Response:
+ * - success: boolean indicating deletion success
+ * - name / filename: deleted logo
+ * - size: size of the deleted file in bytes
+ * - deletedAt: ISO timestamp of deletion
+ */
+app.delete('/logos/:name', validateApiKey(config), (req, res) => deleteLogoHandler(req, res, config));
+
+/**
+ * Template upload endpoint for the SVG template registry
+ * 
+ * POST /templates/upload
+ * 
+ * Registers an SVG layout template (max 5MB) in DATA_DIR/templates/. Templates contain
+ * {{title}}, {{source}} and {{image}} placeholders and <text data-box="title|source"
+ * data-width=".." data-max-lines=".."> text boxes, and are used with template=<name>
+ * on the overlay endpoint. Scripts, foreignObject and external references are rejected.
+ * 
+ * Request body: multipart/form-data with 'file' field, optional 'name' and 'replace' fields
+ * 
+ * Response:
+ * - success: boolean indicating upload success
+ * - name: registry name to use in the template parameter
+ * - width / height: template (and output) size in pixels
+ * - placeholders: placeholders used by the template
+ * - boxes: array of text boxes {name, width, maxLines}
+ * - size: file size in bytes
+ * - replaced: whether an existing template was overwritten
+ */
+app.post('/templates/upload', validateApiKey(config), (req, res) => uploadTemplateHandler(req, res, config));
+
+/**
+ * Template listing endpoint for the SVG template registry
+ * 
+ * GET /templates
+ * 
+ * Response:
+ * - success: boolean
+ * - count: number of registered templates
+ * - templates: array of {name, width, height, placeholders, boxes, size}
+ */
+app.get('/templates', validateApiKey(config), (req, res) => listTemplatesHandler(req, res, config));
+
+/**
+ * Template deletion endpoint for the SVG template registry
+ * 
+ * DELETE /templates/:name
+ * 
+ * Response:
+ * - success: boolean indicating deletion success
+ * - name / filename: deleted template
+ * - size: size of the deleted file in bytes
+ * - deletedAt: ISO timestamp of deletion
+ */
+app.delete('/templates/:name', validateApiKey(config), (req, res) => deleteTemplateHandler(req, res, config));
+
+/**
+ * Brand kit endpoints
+ * 
+ * POST   /brands        - Create a kit from a JSON body {name, description, params}
+ * GET    /brands        - List all kits
+ * GET    /brands/:name  - Read a kit
+ * PUT    /brands/:name  - Replace params (and description) of a kit
+ * DELETE /brands/:name  - Delete a kit
+ * 
+ * Kits are stored as JSON in DATA_DIR/brands/. `params` holds default query parameters
+ * (font, colors, stroke, scrim, logo, layout, dimensions, ...) that are validated on
+ * save and applied with brand=<name> on /overlay, /2slidesReel and /3slidesReel.
+ * 
+ * Response (create, read, update): { success, brand: {name, description, params, createdAt, updatedAt} }
+ */
+app.post('/brands', validateApiKey(config), (req, res) => createBrandHandler(req, res, config));
+app.get('/brands', validateApiKey(config), (req, res) => listBrandsHandler(req, res, config));
+app.get('/brands/:name', validateApiKey(config), (req, res) => getBrandHandler(req, res, config));
+app.put('/brands/:name', validateApiKey(config), (req, res) => updateBrandHandler(req, res, config));
+app.delete('/brands/:name', validateApiKey(config), (req, res) => deleteBrandHandler(req, res, config));
+
 // === SERVER STARTUP ===
 
 // Start the Express server and log the port
@@ -222,17 +551,42 @@ app.listen(PORT, () => {
   }
   console.log(`🌐 URL: https://${DOMAIN}`);
   console.log(`📁 Media directory: ${MEDIA_DIR}`);
+  console.log(`🔒 Data directory: ${DATA_DIR}`);
   console.log(`🎬 Reels directory: ${REELS_DIR}`);
   console.log(`📂 Temp directory: ${TMP_DIR}`);
   console.log(`🎨 Background directory: ${BG_DIR}`);
+  console.log(`🔤 Fonts directory: ${FONTS_DIR}`);
+  console.log(`🏷️ Logos directory: ${LOGOS_DIR} (default logo: ${LOGO_PATH})`);
+  console.log(`🧾 Templates directory: ${TEMPLATES_DIR}`);
+  console.log(`🎨 Brand kits directory: ${BRANDS_DIR}`);
+  console.log(`🖼️ Stored images directory: ${IMAGES_DIR}`);
+  console.log(`🛡️ Source fetching: max ${FETCH_OPTIONS.maxBytes / 1024 / 1024}MB, timeouts ${FETCH_OPTIONS.connectTimeout}/${FETCH_OPTIONS.readTimeout}ms, ${FETCH_OPTIONS.maxRedirects} redirects, allowlist: ${process.env.OVERLAY_FETCH_ALLOWLIST || 'none'}`);
+  console.log(`🔏 Source credentials: ${FETCH_OPTIONS.credentials ? FETCH_OPTIONS.credentials.map(({ pattern, allowHttp }) => allowHttp ? `${pattern} (http allowed)` : pattern).join(', ') || 'none' : 'none'}`);
+  console.log(`♻️ Render cache: ${RENDER_CACHE_MAX_BYTES > 0 ? `${RENDER_CACHE_DIR} (max ${RENDER_CACHE_MAX_BYTES / 1024 / 1024}MB, max-age ${RENDER_CACHE_MAX_AGE}s)` : 'disabled'}`);
+  console.log(`📦 Source cache: ${SOURCE_CACHE_MAX_BYTES > 0 ? `${SOURCE_CACHE_DIR} (max ${SOURCE_CACHE_MAX_BYTES / 1024 / 1024}MB)` : 'disabled'}`);
   console.log('');
   console.log('📋 Available endpoints:');
   console.log(`   GET  /healthz - Health check`);
   console.log(`   GET  /overlay - Image overlay generation`);
+  console.log(`   POST /overlay - Image overlay generation (upload or JSON body)`);
+  console.log(`   POST /carousel - Carousel generation (ZIP or stored URLs)`);
+  console.log(`   POST /scene - Layered scene rendering`);
   console.log(`   GET  /2slidesReel - Two-slide reel generation`);
   console.log(`   GET  /3slidesReel - Three-slide reel generation`);
   console.log(`   POST /store/upload - File upload service`);
   console.log(`   DELETE /store/:id - File deletion service`);
+  console.log(`   GET  /images - List stored overlay images`);
+  console.log(`   DELETE /images/:id - Delete stored overlay image`);
+  console.log(`   DELETE /cache - Purge render and source caches`);
+  console.log(`   POST /fonts/upload - Custom font upload`);
+  console.log(`   GET  /fonts - Registered font listing`);
+  console.log(`   POST /logos/upload - Logo upload`);
+  console.log(`   GET  /logos - Registered logo listing`);
+  console.log(`   DELETE /logos/:name - Logo deletion`);
+  console.log(`   POST /templates/upload - SVG template upload`);
+  console.log(`   GET  /templates - Registered template listing`);
+  console.log(`   DELETE /templates/:name - Template deletion`);
+  console.log(`   POST|GET /brands, GET|PUT|DELETE /brands/:name - Brand kits`);
   console.log(`   GET  /media/* - Static media files`);
   console.log('');
   console.log(`🌐 API endpoint: http://localhost:${PORT}/overlay`);